@@ -3,12 +3,57 @@
 import { useState, useEffect } from 'react'
 import Dashboard from './components/Dashboard'
 import InstallPrompt from './components/InstallPrompt'
+import UndoSnackbar from './components/UndoSnackbar'
 import { useFoodLog } from './hooks/useFoodLog'
-import { toISODateString } from './utils/formatters'
 
 function App() {
   const [currentDate, setCurrentDate] = useState(new Date())
-  const { log, goal, progress, remaining, isGoalReached, addFood, removeFood, setGoal } = useFoodLog(currentDate)
+  const {
+    log,
+    goal,
+    goalSchedule,
+    macroGoals,
+    mealTargets,
+    progress,
+    remaining,
+    isGoalReached,
+    addFood,
+    addTemplate,
+    removeFood,
+    updateFood,
+    copyFoods,
+    setGoalPlan,
+    removeGoalPlan,
+    setDayType,
+    setMacroGoals,
+    setMealTargets,
+    otherDaysVersion,
+    reload,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    lastChange,
+    dismissChange,
+  } = useFoodLog(currentDate)
+
+  // Keyboard shortcuts for undo/redo - text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        redo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
 
   // Handle date change
   const handleDateChange = (date) => {
@@ -20,14 +65,34 @@ function App() {
       <Dashboard
         log={log}
         goal={goal}
+        goalSchedule={goalSchedule}
+        macroGoals={macroGoals}
+        mealTargets={mealTargets}
         progress={progress}
         remaining={remaining}
         isGoalReached={isGoalReached}
         onAddFood={addFood}
+        onAddTemplate={addTemplate}
         onRemoveFood={removeFood}
-        onSetGoal={setGoal}
+        onUpdateFood={updateFood}
+        onCopyFoods={copyFoods}
+        onSetGoalPlan={setGoalPlan}
+        onRemoveGoalPlan={removeGoalPlan}
+        onSetDayType={setDayType}
+        onSetMacroGoals={setMacroGoals}
+        onSetMealTargets={setMealTargets}
         currentDate={currentDate}
         onDateChange={handleDateChange}
+        onDataChanged={reload}
+        otherDaysVersion={otherDaysVersion}
+      />
+      <UndoSnackbar
+        change={lastChange}
+        canUndo={canUndo}
+        canRedo={canRedo}
+        onUndo={undo}
+        onRedo={redo}
+        onDismiss={dismissChange}
       />
       <InstallPrompt />
     </>
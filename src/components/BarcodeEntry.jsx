@@ -0,0 +1,107 @@
+// Barcode entry component - manual fallback and lookup status for scanned codes
+
+import { useState, useEffect, useRef } from 'react'
+
+/**
+ * BarcodeEntry component - type a barcode or show the result of a scan lookup
+ * @param {Object} props
+ * @param {string} props.barcode - Last scanned or typed barcode
+ * @param {boolean} props.loading - Lookup in progress
+ * @param {string} props.error - Error message
+ * @param {Function} props.onSubmit - Callback with the typed barcode
+ * @param {Function} props.onRescan - Callback to go back to the scanner
+ * @param {Function} props.onManualSearch - Callback to switch to name search
+ */
+export default function BarcodeEntry({
+  barcode,
+  loading,
+  error,
+  onSubmit,
+  onRescan,
+  onManualSearch
+}) {
+  const [code, setCode] = useState(barcode || '')
+  const inputRef = useRef(null)
+
+  // Keep the field in sync with the last scanned code
+  useEffect(() => {
+    if (barcode) setCode(barcode)
+  }, [barcode])
+
+  useEffect(() => {
+    if (!barcode) inputRef.current?.focus()
+  }, [])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (code.trim()) onSubmit(code)
+  }
+
+  return (
+    <div className="h-full bg-white overflow-y-auto p-4">
+      {/* Loading state */}
+      {loading ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-protein mb-4"></div>
+          <p className="text-gray-600">Looking up {barcode}...</p>
+        </div>
+      ) : (
+        <>
+          {/* Error state */}
+          {error && (
+            <div className="text-center py-6">
+              <svg className="w-12 h-12 mx-auto mb-3 text-yellow-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+              </svg>
+              <p className="text-gray-700">{error}</p>
+            </div>
+          )}
+
+          {/* Manual entry */}
+          <form onSubmit={handleSubmit} className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Barcode number
+            </label>
+            <div className="flex gap-2">
+              <input
+                ref={inputRef}
+                type="text"
+                inputMode="numeric"
+                pattern="[0-9 ]*"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="e.g. 5901234123457"
+                className="input-field flex-1 tracking-wider"
+              />
+              <button
+                type="submit"
+                disabled={!code.trim()}
+                className="btn-primary px-4"
+              >
+                Look up
+              </button>
+            </div>
+            <p className="text-xs text-gray-400 mt-2">
+              The 8, 12 or 13 digits printed under the barcode
+            </p>
+          </form>
+
+          <div className="flex gap-2 justify-center">
+            <button
+              onClick={onRescan}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+            >
+              Scan Again
+            </button>
+            <button
+              onClick={onManualSearch}
+              className="px-4 py-2 bg-protein text-white rounded-lg font-medium hover:bg-protein-dark transition-colors"
+            >
+              Search by Name
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,114 @@
+// Copy sheet for sending a meal to another date or repeating a whole day
+
+import { useState } from 'react'
+import { getMealChoices, getMealLabel } from '../utils/meals'
+import { formatDate } from '../utils/formatters'
+import { toDateKey, getTodayKey, shiftDateKey } from '../utils/dates'
+
+/**
+ * Copy foods sheet component
+ * @param {Object} props
+ * @param {'meal'|'day'} props.mode - Copy one meal out, or repeat another day into this one
+ * @param {string} props.mealType - Meal being copied (meal mode)
+ * @param {Date} props.currentDate - Day being viewed
+ * @param {Function} props.onCopy - Callback with (sourceDate, targetDate, options), resolves to success
+ * @param {Function} props.onClose - Callback to close
+ */
+export default function CopyFoodsSheet({ mode, mealType, currentDate, onCopy, onClose }) {
+  const currentKey = toDateKey(currentDate)
+  const todayKey = getTodayKey()
+
+  // Meal mode picks a target, day mode picks a source
+  const [otherDate, setOtherDate] = useState(() => {
+    if (mode === 'day') return shiftDateKey(currentKey, -1)
+    return currentKey === todayKey ? shiftDateKey(currentKey, 1) : todayKey
+  })
+  const [targetMeal, setTargetMeal] = useState(mealType)
+  const [copying, setCopying] = useState(false)
+
+  const handleCopy = async () => {
+    setCopying(true)
+    const copied = mode === 'meal'
+      ? await onCopy(currentKey, otherDate, { mealType, targetMealType: targetMeal })
+      : await onCopy(otherDate, currentKey)
+    setCopying(false)
+    if (copied) {
+      onClose()
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center">
+      <div className="bg-white w-full sm:max-w-md sm:rounded-2xl rounded-t-2xl p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">
+            {mode === 'meal' ? `Copy ${getMealLabel(mealType)}` : 'Repeat a Day'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Date */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {mode === 'meal' ? 'Copy to' : 'Copy everything from'}
+          </label>
+          <input
+            type="date"
+            value={otherDate}
+            onChange={(e) => setOtherDate(e.target.value)}
+            className="input-field"
+          />
+        </div>
+
+        {/* Target meal */}
+        {mode === 'meal' && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Into meal
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {getMealChoices(mealType).map(({ key, label }) => (
+                <button
+                  key={key}
+                  onClick={() => setTargetMeal(key)}
+                  className={`p-3 rounded-xl text-left transition-colors ${
+                    targetMeal === key
+                      ? 'bg-protein text-white'
+                      : 'bg-gray-100 text-gray-700'
+                  }`}
+                >
+                  <span className="font-medium">{label}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {mode === 'day' && (
+          <p className="text-sm text-gray-500 mb-4">
+            Every food logged that day is added to {formatDate(currentKey)}, keeping its meal.
+          </p>
+        )}
+
+        <button
+          onClick={handleCopy}
+          disabled={copying || !otherDate}
+          className="btn-primary w-full"
+        >
+          {copying
+            ? 'Copying...'
+            : mode === 'meal'
+              ? `Copy to ${otherDate ? formatDate(otherDate) : '…'}`
+              : `Copy to ${formatDate(currentKey)}`}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,147 @@
+// CSV export sheet for downloading entries or daily summaries
+
+import { useState } from 'react'
+import { exportCsv } from '../services/csvExport'
+import { downloadFile } from '../utils/download'
+import { getTodayKey, shiftDateKey } from '../utils/dates'
+
+/**
+ * Get a date key a number of days before today
+ * @param {number} days
+ * @returns {string}
+ */
+function daysAgo(days) {
+  return shiftDateKey(getTodayKey(), -days)
+}
+
+/**
+ * CSV export component
+ * @param {Object} props
+ * @param {Function} props.onClose - Callback to close
+ */
+export default function CsvExport({ onClose }) {
+  const [shape, setShape] = useState('entries') // 'entries' | 'daily' | 'weight'
+  const [startDate, setStartDate] = useState(() => daysAgo(6))
+  const [endDate, setEndDate] = useState(() => daysAgo(0))
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const quickRanges = [
+    ['Last 7 days', 6],
+    ['Last 30 days', 29],
+    ['Last 90 days', 89],
+  ]
+
+  const handleExport = async () => {
+    if (startDate > endDate) {
+      setError('Start date must be before end date.')
+      return
+    }
+
+    setExporting(true)
+    setError(null)
+    try {
+      const { csv, rowCount } = await exportCsv(shape, startDate, endDate)
+      if (rowCount === 0) {
+        setError('Nothing logged in this date range.')
+      } else {
+        downloadFile(csv, `protein-tracker-${shape}-${startDate}-to-${endDate}.csv`, 'text/csv')
+        onClose()
+      }
+    } catch (err) {
+      console.error('CSV export error:', err)
+      setError('Export failed. Please try again.')
+    }
+    setExporting(false)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center">
+      <div className="bg-white w-full sm:max-w-md sm:rounded-2xl rounded-t-2xl p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">
+            Export CSV
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Shape selection */}
+        <div className="grid grid-cols-3 gap-2 mb-6">
+          {[
+            ['entries', 'Food entries', 'One row per food'],
+            ['daily', 'Daily summary', 'Total vs goal per day'],
+            ['weight', 'Weigh-ins', 'Scale and trend weight'],
+          ].map(([key, label, description]) => (
+            <button
+              key={key}
+              onClick={() => setShape(key)}
+              className={`p-3 rounded-xl text-left transition-colors ${
+                shape === key ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              <span className="font-medium block">{label}</span>
+              <span className={`text-xs ${shape === key ? 'text-white/80' : 'text-gray-500'}`}>
+                {description}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {/* Date range */}
+        <div className="mb-4">
+          <p className="text-sm text-gray-500 mb-2">Date range</p>
+          <div className="flex gap-2 mb-3">
+            {quickRanges.map(([label, days]) => (
+              <button
+                key={label}
+                onClick={() => {
+                  setStartDate(daysAgo(days))
+                  setEndDate(daysAgo(0))
+                }}
+                className="flex-1 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={startDate}
+              max={endDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="input-field"
+            />
+            <span className="text-gray-400">to</span>
+            <input
+              type="date"
+              value={endDate}
+              min={startDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="input-field"
+            />
+          </div>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 mb-4">{error}</p>
+        )}
+
+        <button
+          onClick={handleExport}
+          disabled={exporting || !startDate || !endDate}
+          className="btn-primary w-full"
+        >
+          {exporting ? 'Exporting...' : 'Download CSV'}
+        </button>
+      </div>
+    </div>
+  )
+}
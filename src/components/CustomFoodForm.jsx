@@ -0,0 +1,226 @@
+// Custom food form for creating and editing foods in the personal library
+
+import { useState } from 'react'
+import { saveCustomFood, deleteCustomFood } from '../services/storage'
+import { MACROS, MACRO_KEYS, CUSTOM_FOOD_UNITS } from '../utils/constants'
+import { MASS_UNITS, getServingGrams, describeServingWeight } from '../utils/units'
+
+/**
+ * Custom food form component
+ * @param {Object} props
+ * @param {Object} props.food - Existing custom food to edit (omit to create)
+ * @param {string} props.initialName - Prefilled name when creating from a search
+ * @param {Function} props.onSaved - Callback with the saved food
+ * @param {Function} props.onDeleted - Callback with the deleted food's id
+ * @param {Function} props.onClose - Callback to close
+ */
+export default function CustomFoodForm({ food, initialName = '', onSaved, onDeleted, onClose }) {
+  const [form, setForm] = useState(() => ({
+    name: food?.name ?? initialName,
+    brand: food?.brand ?? '',
+    servingSize: food?.servingSize ?? 100,
+    servingUnit: food?.servingUnit ?? 'g',
+    servingWeight: (food && getServingGrams(food, food.servingSize)) ?? '',
+    protein: food?.protein ?? '',
+    ...Object.fromEntries(MACRO_KEYS.map(key => [key, food?.[key] ?? ''])),
+  }))
+  const [showMacros, setShowMacros] = useState(() => MACRO_KEYS.some(key => food?.[key] != null))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value })
+
+  // Foods measured in ml, cups or pieces can also be logged by weight once it's known
+  const needsWeight = !Object.hasOwn(MASS_UNITS, form.servingUnit)
+
+  const handleSave = async () => {
+    const servingSize = Number(form.servingSize)
+    const protein = Number(form.protein)
+
+    if (!form.name.trim()) {
+      setError('Give the food a name.')
+      return
+    }
+    if (!(servingSize > 0)) {
+      setError('Serving size must be greater than zero.')
+      return
+    }
+    if (form.protein === '' || !(protein >= 0)) {
+      setError('Enter the protein per serving.')
+      return
+    }
+
+    setSaving(true)
+    // The weight is stored as a household measure or density - drop the old one first
+    const { measures, density, ...existing } = food || {}
+    const saved = await saveCustomFood({
+      ...existing,
+      name: form.name.trim(),
+      brand: form.brand.trim(),
+      servingSize,
+      servingUnit: form.servingUnit,
+      ...(needsWeight && describeServingWeight(servingSize, form.servingUnit, Number(form.servingWeight))),
+      protein,
+      // Blank macros mean "unknown", not zero
+      ...Object.fromEntries(MACRO_KEYS.map(key => [key, form[key] === '' ? null : Number(form[key])])),
+    })
+    setSaving(false)
+
+    if (saved) {
+      onSaved(saved)
+    } else {
+      setError('Could not save this food. Please try again.')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${food.name}" from your foods? Logged entries are kept.`)) return
+    if (await deleteCustomFood(food.id)) {
+      onDeleted(food.id)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-end sm:items-center justify-center">
+      <div className="bg-white w-full sm:max-w-md sm:rounded-2xl rounded-t-2xl p-6 max-h-screen overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">
+            {food ? 'Edit Food' : 'Create Food'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="space-y-4 mb-6">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Name</span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={update('name')}
+              placeholder="e.g. Gym cafeteria chicken bowl"
+              className="input-field mt-1"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Brand (optional)</span>
+            <input
+              type="text"
+              value={form.brand}
+              onChange={update('brand')}
+              className="input-field mt-1"
+            />
+          </label>
+
+          <div>
+            <span className="text-sm font-medium text-gray-700">Serving size</span>
+            <div className="flex gap-2 mt-1">
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={form.servingSize}
+                onChange={update('servingSize')}
+                className="input-field w-28 text-center"
+              />
+              <select
+                value={form.servingUnit}
+                onChange={update('servingUnit')}
+                className="input-field flex-1"
+              >
+                {CUSTOM_FOOD_UNITS.map(unit => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {needsWeight && (
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Serving weight in grams (optional)</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={form.servingWeight}
+                onChange={update('servingWeight')}
+                placeholder="Lets you log it in g or oz too"
+                className="input-field mt-1"
+              />
+            </label>
+          )}
+
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Protein per serving (g)</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.protein}
+              onChange={update('protein')}
+              className="input-field mt-1"
+            />
+          </label>
+
+          {/* Optional macros */}
+          <div>
+            <button
+              onClick={() => setShowMacros(!showMacros)}
+              className="text-sm text-protein font-medium hover:underline"
+            >
+              {showMacros ? 'Hide other nutrients' : 'Add other nutrients (optional)'}
+            </button>
+            {showMacros && (
+              <div className="grid grid-cols-2 gap-3 mt-3">
+                {MACRO_KEYS.map((key) => (
+                  <label key={key} className="block">
+                    <span className="text-xs text-gray-500">
+                      {MACROS[key].label} ({MACROS[key].unit})
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={form[key]}
+                      onChange={update(key)}
+                      className="input-field py-2"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 mb-4">{error}</p>
+        )}
+
+        <div className="flex gap-2">
+          {food && (
+            <button
+              onClick={handleDelete}
+              className="btn-secondary text-red-600"
+            >
+              Delete
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="btn-primary flex-1"
+          >
+            {saving ? 'Saving...' : 'Save Food'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -2,42 +2,95 @@
 
 import { useState } from 'react'
 import { formatDate, formatProtein } from '../utils/formatters'
+import { toDateKey, getTodayKey } from '../utils/dates'
+import { getMealLabel, getDefaultMealKey } from '../utils/meals'
+import { getGoalPlan, hasDayTypeGoals, DAY_TYPES } from '../utils/goals'
+import { resolveMealTargets, calculateDistributionScore } from '../utils/distribution'
+import { getStreakKey } from '../utils/streaks'
+import { useBodyWeight } from '../hooks/useBodyWeight'
+import { useStreaks } from '../hooks/useStreaks'
 import ProgressBar from './ProgressBar'
 import MealLog from './MealLog'
+import MealTimeline from './MealTimeline'
 import FoodSearch from './FoodSearch'
 import GoalSetter from './GoalSetter'
+import MacroSummary from './MacroSummary'
+import WeightCard from './WeightCard'
+import StreakCard from './StreakCard'
 import History from './History'
+import MonthCalendar from './MonthCalendar'
+import Settings from './Settings'
+import EditEntrySheet from './EditEntrySheet'
+import CopyFoodsSheet from './CopyFoodsSheet'
+import TemplateBuilder from './TemplateBuilder'
 
 /**
  * Dashboard component
  * @param {Object} props
  * @param {Object} props.log - Current day's log
- * @param {number} props.goal - Protein goal
+ * @param {number} props.goal - Protein goal in force for the day
+ * @param {Array} props.goalSchedule - Dated goal plans
+ * @param {Object} props.macroGoals - Optional macro goals
+ * @param {Object} props.mealTargets - Per-meal protein target settings
  * @param {number} props.progress - Progress percentage
  * @param {number} props.remaining - Remaining protein
  * @param {boolean} props.isGoalReached - Whether goal is reached
  * @param {Function} props.onAddFood - Add food callback
+ * @param {Function} props.onAddTemplate - Log meal template callback
  * @param {Function} props.onRemoveFood - Remove food callback
- * @param {Function} props.onSetGoal - Set goal callback
+ * @param {Function} props.onUpdateFood - Edit logged food callback
+ * @param {Function} props.onCopyFoods - Copy meal/day callback (sourceDate, targetDate, options)
+ * @param {Function} props.onSetGoalPlan - Save a goal plan callback
+ * @param {Function} props.onRemoveGoalPlan - Remove a dated goal change callback
+ * @param {Function} props.onSetDayType - Mark the day as training/rest callback
+ * @param {Function} props.onSetMacroGoals - Set macro goals callback
+ * @param {Function} props.onSetMealTargets - Set per-meal target settings callback
  * @param {Date} props.currentDate - Current date
  * @param {Function} props.onDateChange - Date change callback
+ * @param {Function} props.onDataChanged - Called after bulk data changes (e.g. backup import)
+ * @param {number} props.otherDaysVersion - Bumped when days other than the current one change
  */
 export default function Dashboard({
   log,
   goal,
+  goalSchedule,
+  macroGoals,
+  mealTargets,
   progress,
   remaining,
   isGoalReached,
   onAddFood,
+  onAddTemplate,
   onRemoveFood,
-  onSetGoal,
+  onUpdateFood,
+  onCopyFoods,
+  onSetGoalPlan,
+  onRemoveGoalPlan,
+  onSetDayType,
+  onSetMacroGoals,
+  onSetMealTargets,
   currentDate,
   onDateChange,
+  onDataChanged,
+  otherDaysVersion,
 }) {
   const [showSearch, setShowSearch] = useState(false)
   const [showGoalSetter, setShowGoalSetter] = useState(false)
   const [showHistory, setShowHistory] = useState(false)
+  const [showCalendar, setShowCalendar] = useState(false)
+  const [showSettings, setShowSettings] = useState(false)
   const [selectedMealType, setSelectedMealType] = useState(null)
+  const [editingEntry, setEditingEntry] = useState(null) // { mealType, food }
+  const [copySheet, setCopySheet] = useState(null) // { mode: 'meal' | 'day', mealType? }
+  const [templateDraft, setTemplateDraft] = useState(null) // { name, items } from a logged meal
+  const [mealView, setMealView] = useState('meals') // 'meals' | 'timeline'
+  const isToday = toDateKey(currentDate) === getTodayKey()
+  const bodyWeight = useBodyWeight()
+  const weighIn = bodyWeight.weighIns.find(entry => entry.date === log.date)
+  const streaks = useStreaks(`${getStreakKey(log)}:${otherDaysVersion}`)
+  const perMealTargets = resolveMealTargets(mealTargets, goal)
+  const distributionScore = perMealTargets && calculateDistributionScore(log.meals, perMealTargets)
+  const showDayType = hasDayTypeGoals(getGoalPlan(goalSchedule, toDateKey(currentDate))) || Boolean(log.dayType)
 
   // Navigate to previous/next day
   const goToPreviousDay = () => {
@@ -49,20 +102,44 @@ export default function Dashboard({
   const goToNextDay = () => {
     const next = new Date(currentDate)
     next.setDate(next.getDate() + 1)
-    if (next <= new Date()) {
+    if (toDateKey(next) <= getTodayKey()) {
       onDateChange(next)
     }
   }
 
+  // Apply a goal suggested for a new body weight from today on
+  const handleWeightGoal = (newGoal) => {
+    const todayKey = getTodayKey()
+    onSetGoalPlan({
+      ...getGoalPlan(goalSchedule, todayKey),
+      from: todayKey,
+      weekdays: Array(7).fill(newGoal),
+    })
+  }
+
+  // Reload weigh-ins and streaks along with the log after an import or settings change
+  const handleDataChanged = () => {
+    bodyWeight.reload()
+    streaks.reload()
+    onDataChanged()
+  }
+
   // Handle opening search for specific meal
   const handleAddFood = (mealType) => {
     setSelectedMealType(mealType)
     setShowSearch(true)
   }
 
+  // Copy the previous day's meal into the same meal today
+  const handleCopyPrevious = (mealType) => {
+    const prev = new Date(currentDate)
+    prev.setDate(prev.getDate() - 1)
+    onCopyFoods(prev, currentDate, { mealType })
+  }
+
   // Handle adding food from search
   const handleFoodAdd = (mealType, food) => {
-    onAddFood(mealType || selectedMealType || 'breakfast', food)
+    onAddFood(mealType || selectedMealType || getDefaultMealKey(), food)
   }
 
   return (
@@ -71,14 +148,27 @@ export default function Dashboard({
       <header className="bg-protein text-white p-4 pb-24">
         <div className="flex items-center justify-between mb-4">
           <h1 className="text-xl font-semibold">Protein Tracker</h1>
-          <button
-            onClick={() => setShowHistory(true)}
-            className="p-2 hover:bg-white/10 rounded-lg transition-colors"
-          >
-            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-            </svg>
-          </button>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => setShowHistory(true)}
+              className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+              aria-label="History"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+              </svg>
+            </button>
+            <button
+              onClick={() => setShowSettings(true)}
+              className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+              aria-label="Settings"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+            </button>
+          </div>
         </div>
 
         {/* Date navigation */}
@@ -91,12 +181,16 @@ export default function Dashboard({
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
             </svg>
           </button>
-          <span className="text-lg font-medium min-w-[120px] text-center">
+          <button
+            onClick={() => setShowCalendar(true)}
+            className="text-lg font-medium min-w-[120px] text-center px-2 py-1 hover:bg-white/10 rounded-lg transition-colors"
+            aria-label="Pick a date"
+          >
             {formatDate(currentDate)}
-          </span>
+          </button>
           <button
             onClick={goToNextDay}
-            disabled={formatDate(currentDate) === 'Today'}
+            disabled={isToday}
             className="p-2 hover:bg-white/10 rounded-lg transition-colors disabled:opacity-30"
           >
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -132,6 +226,26 @@ export default function Dashboard({
             </p>
           )}
 
+          {/* Training/rest day toggle - only when the goal plan sets those goals */}
+          {showDayType && (
+            <div className="mt-4 flex gap-2">
+              {Object.entries(DAY_TYPES).map(([dayType, { label }]) => (
+                <button
+                  key={dayType}
+                  onClick={() => onSetDayType(log.dayType === dayType ? null : dayType)}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                    log.dayType === dayType
+                      ? 'bg-protein text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                  aria-pressed={log.dayType === dayType}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Set goal button */}
           <button
             onClick={() => setShowGoalSetter(true)}
@@ -142,6 +256,31 @@ export default function Dashboard({
         </div>
       </div>
 
+      {/* Streaks */}
+      <div className="px-4 mt-4">
+        <StreakCard stats={streaks.stats} achievements={streaks.achievements} />
+      </div>
+
+      {/* Macro summary */}
+      <div className="px-4 mt-4">
+        <MacroSummary totals={log.totals} goals={macroGoals} />
+      </div>
+
+      {/* Body weight */}
+      <div className="px-4 mt-4">
+        <WeightCard
+          key={log.date}
+          weighIn={weighIn}
+          trendWeightKg={bodyWeight.trendWeightKg}
+          weeklyRate={bodyWeight.weeklyRate}
+          unit={bodyWeight.unit}
+          totalProtein={log.totalProtein}
+          goal={goal}
+          onLogWeight={(weight, unit) => bodyWeight.logWeight(log.date, weight, unit)}
+          onUpdateGoal={handleWeightGoal}
+        />
+      </div>
+
       {/* Quick add button */}
       <div className="px-4 mt-4">
         <button
@@ -160,18 +299,65 @@ export default function Dashboard({
 
       {/* Meal log */}
       <div className="px-4 mt-6">
-        <h2 className="text-lg font-semibold text-gray-900 mb-3">Today's Meals</h2>
-        <MealLog
-          meals={log.meals}
-          onRemoveFood={onRemoveFood}
-          onAddFood={handleAddFood}
-        />
+        <div className="flex items-center justify-between mb-3">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Today's Meals</h2>
+            {distributionScore != null && (
+              <p className="text-xs text-gray-500">
+                Distribution score <span className="font-semibold text-protein">{distributionScore}</span>/100
+              </p>
+            )}
+          </div>
+          <button
+            onClick={() => setCopySheet({ mode: 'day' })}
+            className="text-sm text-protein font-medium hover:underline"
+          >
+            Repeat a day
+          </button>
+        </div>
+        <div className="flex gap-2 mb-3">
+          {[['meals', 'By meal'], ['timeline', 'Timeline']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setMealView(key)}
+              className={`flex-1 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                mealView === key ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-600'
+              }`}
+              aria-pressed={mealView === key}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {mealView === 'timeline' ? (
+          <MealTimeline
+            meals={log.meals}
+            dateKey={log.date}
+            onEditFood={(mealType, food) => setEditingEntry({ mealType, food })}
+          />
+        ) : (
+          <MealLog
+            meals={log.meals}
+            targets={perMealTargets}
+            onRemoveFood={onRemoveFood}
+            onEditFood={(mealType, food) => setEditingEntry({ mealType, food })}
+            onAddFood={handleAddFood}
+            onCopyMeal={(mealType) => setCopySheet({ mode: 'meal', mealType })}
+            onCopyPrevious={handleCopyPrevious}
+            onSaveTemplate={(mealType) => setTemplateDraft({
+              name: `My ${getMealLabel(mealType).toLowerCase()}`,
+              items: log.meals[mealType] || [],
+            })}
+            isToday={isToday}
+          />
+        )}
       </div>
 
       {/* Modals */}
       {showSearch && (
         <FoodSearch
           onAdd={handleFoodAdd}
+          onAddTemplate={onAddTemplate}
           onClose={() => {
             setShowSearch(false)
             setSelectedMealType(null)
@@ -181,12 +367,90 @@ export default function Dashboard({
 
       {showGoalSetter && (
         <GoalSetter
-          currentGoal={goal}
-          onSetGoal={onSetGoal}
+          schedule={goalSchedule}
+          currentMacroGoals={macroGoals}
+          currentMealTargets={mealTargets}
+          onSaveGoalPlan={onSetGoalPlan}
+          onRemoveGoalPlan={onRemoveGoalPlan}
+          onSetMacroGoals={onSetMacroGoals}
+          onSetMealTargets={onSetMealTargets}
           onClose={() => setShowGoalSetter(false)}
         />
       )}
 
+      {editingEntry && (
+        <EditEntrySheet
+          food={editingEntry.food}
+          mealType={editingEntry.mealType}
+          onSave={onUpdateFood}
+          onRemove={onRemoveFood}
+          onClose={() => setEditingEntry(null)}
+        />
+      )}
+
+      {copySheet && (
+        <CopyFoodsSheet
+          mode={copySheet.mode}
+          mealType={copySheet.mealType}
+          currentDate={currentDate}
+          onCopy={onCopyFoods}
+          onClose={() => setCopySheet(null)}
+        />
+      )}
+
+      {templateDraft && (
+        <TemplateBuilder
+          initialName={templateDraft.name}
+          initialItems={templateDraft.items}
+          onSaved={() => setTemplateDraft(null)}
+          onClose={() => setTemplateDraft(null)}
+        />
+      )}
+
+      {showSettings && (
+        <Settings
+          onClose={() => setShowSettings(false)}
+          onDataChanged={handleDataChanged}
+        />
+      )}
+
+      {showCalendar && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center">
+          <div className="bg-white w-full sm:max-w-md sm:rounded-2xl rounded-t-2xl p-6 safe-bottom">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-900">Go to date</h2>
+              <button
+                onClick={() => setShowCalendar(false)}
+                className="p-2 text-gray-400 hover:text-gray-600"
+                aria-label="Close calendar"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <MonthCalendar
+              selectedDate={currentDate}
+              onSelectDate={(date) => {
+                onDateChange(date)
+                setShowCalendar(false)
+              }}
+            />
+            {!isToday && (
+              <button
+                onClick={() => {
+                  onDateChange(new Date())
+                  setShowCalendar(false)
+                }}
+                className="btn-secondary w-full mt-4"
+              >
+                Back to today
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {showHistory && (
         <History
           onClose={() => setShowHistory(false)}
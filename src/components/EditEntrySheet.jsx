@@ -0,0 +1,180 @@
+// Edit sheet for a logged food - change serving, meal or time
+
+import { useState } from 'react'
+import { rescaleEntry, getEnteredServing } from '../utils/nutrients'
+import { formatProtein, formatNutrient } from '../utils/formatters'
+import { toDateKey, daysBetween } from '../utils/dates'
+import { MACROS, MACRO_KEYS } from '../utils/constants'
+import { getMealChoices } from '../utils/meals'
+import ServingInput from './ServingInput'
+
+/**
+ * Get the local HH:MM of a timestamp for a time input
+ * @param {string} isoString
+ * @returns {string}
+ */
+function toTimeInputValue(isoString) {
+  return new Date(isoString).toTimeString().slice(0, 5)
+}
+
+/**
+ * Edit entry sheet component
+ * @param {Object} props
+ * @param {Object} props.food - Logged food item
+ * @param {string} props.mealType - Meal the item is in
+ * @param {Function} props.onSave - Callback with (mealType, foodId, updates)
+ * @param {Function} props.onRemove - Callback with (mealType, foodId)
+ * @param {Function} props.onClose - Callback to close
+ */
+export default function EditEntrySheet({ food, mealType, onSave, onRemove, onClose }) {
+  const [serving, setServing] = useState(() => getEnteredServing(food))
+  const [selectedMeal, setSelectedMeal] = useState(mealType)
+  const [time, setTime] = useState(() => food.timestamp ? toTimeInputValue(food.timestamp) : '')
+  const [saving, setSaving] = useState(false)
+
+  const preview = rescaleEntry(food, serving.quantity || 0, serving.unit)
+  const hasMacros = MACRO_KEYS.some(key => preview[key] != null)
+
+  const handleSave = async () => {
+    const updates = {}
+    const entered = getEnteredServing(food)
+    if (serving.quantity !== entered.quantity || serving.unit !== entered.unit) {
+      updates.quantity = serving.quantity
+      updates.unit = serving.unit
+    }
+    if (selectedMeal !== mealType) {
+      updates.mealType = selectedMeal
+    }
+    if (time && time !== toTimeInputValue(food.timestamp)) {
+      // Same logical day, new time of day - times before the day start hour
+      // belong to the next calendar morning
+      const [hours, minutes] = time.split(':').map(Number)
+      const timestamp = new Date(food.timestamp)
+      timestamp.setHours(hours, minutes, 0, 0)
+      timestamp.setDate(timestamp.getDate() + daysBetween(toDateKey(timestamp), toDateKey(food.timestamp)))
+      updates.timestamp = timestamp.toISOString()
+    }
+
+    if (Object.keys(updates).length === 0) {
+      onClose()
+      return
+    }
+
+    setSaving(true)
+    const saved = await onSave(mealType, food.id, updates)
+    setSaving(false)
+    if (saved) {
+      onClose()
+    }
+  }
+
+  const handleRemove = () => {
+    onRemove(mealType, food.id)
+    onClose()
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center">
+      <div className="bg-white w-full sm:max-w-md sm:rounded-2xl rounded-t-2xl p-6 max-h-screen overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 truncate">
+            {food.name}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Serving size */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Serving Size
+          </label>
+          <ServingInput
+            food={food}
+            quantity={serving.quantity}
+            unit={serving.unit}
+            onChange={setServing}
+          />
+        </div>
+
+        {/* Recalculated nutrients */}
+        <div className="bg-green-50 rounded-xl p-4 mb-4">
+          <div className="text-2xl font-bold text-protein">
+            {formatProtein(preview.protein)} protein
+          </div>
+          {hasMacros && (
+            <div className="grid grid-cols-4 gap-2 mt-3 text-center">
+              {MACRO_KEYS.map(key => (
+                <div key={key}>
+                  <div className="text-sm font-semibold text-gray-900">
+                    {formatNutrient(preview[key], key)}
+                  </div>
+                  <div className="text-xs text-gray-500">{MACROS[key].label}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Meal selection */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Meal
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            {getMealChoices(mealType).map(({ key, label }) => (
+              <button
+                key={key}
+                onClick={() => setSelectedMeal(key)}
+                className={`p-3 rounded-xl text-left transition-colors ${
+                  selectedMeal === key
+                    ? 'bg-protein text-white'
+                    : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                <span className="font-medium">{label}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Time */}
+        {food.timestamp && (
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Time
+            </label>
+            <input
+              type="time"
+              value={time}
+              onChange={(e) => setTime(e.target.value)}
+              className="input-field w-36"
+            />
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleRemove}
+            className="btn-secondary text-red-600"
+          >
+            Remove
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || !(serving.quantity > 0)}
+            className="btn-primary flex-1"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
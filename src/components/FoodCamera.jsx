@@ -1,19 +1,26 @@
-// Camera capture component for food recognition
+// Camera capture component for food recognition and barcode scanning
 
 import { useState, useRef, useEffect, useCallback } from 'react'
+import { scanVideoFrame } from '../services/barcodeScanner'
+import { BARCODE_CONFIG } from '../utils/constants'
 
 /**
- * FoodCamera component - captures photos for food recognition
+ * FoodCamera component - captures photos for food recognition or scans barcodes
  * @param {Object} props
+ * @param {'photo'|'barcode'} props.mode - Capture photos or continuously scan for barcodes
  * @param {Function} props.onCapture - Callback when photo is captured (receives blob and image element)
+ * @param {Function} props.onBarcode - Callback when a barcode is decoded (receives the digits)
+ * @param {Function} props.onManualEntry - Callback to switch to typing a barcode
  * @param {Function} props.onClose - Callback to close camera
  */
-export default function FoodCamera({ onCapture, onClose }) {
+export default function FoodCamera({ mode = 'photo', onCapture, onBarcode, onManualEntry, onClose }) {
   const [stream, setStream] = useState(null)
   const [error, setError] = useState(null)
   const [facingMode, setFacingMode] = useState('environment') // 'environment' for back camera
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
+  const onBarcodeRef = useRef(onBarcode)
+  onBarcodeRef.current = onBarcode
 
   // Start camera stream
   const startCamera = useCallback(async () => {
@@ -63,6 +70,41 @@ export default function FoodCamera({ onCapture, onClose }) {
     }
   }, [facingMode]) // Re-start when facing mode changes
 
+  // Continuously decode frames while in barcode mode
+  useEffect(() => {
+    if (mode !== 'barcode' || !stream) return
+
+    let busy = false
+    let done = false
+    let lastCode = null
+    let reads = 0
+
+    const interval = setInterval(async () => {
+      if (busy || done) return
+      busy = true
+      try {
+        const code = await scanVideoFrame(videoRef.current, canvasRef.current)
+        if (code && !done) {
+          // Require a repeat read so a single misdecode doesn't trigger a lookup
+          reads = code === lastCode ? reads + 1 : 1
+          lastCode = code
+          if (reads >= BARCODE_CONFIG.CONFIRMATIONS) {
+            done = true
+            onBarcodeRef.current?.(code)
+          }
+        }
+      } catch (err) {
+        console.error('Barcode scan error:', err)
+      }
+      busy = false
+    }, BARCODE_CONFIG.SCAN_INTERVAL)
+
+    return () => {
+      done = true
+      clearInterval(interval)
+    }
+  }, [mode, stream])
+
   // Switch between front and back camera
   const toggleCamera = () => {
     stopCamera()
@@ -128,13 +170,19 @@ export default function FoodCamera({ onCapture, onClose }) {
             <div className="absolute inset-0 pointer-events-none">
               {/* Center guide */}
               <div className="absolute inset-0 flex items-center justify-center">
-                <div className="w-64 h-64 border-2 border-white/30 rounded-2xl" />
+                {mode === 'barcode' ? (
+                  <div className="w-72 h-40 border-2 border-white/60 rounded-2xl relative">
+                    <div className="absolute left-3 right-3 top-1/2 h-0.5 bg-red-500/80 animate-pulse" />
+                  </div>
+                ) : (
+                  <div className="w-64 h-64 border-2 border-white/30 rounded-2xl" />
+                )}
               </div>
               
               {/* Instructions */}
               <div className="absolute top-4 left-0 right-0 text-center pt-[env(safe-area-inset-top)]">
                 <p className="text-white/80 text-sm bg-black/30 inline-block px-3 py-1 rounded-full">
-                  Position food in the frame
+                  {mode === 'barcode' ? 'Line up the barcode inside the frame' : 'Position food in the frame'}
                 </p>
               </div>
             </div>
@@ -154,14 +202,24 @@ export default function FoodCamera({ onCapture, onClose }) {
           </svg>
         </button>
         
-        {/* Capture button */}
-        <button
-          onClick={capturePhoto}
-          disabled={!stream || error}
-          className="w-20 h-20 rounded-full bg-white hover:bg-gray-100 transition-colors disabled:opacity-30 flex items-center justify-center"
-        >
-          <div className="w-14 h-14 rounded-full border-4 border-gray-800" />
-        </button>
+        {mode === 'barcode' ? (
+          // Manual entry button - scanning runs continuously so there's no shutter
+          <button
+            onClick={onManualEntry}
+            className="px-5 py-3 rounded-full bg-white text-gray-900 font-medium hover:bg-gray-100 transition-colors"
+          >
+            Type barcode
+          </button>
+        ) : (
+          // Capture button
+          <button
+            onClick={capturePhoto}
+            disabled={!stream || error}
+            className="w-20 h-20 rounded-full bg-white hover:bg-gray-100 transition-colors disabled:opacity-30 flex items-center justify-center"
+          >
+            <div className="w-14 h-14 rounded-full border-4 border-gray-800" />
+          </button>
+        )}
         
         {/* Switch camera button */}
         <button
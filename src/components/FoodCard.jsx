@@ -1,18 +1,23 @@
 // Food card component for displaying individual food items
 
-import { formatProtein, formatTime } from '../utils/formatters'
+import { formatProtein, formatTime, formatNutrient, formatEnteredServing } from '../utils/formatters'
 
 /**
  * Food card component
  * @param {Object} props
  * @param {Object} props.food - Food item data
  * @param {Function} props.onRemove - Remove callback
+ * @param {Function} props.onEdit - Edit callback, makes the card tappable
  * @param {boolean} props.showTime - Whether to show timestamp
  */
-export default function FoodCard({ food, onRemove, showTime = true }) {
+export default function FoodCard({ food, onRemove, onEdit, showTime = true }) {
   return (
     <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl mb-2 group">
-      <div className="flex-1 min-w-0">
+      <div
+        className={`flex-1 min-w-0 ${onEdit ? 'cursor-pointer' : ''}`}
+        onClick={onEdit}
+        role={onEdit ? 'button' : undefined}
+      >
         <h4 className="font-medium text-gray-900 truncate">
           {food.name}
         </h4>
@@ -20,10 +25,16 @@ export default function FoodCard({ food, onRemove, showTime = true }) {
           <span className="font-semibold text-protein">
             {formatProtein(food.protein)}
           </span>
+          {food.calories != null && (
+            <>
+              <span>•</span>
+              <span>{formatNutrient(food.calories, 'calories')}</span>
+            </>
+          )}
           {food.servingSize && (
             <>
               <span>•</span>
-              <span>{food.servingSize}{food.servingUnit || 'g'}</span>
+              <span>{formatEnteredServing(food)}</span>
             </>
           )}
           {showTime && food.timestamp && (
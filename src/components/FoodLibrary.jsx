@@ -0,0 +1,201 @@
+// Personal food library - lists custom foods, recipes and meal templates for logging, editing and deleting
+
+import { useState, useEffect, useCallback } from 'react'
+import { getCustomFoods, getRecipes, getMealTemplates } from '../services/storage'
+import { recipeToFood } from '../services/nutritionApi'
+import { formatProtein, formatServing } from '../utils/formatters'
+import CustomFoodForm from './CustomFoodForm'
+import RecipeBuilder from './RecipeBuilder'
+import TemplateBuilder from './TemplateBuilder'
+
+/**
+ * Food library component
+ * @param {Object} props
+ * @param {Function} props.onSelectFood - Callback when a food or recipe is picked for logging
+ * @param {Function} props.onChanged - Callback after a library item is created, edited or deleted
+ */
+export default function FoodLibrary({ onSelectFood, onChanged }) {
+  const [view, setView] = useState('foods') // 'foods' | 'recipes' | 'templates'
+  const [foods, setFoods] = useState([])
+  const [recipes, setRecipes] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [editingFood, setEditingFood] = useState(null) // food object, 'new', or null
+  const [editingRecipe, setEditingRecipe] = useState(null) // recipe object, 'new', or null
+  const [editingTemplate, setEditingTemplate] = useState(null) // template object, 'new', or null
+
+  const loadLibrary = useCallback(async () => {
+    const [customFoods, savedRecipes, savedTemplates] = await Promise.all([
+      getCustomFoods(),
+      getRecipes(),
+      getMealTemplates(),
+    ])
+    setFoods(customFoods)
+    setRecipes(savedRecipes)
+    setTemplates(savedTemplates)
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    loadLibrary()
+  }, [loadLibrary])
+
+  const handleChanged = () => {
+    setEditingFood(null)
+    setEditingRecipe(null)
+    setEditingTemplate(null)
+    loadLibrary()
+    onChanged?.()
+  }
+
+  const items = view === 'foods'
+    ? foods.map(food => ({
+        key: food.id,
+        name: food.name,
+        detail: `${food.brand ? `${food.brand} • ` : ''}${formatServing(food.servingSize, food.servingUnit)}`,
+        protein: food.protein,
+        onSelect: () => onSelectFood(food),
+        onEdit: () => setEditingFood(food),
+      }))
+    : view === 'recipes'
+      ? recipes.map(recipe => {
+          const food = recipeToFood(recipe)
+          return {
+            key: recipe.id,
+            name: recipe.name,
+            detail: `${recipe.ingredients.length} ingredients • ${recipe.servings} servings`,
+            protein: food.protein,
+            onSelect: () => onSelectFood(food),
+            onEdit: () => setEditingRecipe(recipe),
+          }
+        })
+      : templates.map(template => ({
+          key: template.id,
+          name: template.name,
+          detail: template.items.map(item => item.name).join(', '),
+          protein: template.items.reduce((sum, item) => sum + (item.protein || 0), 0),
+          // Templates are logged from the search screen's meal buttons
+          onSelect: () => setEditingTemplate(template),
+          onEdit: () => setEditingTemplate(template),
+        }))
+
+  const createLabels = { foods: 'Create Food', recipes: 'New Recipe', templates: 'New Meal Template' }
+  const handleCreate = () => {
+    if (view === 'foods') setEditingFood('new')
+    else if (view === 'recipes') setEditingRecipe('new')
+    else setEditingTemplate('new')
+  }
+
+  return (
+    <div className="p-4">
+      {/* View toggle */}
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        {[
+          ['foods', 'Foods'],
+          ['recipes', 'Recipes'],
+          ['templates', 'Meals'],
+        ].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setView(key)}
+            className={`py-2 rounded-lg text-sm font-medium transition-colors ${
+              view === key ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={handleCreate}
+        className="btn-primary w-full mb-4 flex items-center justify-center gap-2"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+        </svg>
+        {createLabels[view]}
+      </button>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-protein"></div>
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          {view === 'foods' ? (
+            <>
+              <p>No foods saved yet</p>
+              <p className="text-sm mt-1">Create foods that aren't in the database, like homemade shakes</p>
+            </>
+          ) : view === 'recipes' ? (
+            <>
+              <p>No recipes yet</p>
+              <p className="text-sm mt-1">Build batch-cooked dishes once and log them by the serving</p>
+            </>
+          ) : (
+            <>
+              <p>No meal templates yet</p>
+              <p className="text-sm mt-1">Save foods you often eat together and log them in one tap</p>
+            </>
+          )}
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {items.map((item) => (
+            <div key={item.key} className="flex items-center">
+              <button
+                onClick={item.onSelect}
+                className="flex-1 py-3 flex items-center justify-between text-left hover:bg-gray-50 transition-colors"
+              >
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-900">{item.name}</div>
+                  <div className="text-sm text-gray-500 truncate">{item.detail}</div>
+                </div>
+                <div className="font-semibold text-protein">
+                  {formatProtein(item.protein)}
+                </div>
+              </button>
+              <button
+                onClick={item.onEdit}
+                className="ml-2 p-2 text-gray-400 hover:text-gray-600"
+                aria-label={`Edit ${item.name}`}
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editingFood && (
+        <CustomFoodForm
+          food={editingFood === 'new' ? null : editingFood}
+          onSaved={handleChanged}
+          onDeleted={handleChanged}
+          onClose={() => setEditingFood(null)}
+        />
+      )}
+
+      {editingRecipe && (
+        <RecipeBuilder
+          recipe={editingRecipe === 'new' ? null : editingRecipe}
+          onSaved={handleChanged}
+          onDeleted={handleChanged}
+          onClose={() => setEditingRecipe(null)}
+        />
+      )}
+
+      {editingTemplate && (
+        <TemplateBuilder
+          template={editingTemplate === 'new' ? null : editingTemplate}
+          onSaved={handleChanged}
+          onDeleted={handleChanged}
+          onClose={() => setEditingTemplate(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -1,20 +1,68 @@
-// Food search component with API integration and camera recognition
+// Food search component with API integration, barcode scanning and camera recognition
 
 import { useState, useEffect, useRef } from 'react'
-import { searchAllFoods, searchCommonFoods } from '../services/nutritionApi'
-import { formatProtein } from '../utils/formatters'
-import { MEAL_TYPES } from '../utils/constants'
+import { searchAllFoods, searchCommonFoods, searchCustomFoods, searchRecipes, recipeToFood } from '../services/nutritionApi'
+import { getRecipe, getRecentFoods, getFrequentFoods, getMealTemplates } from '../services/storage'
+import { formatProtein, formatNutrient, formatServing } from '../utils/formatters'
+import { MACROS, MACRO_KEYS, QUICK_ADD_CONFIG } from '../utils/constants'
+import { listMealSlots, getMealLabel, getDefaultMealKey, isActiveMealSlot } from '../utils/meals'
+import { scaleNutrients, createFoodEntry, getDefaultServing } from '../utils/nutrients'
+import { convertServing } from '../utils/units'
 import { useFoodRecognition } from '../hooks/useFoodRecognition'
+import { useBarcodeLookup } from '../hooks/useBarcodeLookup'
 import FoodCamera from './FoodCamera'
 import FoodRecognition from './FoodRecognition'
+import BarcodeEntry from './BarcodeEntry'
+import CustomFoodForm from './CustomFoodForm'
+import FoodLibrary from './FoodLibrary'
+import RecipeBuilder from './RecipeBuilder'
+import QuickAddList from './QuickAddList'
+import MealTemplateList from './MealTemplateList'
+import ServingInput from './ServingInput'
 
 /**
- * Food search component with camera tab
+ * Results shown before the user types - their own foods, then recipes, then popular common foods
+ * @returns {Promise<Array>}
+ */
+async function getDefaultResults() {
+  const [customFoods, recipes] = await Promise.all([searchCustomFoods(''), searchRecipes('')])
+  return [...customFoods, ...recipes, ...searchCommonFoods('').slice(0, 10)]
+}
+
+/**
+ * Load the quick-add sections - frequent foods from history, then recents not already shown
+ * @returns {Promise<Object>} { recent, frequent } as [{ food, mealType, count? }]
+ */
+async function getQuickAddFoods() {
+  const [recentFoods, frequent] = await Promise.all([
+    getRecentFoods(),
+    getFrequentFoods(QUICK_ADD_CONFIG.FREQUENT_LIMIT, QUICK_ADD_CONFIG.FREQUENT_DAYS),
+  ])
+  const frequentNames = new Set(frequent.map(item => item.food.name.toLowerCase()))
+  const recent = recentFoods
+    .filter(food => !frequentNames.has(food.name.toLowerCase()))
+    .slice(0, QUICK_ADD_CONFIG.RECENT_LIMIT)
+    .map(({ mealType, ...food }) => ({ food, mealType }))
+  return { recent, frequent }
+}
+
+/**
+ * Describe the amount a food's nutrient values refer to
+ * @param {Object} food
+ * @returns {string}
+ */
+function perServingLabel(food) {
+  return `per ${formatServing(food.servingSize || 100, food.servingUnit || 'g')}`
+}
+
+/**
+ * Food search component with barcode and camera tabs
  * @param {Object} props
  * @param {Function} props.onAdd - Callback when food is added
+ * @param {Function} props.onAddTemplate - Callback when a meal template is logged
  * @param {Function} props.onClose - Callback to close search
  */
-export default function FoodSearch({ onAdd, onClose }) {
+export default function FoodSearch({ onAdd, onAddTemplate, onClose }) {
   // Tab state
   const [activeTab, setActiveTab] = useState('search')
   
@@ -23,13 +71,26 @@ export default function FoodSearch({ onAdd, onClose }) {
   const [results, setResults] = useState([])
   const [loading, setLoading] = useState(false)
   const [selectedFood, setSelectedFood] = useState(null)
-  const [servingSize, setServingSize] = useState(100)
-  const [selectedMeal, setSelectedMeal] = useState('breakfast')
+  const [serving, setServing] = useState({ quantity: 100, unit: 'g' }) // as entered
+  const [selectedMeal, setSelectedMeal] = useState(() => getDefaultMealKey())
   const inputRef = useRef(null)
+
+  // Custom food state
+  const [editingFood, setEditingFood] = useState(null) // food object, 'new', or null
+  const [editingRecipe, setEditingRecipe] = useState(null) // recipe object, 'new', or null
+  const [showLibrary, setShowLibrary] = useState(false)
+  const [refreshKey, setRefreshKey] = useState(0)
+
+  // Quick-add state
+  const [quickAdd, setQuickAdd] = useState({ recent: [], frequent: [] })
+  const [templates, setTemplates] = useState([])
   
   // Camera state
   const [cameraState, setCameraState] = useState('idle') // 'idle' | 'capturing' | 'recognizing'
   
+  // Barcode state
+  const [barcodeMode, setBarcodeMode] = useState('scan') // 'scan' | 'manual'
+  
   // Recognition hook
   const {
     loading: recognitionLoading,
@@ -41,15 +102,29 @@ export default function FoodSearch({ onAdd, onClose }) {
     preloadModel
   } = useFoodRecognition()
 
+  // Barcode lookup hook
+  const {
+    loading: barcodeLoading,
+    error: barcodeError,
+    barcode,
+    lookup: lookupBarcode,
+    reset: resetBarcode
+  } = useBarcodeLookup()
+
   // Focus input on mount and preload model
   useEffect(() => {
     inputRef.current?.focus()
-    // Load initial common foods
-    setResults(searchCommonFoods('').slice(0, 10))
+    // Load recent and frequent foods for the empty state
+    getQuickAddFoods().then(setQuickAdd)
     // Preload recognition model in background
     preloadModel()
   }, [])
 
+  // Load meal templates, again after library changes
+  useEffect(() => {
+    getMealTemplates().then(setTemplates)
+  }, [refreshKey])
+
   // Debounced search
   useEffect(() => {
     const timer = setTimeout(async () => {
@@ -63,39 +138,101 @@ export default function FoodSearch({ onAdd, onClose }) {
         }
         setLoading(false)
       } else {
-        setResults(searchCommonFoods('').slice(0, 10))
+        setResults(await getDefaultResults())
       }
     }, 300)
 
     return () => clearTimeout(timer)
-  }, [query])
+  }, [query, refreshKey])
 
-  // Handle food selection
+  // Handle food selection - start from the food's serving, or the amount last logged
   const handleSelectFood = (food) => {
     setSelectedFood(food)
-    setServingSize(food.servingSize || 100)
+    setServing(getDefaultServing(food))
+  }
+
+  // Handle custom food saved - re-run the search and show the latest version
+  const handleFoodSaved = (food) => {
+    setEditingFood(null)
+    setRefreshKey(key => key + 1)
+    if (selectedFood?.id === food.id || !selectedFood) {
+      handleSelectFood(food)
+      setShowLibrary(false)
+    }
+  }
+
+  // Handle custom food deleted
+  const handleFoodDeleted = (id) => {
+    setEditingFood(null)
+    setRefreshKey(key => key + 1)
+    if (selectedFood?.id === id) {
+      setSelectedFood(null)
+    }
+  }
+
+  // Handle recipe saved - log from the updated recipe from now on
+  const handleRecipeSaved = (recipe) => {
+    setEditingRecipe(null)
+    setRefreshKey(key => key + 1)
+    if (selectedFood?.id === recipe.id || !selectedFood) {
+      setSelectedFood(recipeToFood(recipe))
+      setServing({ quantity: selectedFood?.id === recipe.id ? serving.quantity : 1, unit: 'serving' })
+      setShowLibrary(false)
+    }
+  }
+
+  // Handle recipe deleted
+  const handleRecipeDeleted = (id) => {
+    setEditingRecipe(null)
+    setRefreshKey(key => key + 1)
+    if (selectedFood?.id === id) {
+      setSelectedFood(null)
+    }
+  }
+
+  // Handle edit recipe from the details view
+  const handleEditRecipe = async () => {
+    const recipe = await getRecipe(selectedFood.recipeId)
+    if (recipe) {
+      setEditingRecipe(recipe)
+    }
+  }
+
+  // Handle one-tap add - repeat the last serving in the last meal
+  const handleQuickAdd = (item) => {
+    onAdd(isActiveMealSlot(item.mealType) ? item.mealType : selectedMeal, item.food)
+    onClose()
   }
 
-  // Calculate protein for custom serving
-  const calculateProtein = () => {
-    if (!selectedFood) return 0
-    const ratio = servingSize / (selectedFood.servingSize || 100)
-    return Math.round(selectedFood.protein * ratio * 10) / 10
+  // Handle one-tap template logging
+  const handleAddTemplate = (mealType, template) => {
+    onAddTemplate(mealType, template)
+    onClose()
+  }
+
+  // Handle opening a quick-add item to adjust it first
+  const handleQuickSelect = (item) => {
+    handleSelectFood(item.food)
+    if (isActiveMealSlot(item.mealType)) {
+      setSelectedMeal(item.mealType)
+    }
   }
 
+  // Calculate protein and macros for custom serving
+  const calculateNutrients = () => {
+    if (!selectedFood) return scaleNutrients({}, 0)
+    const amount = convertServing(selectedFood, serving.quantity, serving.unit) ?? 0
+    const ratio = amount / (selectedFood.servingSize || 100)
+    return scaleNutrients(selectedFood, ratio)
+  }
+
+  const calculateProtein = () => calculateNutrients().protein
+
   // Handle add food
   const handleAdd = () => {
     if (!selectedFood) return
     
-    const foodToAdd = {
-      name: selectedFood.name,
-      protein: calculateProtein(),
-      servingSize: servingSize,
-      servingUnit: selectedFood.servingUnit || 'g',
-      source: selectedFood.source,
-    }
-    
-    onAdd(selectedMeal, foodToAdd)
+    onAdd(selectedMeal, createFoodEntry(selectedFood, serving.quantity, serving.unit))
     onClose()
   }
 
@@ -108,8 +245,7 @@ export default function FoodSearch({ onAdd, onClose }) {
 
   // Handle recognition result selection
   const handleSelectRecognizedFood = (food) => {
-    setSelectedFood(food)
-    setServingSize(food.servingSize || 100)
+    handleSelectFood(food)
     resetRecognition()
   }
 
@@ -123,9 +259,35 @@ export default function FoodSearch({ onAdd, onClose }) {
   const handleManualSearch = () => {
     setActiveTab('search')
     resetRecognition()
+    resetBarcode()
     setCameraState('idle')
   }
 
+  // Handle opening the barcode tab - always start with the live scanner
+  const handleBarcodeTab = () => {
+    resetBarcode()
+    setBarcodeMode('scan')
+    setActiveTab('barcode')
+  }
+
+  // Handle scanned or typed barcode - open the product in the serving picker
+  const handleBarcode = async (code) => {
+    setBarcodeMode('manual')
+    const food = await lookupBarcode(code)
+    if (food) {
+      handleSelectFood(food)
+      setActiveTab('search')
+    }
+  }
+
+  // Handle rescan after a failed lookup
+  const handleRescan = () => {
+    resetBarcode()
+    setBarcodeMode('scan')
+  }
+
+  const servingNutrients = calculateNutrients()
+
   return (
     <div className="fixed inset-0 bg-black/50 z-50 flex flex-col">
       {/* Camera mode - full screen camera with overlay controls */}
@@ -134,6 +296,13 @@ export default function FoodSearch({ onAdd, onClose }) {
           onCapture={handleCameraCapture}
           onClose={onClose}
         />
+      ) : activeTab === 'barcode' && barcodeMode === 'scan' ? (
+        <FoodCamera
+          mode="barcode"
+          onBarcode={handleBarcode}
+          onManualEntry={() => setBarcodeMode('manual')}
+          onClose={onClose}
+        />
       ) : (
         <>
           {/* Header with tabs - only shown for search mode or recognition results */}
@@ -185,6 +354,21 @@ export default function FoodSearch({ onAdd, onClose }) {
                   Search
                 </div>
               </button>
+              <button
+                onClick={handleBarcodeTab}
+                className={`flex-1 py-3 px-4 text-center font-medium transition-colors ${
+                  activeTab === 'barcode'
+                    ? 'text-protein border-b-2 border-protein'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <div className="flex items-center justify-center gap-2">
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6v12M7 6v12M10 6v12M14 6v12M17 6v12M20 6v12" />
+                  </svg>
+                  Barcode
+                </div>
+              </button>
               <button
                 onClick={() => setActiveTab('camera')}
                 className={`flex-1 py-3 px-4 text-center font-medium transition-colors ${
@@ -212,15 +396,33 @@ export default function FoodSearch({ onAdd, onClose }) {
                 {selectedFood ? (
                   // Food details view
                   <div className="p-4">
-                    <button 
-                      onClick={() => setSelectedFood(null)}
-                      className="flex items-center gap-2 text-gray-500 mb-4"
-                    >
-                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
-                      </svg>
-                      Back to results
-                    </button>
+                    <div className="flex items-center justify-between mb-4">
+                      <button 
+                        onClick={() => setSelectedFood(null)}
+                        className="flex items-center gap-2 text-gray-500"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                        </svg>
+                        Back to results
+                      </button>
+                      {selectedFood.source === 'custom' && selectedFood.id && (
+                        <button
+                          onClick={() => setEditingFood(selectedFood)}
+                          className="text-sm text-protein font-medium hover:underline"
+                        >
+                          Edit food
+                        </button>
+                      )}
+                      {selectedFood.source === 'recipe' && (
+                        <button
+                          onClick={handleEditRecipe}
+                          className="text-sm text-protein font-medium hover:underline"
+                        >
+                          Edit recipe
+                        </button>
+                      )}
+                    </div>
 
                     <div className="card mb-4">
                       <h3 className="text-xl font-semibold text-gray-900 mb-2">
@@ -244,7 +446,7 @@ export default function FoodSearch({ onAdd, onClose }) {
                         <span className="text-3xl font-bold text-protein">
                           {formatProtein(selectedFood.protein)}
                         </span>
-                        <span className="text-gray-500">per 100g</span>
+                        <span className="text-gray-500">{perServingLabel(selectedFood)}</span>
                       </div>
                     </div>
 
@@ -253,15 +455,13 @@ export default function FoodSearch({ onAdd, onClose }) {
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Serving Size
                       </label>
-                      <div className="flex items-center gap-3">
-                        <input
-                          type="number"
-                          value={servingSize}
-                          onChange={(e) => setServingSize(Math.max(1, Number(e.target.value)))}
-                          className="input-field w-24 text-center"
-                        />
-                        <span className="text-gray-500">{selectedFood.servingUnit || 'g'}</span>
-                      </div>
+                      <ServingInput
+                        food={selectedFood}
+                        quantity={serving.quantity}
+                        unit={serving.unit}
+                        onChange={setServing}
+                        step={selectedFood.source === 'recipe' ? 0.25 : 'any'}
+                      />
                     </div>
 
                     {/* Calculated protein */}
@@ -270,6 +470,18 @@ export default function FoodSearch({ onAdd, onClose }) {
                       <div className="text-2xl font-bold text-protein">
                         {formatProtein(calculateProtein())} protein
                       </div>
+                      {MACRO_KEYS.some(key => selectedFood[key] != null) && (
+                        <div className="grid grid-cols-4 gap-2 mt-3 text-center">
+                          {MACRO_KEYS.map(key => (
+                            <div key={key}>
+                              <div className="text-sm font-semibold text-gray-900">
+                                {formatNutrient(servingNutrients[key], key)}
+                              </div>
+                              <div className="text-xs text-gray-500">{MACROS[key].label}</div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
 
                     {/* Meal selection */}
@@ -278,7 +490,7 @@ export default function FoodSearch({ onAdd, onClose }) {
                         Add to meal
                       </label>
                       <div className="grid grid-cols-2 gap-2">
-                        {Object.entries(MEAL_TYPES).map(([key, meal]) => (
+                        {listMealSlots().map(({ key, label }) => (
                           <button
                             key={key}
                             onClick={() => setSelectedMeal(key)}
@@ -288,7 +500,7 @@ export default function FoodSearch({ onAdd, onClose }) {
                                 : 'bg-gray-100 text-gray-700'
                             }`}
                           >
-                            <span className="font-medium">{meal.label}</span>
+                            <span className="font-medium">{label}</span>
                           </button>
                         ))}
                       </div>
@@ -297,14 +509,90 @@ export default function FoodSearch({ onAdd, onClose }) {
                     {/* Add button */}
                     <button
                       onClick={handleAdd}
+                      disabled={!(serving.quantity > 0)}
                       className="btn-primary w-full text-lg"
                     >
-                      Add to {MEAL_TYPES[selectedMeal].label}
+                      Add to {getMealLabel(selectedMeal)}
                     </button>
                   </div>
+                ) : showLibrary ? (
+                  // Personal food library
+                  <>
+                    <button
+                      onClick={() => setShowLibrary(false)}
+                      className="flex items-center gap-2 text-gray-500 px-4 pt-4"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                      </svg>
+                      Back to search
+                    </button>
+                    <FoodLibrary
+                      onSelectFood={(food) => {
+                        handleSelectFood(food)
+                        setShowLibrary(false)
+                      }}
+                      onChanged={() => setRefreshKey(key => key + 1)}
+                    />
+                  </>
                 ) : (
                   // Search results
                   <>
+                    {/* Custom food actions */}
+                    <div className="flex gap-2 p-4 pb-2">
+                      <button
+                        onClick={() => setEditingFood('new')}
+                        className="flex-1 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        + Food
+                      </button>
+                      <button
+                        onClick={() => setEditingRecipe('new')}
+                        className="flex-1 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        + Recipe
+                      </button>
+                      <button
+                        onClick={() => setShowLibrary(true)}
+                        className="flex-1 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        My foods
+                      </button>
+                    </div>
+
+                    {/* Meal templates matching the search */}
+                    {onAddTemplate && (
+                      <MealTemplateList
+                        templates={templates.filter(template =>
+                          template.name.toLowerCase().includes(query.trim().toLowerCase())
+                        )}
+                        onAdd={handleAddTemplate}
+                      />
+                    )}
+
+                    {/* Recent and frequent foods */}
+                    {!query.trim() && (
+                      <>
+                        <QuickAddList
+                          title="Most frequent"
+                          items={quickAdd.frequent}
+                          onAdd={handleQuickAdd}
+                          onSelect={handleQuickSelect}
+                        />
+                        <QuickAddList
+                          title="Recent"
+                          items={quickAdd.recent}
+                          onAdd={handleQuickAdd}
+                          onSelect={handleQuickSelect}
+                        />
+                        {(quickAdd.frequent.length > 0 || quickAdd.recent.length > 0) && (
+                          <h3 className="px-4 pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+                            Foods
+                          </h3>
+                        )}
+                      </>
+                    )}
+
                     {loading ? (
                       <div className="flex items-center justify-center py-12">
                         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-protein"></div>
@@ -318,7 +606,19 @@ export default function FoodSearch({ onAdd, onClose }) {
                             className="w-full p-4 flex items-center justify-between hover:bg-gray-50 transition-colors"
                           >
                             <div className="text-left">
-                              <div className="font-medium text-gray-900">{food.name}</div>
+                              <div className="font-medium text-gray-900 flex items-center gap-2">
+                                {food.name}
+                                {food.source === 'custom' && (
+                                  <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-green-100 text-protein">
+                                    My food
+                                  </span>
+                                )}
+                                {food.source === 'recipe' && (
+                                  <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-orange-100 text-orange-600">
+                                    Recipe
+                                  </span>
+                                )}
+                              </div>
                               {food.brand && (
                                 <div className="text-sm text-gray-500">{food.brand}</div>
                               )}
@@ -327,7 +627,7 @@ export default function FoodSearch({ onAdd, onClose }) {
                               <div className="font-semibold text-protein">
                                 {formatProtein(food.protein)}
                               </div>
-                              <div className="text-xs text-gray-400">per 100g</div>
+                              <div className="text-xs text-gray-400">{perServingLabel(food)}</div>
                             </div>
                           </button>
                         ))}
@@ -339,11 +639,29 @@ export default function FoodSearch({ onAdd, onClose }) {
                         </svg>
                         <p>No foods found</p>
                         <p className="text-sm mt-1">Try a different search term</p>
+                        {query.trim() && (
+                          <button
+                            onClick={() => setEditingFood('new')}
+                            className="btn-primary mt-4"
+                          >
+                            Create "{query.trim()}"
+                          </button>
+                        )}
                       </div>
                     )}
                   </>
                 )}
               </div>
+            ) : activeTab === 'barcode' ? (
+              // Barcode tab content - manual entry and lookup status
+              <BarcodeEntry
+                barcode={barcode}
+                loading={barcodeLoading}
+                error={barcodeError}
+                onSubmit={handleBarcode}
+                onRescan={handleRescan}
+                onManualSearch={handleManualSearch}
+              />
             ) : (
               // Camera tab content - recognition results view
               <div className="flex flex-col flex-1 min-h-0 bg-white">
@@ -361,6 +679,27 @@ export default function FoodSearch({ onAdd, onClose }) {
           </div>
         </>
       )}
+
+      {/* Create / edit custom food */}
+      {editingFood && (
+        <CustomFoodForm
+          food={editingFood === 'new' ? null : editingFood}
+          initialName={query.trim()}
+          onSaved={handleFoodSaved}
+          onDeleted={handleFoodDeleted}
+          onClose={() => setEditingFood(null)}
+        />
+      )}
+
+      {/* Create / edit recipe */}
+      {editingRecipe && (
+        <RecipeBuilder
+          recipe={editingRecipe === 'new' ? null : editingRecipe}
+          onSaved={handleRecipeSaved}
+          onDeleted={handleRecipeDeleted}
+          onClose={() => setEditingRecipe(null)}
+        />
+      )}
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,227 @@
+// Goal calculator - recommends a protein range from body weight, activity and phase
+
+import { useState, useEffect } from 'react'
+import { getGoalCalculator, setGoalCalculator } from '../services/storage'
+import { ACTIVITY_LEVELS, GOAL_PHASES } from '../utils/constants'
+import { calculateGoalRange, suggestGoalForWeight } from '../utils/goals'
+import { WEIGHT_UNITS, toKilograms, fromKilograms, toProteinRatio, getPreferredWeightUnit } from '../utils/units'
+import { formatProteinRatio } from '../utils/formatters'
+
+const DEFAULT_INPUTS = {
+  weight: '',
+  leanMass: '',
+  bodyFat: '',
+  activity: 'active',
+  phase: 'maintain',
+}
+
+/**
+ * Show the calculator's weights in another unit, keeping the same body
+ * @param {Object} inputs - Calculator inputs with weightUnit
+ * @param {'kg'|'lb'} unit
+ * @returns {Object} Updated inputs
+ */
+function convertInputs(inputs, unit) {
+  const convert = (amount) => amount === ''
+    ? ''
+    : Math.round(fromKilograms(toKilograms(Number(amount), inputs.weightUnit), unit) * 10) / 10
+  return { ...inputs, weightUnit: unit, weight: convert(inputs.weight), leanMass: convert(inputs.leanMass) }
+}
+
+/**
+ * Pick a starting value inside a range, rounded to 5g
+ * @param {Object} range - { min, max }
+ * @returns {number}
+ */
+function pickMidpoint({ min, max }) {
+  const mid = Math.round((min + max) / 2 / 5) * 5
+  return Math.min(Math.max(mid, min), max)
+}
+
+/**
+ * Goal calculator component
+ * @param {Object} props
+ * @param {Function} props.onAccept - Callback with the chosen goal in grams
+ */
+export default function GoalCalculator({ onAccept }) {
+  const [saved, setSaved] = useState(null)
+  const [inputs, setInputs] = useState(() => ({ ...DEFAULT_INPUTS, weightUnit: getPreferredWeightUnit() }))
+  const [picked, setPicked] = useState(null)
+
+  // Start from the inputs used last time, in the preferred unit
+  useEffect(() => {
+    getGoalCalculator().then((calculator) => {
+      if (!calculator) return
+      setSaved(calculator)
+      setInputs(convertInputs({ ...DEFAULT_INPUTS, ...calculator }, getPreferredWeightUnit()))
+    })
+  }, [])
+
+  const range = calculateGoalRange(inputs)
+  const value = range ? Math.min(Math.max(picked ?? pickMidpoint(range), range.min), range.max) : null
+  const suggestion = range ? suggestGoalForWeight(saved, range.weightKg) : null
+
+  const updateInput = (key, newValue) => {
+    setInputs({ ...inputs, [key]: newValue })
+    setPicked(null)
+  }
+
+  const accept = async (goal) => {
+    const calculator = { ...inputs, goal, weightKg: range.weightKg }
+    await setGoalCalculator(calculator)
+    setSaved(calculator)
+    onAccept(goal)
+  }
+
+  return (
+    <div className="mb-6 space-y-4">
+      {/* Body weight */}
+      <div>
+        <span className="text-sm text-gray-500">Body weight</span>
+        <div className="flex items-center gap-2 mt-1">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={inputs.weight}
+            onChange={(e) => updateInput('weight', e.target.value)}
+            placeholder="e.g. 80"
+            className="input-field text-center text-lg"
+          />
+          <div className="flex gap-1">
+            {WEIGHT_UNITS.map((unit) => (
+              <button
+                key={unit}
+                onClick={() => setInputs(convertInputs(inputs, unit))}
+                className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  inputs.weightUnit === unit
+                    ? 'bg-protein text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {unit}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Optional lean mass */}
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block">
+          <span className="text-xs text-gray-500">Lean mass ({inputs.weightUnit}, optional)</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={inputs.leanMass}
+            onChange={(e) => updateInput('leanMass', e.target.value)}
+            placeholder="Unknown"
+            className="input-field py-2"
+          />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">Or body fat (%, optional)</span>
+          <input
+            type="number"
+            min="0"
+            max="70"
+            step="any"
+            value={inputs.bodyFat}
+            onChange={(e) => updateInput('bodyFat', e.target.value)}
+            placeholder="Unknown"
+            className="input-field py-2"
+          />
+        </label>
+      </div>
+
+      {/* Activity level */}
+      <div>
+        <span className="text-sm text-gray-500">Activity</span>
+        <div className="grid grid-cols-2 gap-2 mt-1">
+          {Object.entries(ACTIVITY_LEVELS).map(([key, level]) => (
+            <button
+              key={key}
+              onClick={() => updateInput('activity', key)}
+              className={`p-2 rounded-lg text-left transition-colors ${
+                inputs.activity === key
+                  ? 'bg-protein text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <div className="text-sm font-medium">{level.label}</div>
+              <div className={`text-xs ${inputs.activity === key ? 'text-white/80' : 'text-gray-500'}`}>
+                {level.description}
+              </div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Phase */}
+      <div>
+        <span className="text-sm text-gray-500">Phase</span>
+        <div className="flex gap-2 mt-1">
+          {Object.entries(GOAL_PHASES).map(([key, phase]) => (
+            <button
+              key={key}
+              onClick={() => updateInput('phase', key)}
+              className={`flex-1 py-2 rounded-lg font-medium transition-colors ${
+                inputs.phase === key
+                  ? 'bg-protein text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {phase.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Weight changed since the goal was set */}
+      {suggestion && (
+        <div className="bg-blue-50 rounded-xl p-3 text-sm text-blue-800">
+          Your weight changed since you set {saved.goal}g. At the same g/{inputs.weightUnit} your goal would
+          be {suggestion}g.
+          <button
+            onClick={() => accept(suggestion)}
+            className="block mt-1 font-medium hover:underline"
+          >
+            Use {suggestion}g
+          </button>
+        </div>
+      )}
+
+      {/* Recommendation */}
+      {range ? (
+        <div className="bg-green-50 rounded-xl p-4">
+          <div className="text-sm text-gray-600">
+            Recommended {toProteinRatio(range.min, range.weightKg, inputs.weightUnit)}-{formatProteinRatio(range.max, range.weightKg, inputs.weightUnit)}
+            {range.leanMassKg && ' (based on lean mass)'}
+          </div>
+          <div className="text-2xl font-bold text-protein">
+            {range.min}-{range.max}g per day
+          </div>
+          {range.max > range.min && (
+            <input
+              type="range"
+              min={range.min}
+              max={range.max}
+              value={value}
+              onChange={(e) => setPicked(Number(e.target.value))}
+              className="w-full h-2 mt-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-protein"
+            />
+          )}
+          <button
+            onClick={() => accept(value)}
+            className="btn-primary w-full mt-3"
+          >
+            Use {value}g
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">Enter your body weight to see a recommended range.</p>
+      )}
+    </div>
+  )
+}
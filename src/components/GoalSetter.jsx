@@ -1,20 +1,130 @@
-// Goal setter component for setting daily protein goal
+// Goal setter component for setting the daily protein goal schedule
 
 import { useState } from 'react'
+import { MACROS, MACRO_KEYS, DEFAULT_MEAL_TARGETS } from '../utils/constants'
+import { listMealSlots } from '../utils/meals'
+import { getTodayKey, parseDateKey } from '../utils/dates'
+import { formatDate } from '../utils/formatters'
+import { getGoalPlan, clampGoal, WEEKDAY_LABELS, WEEKDAY_ORDER } from '../utils/goals'
+import GoalCalculator from './GoalCalculator'
+
+/**
+ * Read an optional goal field - empty or non-positive means "no goal"
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+function optionalGoal(value) {
+  return value !== '' && Number(value) > 0 ? clampGoal(value) : null
+}
+
+/**
+ * Summarize a goal plan (e.g. "120-180g by weekday, training 200g")
+ * @param {Object} plan
+ * @returns {string}
+ */
+function describePlan(plan) {
+  const min = Math.min(...plan.weekdays)
+  const max = Math.max(...plan.weekdays)
+  const parts = [min === max ? `${min}g daily` : `${min}-${max}g by weekday`]
+  if (plan.training) parts.push(`training ${plan.training}g`)
+  if (plan.rest) parts.push(`rest ${plan.rest}g`)
+  return parts.join(', ')
+}
+
+/**
+ * Check whether two goal plans set the same goals, ignoring their start dates
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSamePlan(a, b) {
+  return a.weekdays.every((value, index) => value === b.weekdays[index])
+    && (a.training ?? null) === (b.training ?? null)
+    && (a.rest ?? null) === (b.rest ?? null)
+}
 
 /**
  * Goal setter component
  * @param {Object} props
- * @param {number} props.currentGoal - Current protein goal
- * @param {Function} props.onSetGoal - Callback to set new goal
+ * @param {Array} props.schedule - Dated goal plans
+ * @param {Object} props.currentMacroGoals - Current optional macro goals
+ * @param {Object} props.currentMealTargets - Current per-meal target settings
+ * @param {Function} props.onSaveGoalPlan - Callback with the new goal plan
+ * @param {Function} props.onRemoveGoalPlan - Callback with the start date of a plan to remove
+ * @param {Function} props.onSetMacroGoals - Callback to set new macro goals
+ * @param {Function} props.onSetMealTargets - Callback to set new per-meal target settings
  * @param {Function} props.onClose - Callback to close
  */
-export default function GoalSetter({ currentGoal, onSetGoal, onClose }) {
-  const [goal, setGoal] = useState(currentGoal)
+export default function GoalSetter({
+  schedule,
+  currentMacroGoals = {},
+  currentMealTargets = DEFAULT_MEAL_TARGETS,
+  onSaveGoalPlan,
+  onRemoveGoalPlan,
+  onSetMacroGoals,
+  onSetMealTargets,
+  onClose,
+}) {
+  const todayKey = getTodayKey()
+  const currentPlan = getGoalPlan(schedule, todayKey)
+
+  const [goal, setGoal] = useState(currentPlan.weekdays[parseDateKey(todayKey).getDay()])
+  const [byWeekday, setByWeekday] = useState(() => new Set(currentPlan.weekdays).size > 1)
+  const [weekdays, setWeekdays] = useState(currentPlan.weekdays)
+  const [trainingGoal, setTrainingGoal] = useState(currentPlan.training ?? '')
+  const [restGoal, setRestGoal] = useState(currentPlan.rest ?? '')
+  const [from, setFrom] = useState(todayKey)
+  const [macroGoals, setMacroGoals] = useState(currentMacroGoals)
+  const [showMacros, setShowMacros] = useState(
+    MACRO_KEYS.some(key => currentMacroGoals[key] != null)
+  )
+  const [mealTargetMode, setMealTargetMode] = useState(currentMealTargets.mode)
+  const [manualMealTargets, setManualMealTargets] = useState(currentMealTargets.manual)
+  const [showHistory, setShowHistory] = useState(false)
+  const [mode, setMode] = useState('manual') // 'manual' | 'calculator'
+
+  const handleToggleWeekdays = () => {
+    // Start the per-day targets from the single goal
+    if (!byWeekday) {
+      setWeekdays(Array(7).fill(goal))
+    }
+    setByWeekday(!byWeekday)
+  }
+
+  // A calculated goal applies to every day
+  const handleAcceptCalculated = (value) => {
+    setGoal(value)
+    setByWeekday(false)
+    setMode('manual')
+  }
 
   const handleSave = () => {
-    const newGoal = Math.max(1, Math.min(500, goal)) // Clamp between 1-500g
-    onSetGoal(newGoal)
+    const plan = {
+      from: from || todayKey,
+      weekdays: byWeekday ? weekdays.map(clampGoal) : Array(7).fill(clampGoal(goal)),
+      training: optionalGoal(trainingGoal),
+      rest: optionalGoal(restGoal),
+    }
+    // A new plan restamps logs and clears undo history, so only add one when
+    // the goals or their start date actually changed
+    if (plan.from !== todayKey || !isSamePlan(plan, currentPlan)) {
+      onSaveGoalPlan(plan)
+    }
+
+    // Empty or non-positive macro fields mean "no goal"
+    const newMacroGoals = Object.fromEntries(MACRO_KEYS.map(key => {
+      const value = Number(macroGoals[key])
+      return [key, macroGoals[key] !== '' && value > 0 ? value : null]
+    }))
+    onSetMacroGoals(newMacroGoals)
+
+    onSetMealTargets({
+      mode: mealTargetMode,
+      manual: Object.fromEntries(listMealSlots().map(({ key }) => [
+        key,
+        optionalGoal(manualMealTargets[key] ?? ''),
+      ])),
+    })
     onClose()
   }
 
@@ -22,7 +132,7 @@ export default function GoalSetter({ currentGoal, onSetGoal, onClose }) {
 
   return (
     <div className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center">
-      <div className="bg-white w-full sm:max-w-md sm:rounded-2xl rounded-t-2xl p-6">
+      <div className="bg-white w-full sm:max-w-md sm:rounded-2xl rounded-t-2xl p-6 max-h-screen overflow-y-auto">
         <div className="flex items-center justify-between mb-6">
           <h2 className="text-xl font-semibold text-gray-900">
             Daily Protein Goal
@@ -37,67 +147,274 @@ export default function GoalSetter({ currentGoal, onSetGoal, onClose }) {
           </button>
         </div>
 
-        {/* Current goal display */}
-        <div className="text-center mb-6">
-          <div className="text-5xl font-bold text-protein mb-2">
-            {goal}g
-          </div>
-          <p className="text-gray-500">protein per day</p>
+        {/* Mode toggle */}
+        <div className="grid grid-cols-2 gap-2 mb-6">
+          {[
+            ['manual', 'Set manually'],
+            ['calculator', 'Calculate'],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setMode(key)}
+              className={`py-2 rounded-lg text-sm font-medium transition-colors ${
+                mode === key ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
 
-        {/* Slider */}
+        {mode === 'calculator' && (
+          <GoalCalculator onAccept={handleAcceptCalculated} />
+        )}
+
+        {mode === 'manual' && !byWeekday && (
+          <>
+            {/* Current goal display */}
+            <div className="text-center mb-6">
+              <div className="text-5xl font-bold text-protein mb-2">
+                {goal}g
+              </div>
+              <p className="text-gray-500">protein per day</p>
+            </div>
+
+            {/* Slider */}
+            <div className="mb-6">
+              <input
+                type="range"
+                min="50"
+                max="300"
+                value={goal}
+                onChange={(e) => setGoal(Number(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-protein"
+              />
+              <div className="flex justify-between text-sm text-gray-400 mt-1">
+                <span>50g</span>
+                <span>300g</span>
+              </div>
+            </div>
+
+            {/* Quick select buttons */}
+            <div className="mb-6">
+              <p className="text-sm text-gray-500 mb-2">Quick select</p>
+              <div className="flex gap-2">
+                {quickGoals.map((g) => (
+                  <button
+                    key={g}
+                    onClick={() => setGoal(g)}
+                    className={`flex-1 py-2 rounded-lg font-medium transition-colors ${
+                      goal === g
+                        ? 'bg-protein text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {g}g
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Custom input */}
+            <div className="mb-6">
+              <label className="text-sm text-gray-500 block mb-2">
+                Or enter custom amount
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={goal}
+                  onChange={(e) => setGoal(Number(e.target.value))}
+                  className="input-field text-center text-lg"
+                  min="1"
+                  max="500"
+                />
+                <span className="text-gray-500">grams</span>
+              </div>
+            </div>
+          </>
+        )}
+
+        {/* Per-weekday goals */}
+        {mode === 'manual' && (
+          <div className="mb-6">
+            <button
+              onClick={handleToggleWeekdays}
+              className="text-sm text-protein font-medium hover:underline"
+            >
+              {byWeekday ? 'Use the same goal every day' : 'Set a different goal per weekday'}
+            </button>
+            {byWeekday && (
+              <div className="grid grid-cols-7 gap-1 mt-3">
+                {WEEKDAY_ORDER.map((day) => (
+                  <label key={day} className="block text-center">
+                    <span className="text-xs text-gray-500">{WEEKDAY_LABELS[day]}</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="500"
+                      value={weekdays[day]}
+                      onChange={(e) => setWeekdays(weekdays.map((value, index) =>
+                        index === day ? e.target.value : value
+                      ))}
+                      className="input-field px-1 py-2 text-center text-sm"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Training/rest day goals */}
         <div className="mb-6">
-          <input
-            type="range"
-            min="50"
-            max="300"
-            value={goal}
-            onChange={(e) => setGoal(Number(e.target.value))}
-            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-protein"
-          />
-          <div className="flex justify-between text-sm text-gray-400 mt-1">
-            <span>50g</span>
-            <span>300g</span>
+          <p className="text-sm text-gray-500 mb-2">
+            Training and rest day goals (optional) - mark the day on the dashboard to use them
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block">
+              <span className="text-xs text-gray-500">Training day (g)</span>
+              <input
+                type="number"
+                min="0"
+                value={trainingGoal}
+                onChange={(e) => setTrainingGoal(e.target.value)}
+                placeholder="No goal"
+                className="input-field py-2"
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-500">Rest day (g)</span>
+              <input
+                type="number"
+                min="0"
+                value={restGoal}
+                onChange={(e) => setRestGoal(e.target.value)}
+                placeholder="No goal"
+                className="input-field py-2"
+              />
+            </label>
           </div>
         </div>
 
-        {/* Quick select buttons */}
+        {/* Start date */}
         <div className="mb-6">
-          <p className="text-sm text-gray-500 mb-2">Quick select</p>
-          <div className="flex gap-2">
-            {quickGoals.map((g) => (
+          <label className="block">
+            <span className="text-sm text-gray-500">Starting</span>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="input-field mt-1"
+            />
+          </label>
+          <p className="text-xs text-gray-400 mt-1">
+            Days before this keep the goal they had. Pick an earlier date to backdate the change.
+          </p>
+        </div>
+
+        {/* Optional macro goals */}
+        <div className="mb-6">
+          <button
+            onClick={() => setShowMacros(!showMacros)}
+            className="text-sm text-protein font-medium hover:underline"
+          >
+            {showMacros ? 'Hide macro goals' : 'Set macro goals (optional)'}
+          </button>
+          {showMacros && (
+            <div className="grid grid-cols-2 gap-3 mt-3">
+              {MACRO_KEYS.map((key) => (
+                <label key={key} className="block">
+                  <span className="text-xs text-gray-500">
+                    {MACROS[key].label} ({MACROS[key].unit})
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={macroGoals[key] ?? ''}
+                    onChange={(e) => setMacroGoals({ ...macroGoals, [key]: e.target.value })}
+                    placeholder="No goal"
+                    className="input-field py-2"
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Optional per-meal targets */}
+        <div className="mb-6">
+          <span className="text-sm text-gray-500">Per-meal targets</span>
+          <div className="flex gap-2 mt-1">
+            {[['off', 'Off'], ['auto', 'Split goal'], ['manual', 'Custom']].map(([key, label]) => (
               <button
-                key={g}
-                onClick={() => setGoal(g)}
-                className={`flex-1 py-2 rounded-lg font-medium transition-colors ${
-                  goal === g
-                    ? 'bg-protein text-white'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                key={key}
+                onClick={() => setMealTargetMode(key)}
+                className={`flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  mealTargetMode === key ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                 }`}
               >
-                {g}g
+                {label}
               </button>
             ))}
           </div>
+          {mealTargetMode === 'auto' && (
+            <p className="text-xs text-gray-400 mt-1">
+              Each meal aims for an even share of the day's goal. 25-40g per meal suits most people.
+            </p>
+          )}
+          {mealTargetMode === 'manual' && (
+            <div className="grid grid-cols-2 gap-3 mt-3">
+              {listMealSlots().map(({ key, label }) => (
+                <label key={key} className="block">
+                  <span className="text-xs text-gray-500">{label} (g)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={manualMealTargets[key] ?? ''}
+                    onChange={(e) => setManualMealTargets({ ...manualMealTargets, [key]: e.target.value })}
+                    placeholder="No target"
+                    className="input-field py-2"
+                  />
+                </label>
+              ))}
+            </div>
+          )}
         </div>
 
-        {/* Custom input */}
-        <div className="mb-6">
-          <label className="text-sm text-gray-500 block mb-2">
-            Or enter custom amount
-          </label>
-          <div className="flex items-center gap-2">
-            <input
-              type="number"
-              value={goal}
-              onChange={(e) => setGoal(Number(e.target.value))}
-              className="input-field text-center text-lg"
-              min="1"
-              max="500"
-            />
-            <span className="text-gray-500">grams</span>
+        {/* Goal history */}
+        {schedule.length > 1 && (
+          <div className="mb-6">
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-sm text-protein font-medium hover:underline"
+            >
+              {showHistory ? 'Hide goal history' : `Goal history (${schedule.length})`}
+            </button>
+            {showHistory && (
+              <div className="divide-y divide-gray-100 mt-2">
+                {[...schedule].reverse().map((plan) => (
+                  <div key={plan.from || 'original'} className="py-2 flex items-center justify-between gap-2">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900">
+                        {plan.from ? `From ${formatDate(plan.from)}` : 'Original goal'}
+                      </div>
+                      <div className="text-xs text-gray-500">{describePlan(plan)}</div>
+                    </div>
+                    {plan !== schedule[0] && (
+                      <button
+                        onClick={() => onRemoveGoalPlan(plan.from)}
+                        className="text-xs text-red-600 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
-        </div>
+        )}
 
         {/* Save button */}
         <button
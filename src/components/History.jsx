@@ -1,8 +1,19 @@
 // History component for viewing past protein intake
 
 import { useState, useEffect } from 'react'
-import { getLogsInRange, getAllLogs } from '../services/storage'
-import { formatDate, formatProtein, toISODateString } from '../utils/formatters'
+import { getLogsInRange } from '../services/storage'
+import { formatDate, formatProtein } from '../utils/formatters'
+import { parseDateKey } from '../utils/dates'
+import { DAY_TYPES } from '../utils/goals'
+import { getMealLabel } from '../utils/meals'
+import { getTopMeal, isOneSittingDay } from '../utils/distribution'
+import CsvExport from './CsvExport'
+import Report from './Report'
+import WeightHistory from './WeightHistory'
+import HistoryChart from './HistoryChart'
+import MonthCalendar from './MonthCalendar'
+import StreakCard from './StreakCard'
+import { useStreaks } from '../hooks/useStreaks'
 
 /**
  * History component
@@ -12,7 +23,10 @@ import { formatDate, formatProtein, toISODateString } from '../utils/formatters'
  */
 export default function History({ onClose, onSelectDate }) {
   const [logs, setLogs] = useState([])
-  const [view, setView] = useState('list') // 'list' or 'chart'
+  const [view, setView] = useState('list') // 'list', 'calendar', 'chart' or 'weight'
+  const [showExport, setShowExport] = useState(false)
+  const [showReport, setShowReport] = useState(false)
+  const { stats: streakStats, achievements } = useStreaks()
 
   useEffect(() => {
     // Get last 30 days of logs
@@ -20,15 +34,7 @@ export default function History({ onClose, onSelectDate }) {
     const startDate = new Date()
     startDate.setDate(startDate.getDate() - 30)
     
-    const allLogs = getAllLogs()
-    const logArray = Object.values(allLogs)
-      .filter(log => {
-        const logDate = new Date(log.date)
-        return logDate >= startDate && logDate <= endDate
-      })
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-    
-    setLogs(logArray)
+    getLogsInRange(startDate, endDate).then(setLogs)
   }, [])
 
   // Calculate stats
@@ -42,17 +48,18 @@ export default function History({ onClose, onSelectDate }) {
 
   const goalReachedDays = logs.filter(log => log.totalProtein >= log.goal).length
 
+  // Describe the meal holding most of a day's protein (e.g., "78% at Dinner")
+  const describeTopMeal = (log) => {
+    const { mealType, share } = getTopMeal(log)
+    return `${Math.round(share * 100)}% at ${getMealLabel(mealType)}`
+  }
+
   // Get day of week
   const getDayOfWeek = (dateStr) => {
-    const date = new Date(dateStr)
+    const date = parseDateKey(dateStr)
     return date.toLocaleDateString('en-US', { weekday: 'short' })
   }
 
-  // Get bar height percentage
-  const getBarHeight = (protein, goal) => {
-    return Math.min((protein / goal) * 100, 100)
-  }
-
   return (
     <div className="fixed inset-0 bg-gray-50 z-50 flex flex-col">
       {/* Header */}
@@ -65,7 +72,25 @@ export default function History({ onClose, onSelectDate }) {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
           </svg>
         </button>
-        <h1 className="text-xl font-semibold text-gray-900">History</h1>
+        <h1 className="text-xl font-semibold text-gray-900 flex-1">History</h1>
+        <button
+          onClick={() => setShowReport(true)}
+          className="p-2 text-gray-500 hover:text-gray-700"
+          aria-label="Weekly and monthly report"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+          </svg>
+        </button>
+        <button
+          onClick={() => setShowExport(true)}
+          className="p-2 -mr-2 text-gray-500 hover:text-gray-700"
+          aria-label="Export CSV"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+          </svg>
+        </button>
       </div>
 
       {/* Stats summary */}
@@ -86,6 +111,11 @@ export default function History({ onClose, onSelectDate }) {
         </div>
       </div>
 
+      {/* Streaks and milestones */}
+      <div className="px-4 mb-2">
+        <StreakCard stats={streakStats} achievements={achievements} showMilestones />
+      </div>
+
       {/* View toggle */}
       <div className="bg-white px-4 py-2 flex gap-2 mb-2">
         <button
@@ -96,6 +126,14 @@ export default function History({ onClose, onSelectDate }) {
         >
           List
         </button>
+        <button
+          onClick={() => setView('calendar')}
+          className={`flex-1 py-2 rounded-lg font-medium ${
+            view === 'calendar' ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+          }`}
+        >
+          Calendar
+        </button>
         <button
           onClick={() => setView('chart')}
           className={`flex-1 py-2 rounded-lg font-medium ${
@@ -104,11 +142,27 @@ export default function History({ onClose, onSelectDate }) {
         >
           Chart
         </button>
+        <button
+          onClick={() => setView('weight')}
+          className={`flex-1 py-2 rounded-lg font-medium ${
+            view === 'weight' ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+          }`}
+        >
+          Weight
+        </button>
       </div>
 
       {/* Content */}
       <div className="flex-1 overflow-y-auto p-4">
-        {logs.length === 0 ? (
+        {view === 'weight' ? (
+          <WeightHistory />
+        ) : view === 'calendar' ? (
+          <div className="card">
+            <MonthCalendar onSelectDate={onSelectDate} />
+          </div>
+        ) : view === 'chart' ? (
+          <HistoryChart onSelectDate={onSelectDate} />
+        ) : logs.length === 0 ? (
           <div className="text-center py-12 text-gray-500">
             <svg className="w-12 h-12 mx-auto mb-3 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
@@ -116,13 +170,13 @@ export default function History({ onClose, onSelectDate }) {
             <p>No history yet</p>
             <p className="text-sm mt-1">Start logging to see your progress</p>
           </div>
-        ) : view === 'list' ? (
+        ) : (
           // List view
           <div className="space-y-2">
             {logs.map((log) => (
               <button
                 key={log.date}
-                onClick={() => onSelectDate(new Date(log.date))}
+                onClick={() => onSelectDate(parseDateKey(log.date))}
                 className="w-full card flex items-center justify-between"
               >
                 <div>
@@ -131,7 +185,13 @@ export default function History({ onClose, onSelectDate }) {
                   </div>
                   <div className="text-sm text-gray-500">
                     {getDayOfWeek(log.date)}
+                    {log.dayType && ` • ${DAY_TYPES[log.dayType].label}`}
                   </div>
+                  {isOneSittingDay(log) && (
+                    <div className="text-xs text-amber-600">
+                      {describeTopMeal(log)} in one sitting
+                    </div>
+                  )}
                 </div>
                 <div className="text-right">
                   <div className={`font-semibold ${
@@ -146,35 +206,16 @@ export default function History({ onClose, onSelectDate }) {
               </button>
             ))}
           </div>
-        ) : (
-          // Chart view
-          <div className="card">
-            <h3 className="text-sm font-medium text-gray-500 mb-4">Last 7 Days</h3>
-            <div className="flex items-end justify-between h-40 gap-2">
-              {logs.slice(0, 7).reverse().map((log) => (
-                <div key={log.date} className="flex-1 flex flex-col items-center">
-                  <div className="w-full bg-gray-100 rounded-t-lg relative h-32">
-                    <div
-                      className={`absolute bottom-0 w-full rounded-t-lg transition-all ${
-                        log.totalProtein >= log.goal 
-                          ? 'bg-protein' 
-                          : 'bg-protein-light'
-                      }`}
-                      style={{ height: `${getBarHeight(log.totalProtein, log.goal)}%` }}
-                    />
-                  </div>
-                  <div className="mt-2 text-xs text-gray-500">
-                    {getDayOfWeek(log.date)}
-                  </div>
-                  <div className="text-xs font-medium text-gray-900">
-                    {formatProtein(log.totalProtein)}
-                  </div>
-                </div>
-              ))}
-            </div>
-          </div>
         )}
       </div>
+
+      {showExport && (
+        <CsvExport onClose={() => setShowExport(false)} />
+      )}
+
+      {showReport && (
+        <Report onClose={() => setShowReport(false)} onSelectDate={onSelectDate} />
+      )}
     </div>
   )
 }
\ No newline at end of file
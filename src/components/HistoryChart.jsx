@@ -0,0 +1,213 @@
+// Chart view in History - range and aggregation controls with tap-to-inspect
+
+import { useState, useEffect } from 'react'
+import { getLogsInRange, getAllLogs, getGoalSchedule } from '../services/storage'
+import { CHART_CONFIG } from '../utils/constants'
+import { getTodayKey, shiftDateKey, parseDateKey } from '../utils/dates'
+import { formatDate, formatProtein } from '../utils/formatters'
+import { buildDailySeries, addMovingAverage, aggregateSeries } from '../utils/chartData'
+import ProteinChart from './ProteinChart'
+
+const PERIODS = [
+  ['day', 'Day'],
+  ['week', 'Week'],
+  ['month', 'Month'],
+]
+
+// Sensible bar size for each range - users can still switch
+const DEFAULT_PERIODS = { '7d': 'day', '30d': 'day', '90d': 'week', '1y': 'month', all: 'month' }
+
+/**
+ * Format a point's key for the chart axis
+ * @param {string} key
+ * @param {'day'|'week'|'month'} period
+ * @returns {string}
+ */
+function formatAxisLabel(key, period) {
+  const options = period === 'month' ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' }
+  return parseDateKey(key).toLocaleDateString('en-US', options)
+}
+
+/**
+ * Describe a selected point's period
+ * @param {string} key
+ * @param {'day'|'week'|'month'} period
+ * @returns {string}
+ */
+function formatPeriodTitle(key, period) {
+  if (period === 'week') return `Week of ${formatAxisLabel(key, 'day')}`
+  if (period === 'month') return parseDateKey(key).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+  return formatDate(key)
+}
+
+/**
+ * Load the logs a range needs, plus enough earlier days for the moving average
+ * @param {Object} range - CHART_CONFIG.RANGES entry
+ * @returns {Promise<{logs: Array, startKey: string, fetchStartKey: string}>}
+ */
+async function loadRange(range) {
+  const todayKey = getTodayKey()
+
+  if (!range.days) {
+    const logs = Object.values(await getAllLogs()).filter(log => log.date <= todayKey)
+    const startKey = logs.reduce((first, log) => (log.date < first ? log.date : first), todayKey)
+    return { logs, startKey, fetchStartKey: startKey }
+  }
+
+  const startKey = shiftDateKey(todayKey, -(range.days - 1))
+  const fetchStartKey = shiftDateKey(startKey, -(CHART_CONFIG.MOVING_AVERAGE_DAYS - 1))
+  return { logs: await getLogsInRange(fetchStartKey, todayKey), startKey, fetchStartKey }
+}
+
+/**
+ * History chart component
+ * @param {Object} props
+ * @param {Function} props.onSelectDate - Callback to open a day
+ */
+export default function HistoryChart({ onSelectDate }) {
+  const [rangeKey, setRangeKey] = useState('30d')
+  const [period, setPeriod] = useState(DEFAULT_PERIODS['30d'])
+  const [daily, setDaily] = useState(null)
+  const [selectedIndex, setSelectedIndex] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    const range = CHART_CONFIG.RANGES.find(option => option.key === rangeKey)
+
+    Promise.all([loadRange(range), getGoalSchedule()]).then(([{ logs, startKey, fetchStartKey }, schedule]) => {
+      if (cancelled) return
+      const series = buildDailySeries(logs, schedule, fetchStartKey, getTodayKey())
+      setDaily(addMovingAverage(series).filter(point => point.key >= startKey))
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [rangeKey])
+
+  const handleRangeChange = (key) => {
+    setRangeKey(key)
+    setPeriod(DEFAULT_PERIODS[key])
+    setSelectedIndex(null)
+  }
+
+  const handlePeriodChange = (key) => {
+    setPeriod(key)
+    setSelectedIndex(null)
+  }
+
+  const points = daily ? (period === 'day' ? daily : aggregateSeries(daily, period)) : []
+  const selected = selectedIndex != null ? points[selectedIndex] : null
+
+  return (
+    <div className="space-y-4">
+      <div className="card">
+        {/* Range */}
+        <div className="flex gap-1 mb-2">
+          {CHART_CONFIG.RANGES.map((range) => (
+            <button
+              key={range.key}
+              onClick={() => handleRangeChange(range.key)}
+              className={`flex-1 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                rangeKey === range.key ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Aggregation */}
+        <div className="flex gap-1 mb-4">
+          {PERIODS.map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => handlePeriodChange(key)}
+              className={`flex-1 py-1 rounded-lg text-xs font-medium transition-colors ${
+                period === key ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {!daily ? (
+          <div className="flex items-center justify-center h-44">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-protein"></div>
+          </div>
+        ) : (
+          <ProteinChart
+            points={points}
+            formatLabel={key => formatAxisLabel(key, period)}
+            selectedIndex={selectedIndex}
+            onSelect={setSelectedIndex}
+            showAverage={period === 'day'}
+          />
+        )}
+
+        {/* Legend */}
+        <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-500">
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded-sm bg-protein" /> Goal hit
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="w-3 border-t-2 border-dashed border-gray-400" /> Goal
+          </span>
+          {period === 'day' && (
+            <span className="flex items-center gap-1">
+              <span className="w-3 border-t-2 border-orange-400" /> {CHART_CONFIG.MOVING_AVERAGE_DAYS}-day average
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Inspect the tapped bar */}
+      {selected ? (
+        <div className="card">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-gray-900">{formatPeriodTitle(selected.key, period)}</h3>
+            <button
+              onClick={() => setSelectedIndex(null)}
+              className="p-1 text-gray-400 hover:text-gray-600"
+              aria-label="Close details"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          {period === 'day' ? (
+            <>
+              <div className="text-sm text-gray-600">
+                <span className={`font-semibold ${selected.hit ? 'text-protein' : 'text-gray-900'}`}>
+                  {formatProtein(selected.protein)}
+                </span>
+                {' '}of {formatProtein(selected.goal)} goal
+                {selected.logged ? (selected.hit ? ' • Goal hit' : '') : ' • Nothing logged'}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {CHART_CONFIG.MOVING_AVERAGE_DAYS}-day average {formatProtein(selected.average)}
+              </div>
+              <button
+                onClick={() => onSelectDate(parseDateKey(selected.key))}
+                className="mt-3 text-sm text-protein font-medium hover:underline"
+              >
+                Open this day
+              </button>
+            </>
+          ) : (
+            <div className="text-sm text-gray-600">
+              Averaged {formatProtein(selected.protein)} a day against {formatProtein(selected.goal)}
+              <div className="text-xs text-gray-500 mt-1">
+                Goal hit on {selected.hitDays} of {selected.days} days
+              </div>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-center text-xs text-gray-400">Tap a bar for details</p>
+      )}
+    </div>
+  )
+}
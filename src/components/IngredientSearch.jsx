@@ -0,0 +1,97 @@
+// Food picker for the recipe and meal template builders, backed by the regular food search
+
+import { useState, useEffect, useRef } from 'react'
+import { searchAllFoods, searchCommonFoods } from '../services/nutritionApi'
+import { formatProtein, formatServing } from '../utils/formatters'
+
+/**
+ * Ingredient search component
+ * @param {Object} props
+ * @param {Function} props.onSelect - Callback with the picked food
+ * @param {Function} props.onCancel - Callback to stop adding
+ * @param {boolean} props.includeRecipes - Offer recipes too (recipes can't contain recipes)
+ */
+export default function IngredientSearch({ onSelect, onCancel, includeRecipes = false }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState(() => searchCommonFoods('').slice(0, 10))
+  const [loading, setLoading] = useState(false)
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    inputRef.current?.focus()
+  }, [])
+
+  // Debounced search
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      if (query.trim()) {
+        setLoading(true)
+        try {
+          const foods = await searchAllFoods(query)
+          setResults(includeRecipes ? foods : foods.filter(food => food.source !== 'recipe'))
+        } catch (error) {
+          console.error('Ingredient search error:', error)
+        }
+        setLoading(false)
+      } else {
+        setResults(searchCommonFoods('').slice(0, 10))
+      }
+    }, 300)
+
+    return () => clearTimeout(timer)
+  }, [query, includeRecipes])
+
+  return (
+    <div className="card">
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search ingredients..."
+          className="input-field flex-1"
+        />
+        <button
+          onClick={onCancel}
+          className="p-2 text-gray-400 hover:text-gray-600"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-protein"></div>
+        </div>
+      ) : results.length > 0 ? (
+        <div className="divide-y divide-gray-100 max-h-72 overflow-y-auto">
+          {results.map((food) => (
+            <button
+              key={food.id}
+              onClick={() => onSelect(food)}
+              className="w-full py-3 flex items-center justify-between text-left hover:bg-gray-50 transition-colors"
+            >
+              <div>
+                <div className="font-medium text-gray-900">{food.name}</div>
+                {food.brand && (
+                  <div className="text-sm text-gray-500">{food.brand}</div>
+                )}
+              </div>
+              <div className="text-right">
+                <div className="font-semibold text-protein">{formatProtein(food.protein)}</div>
+                <div className="text-xs text-gray-400">
+                  per {formatServing(food.servingSize || 100, food.servingUnit || 'g')}
+                </div>
+              </div>
+            </button>
+          ))}
+        </div>
+      ) : (
+        <p className="text-center text-sm text-gray-500 py-6">No foods found</p>
+      )}
+    </div>
+  )
+}
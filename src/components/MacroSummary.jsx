@@ -0,0 +1,49 @@
+// Macro summary component for daily calories, carbs, fat and friends
+
+import { MACROS, MACRO_KEYS } from '../utils/constants'
+import { formatNutrient } from '../utils/formatters'
+
+/**
+ * Macro summary card
+ * @param {Object} props
+ * @param {Object} props.totals - Day's macro totals keyed by MACRO_KEYS
+ * @param {Object} props.goals - Optional macro goals keyed by MACRO_KEYS (null if unset)
+ */
+export default function MacroSummary({ totals = {}, goals = {} }) {
+  return (
+    <div className="card">
+      <h2 className="text-sm font-medium text-gray-500 mb-3">Macros</h2>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-3">
+        {MACRO_KEYS.map((key) => {
+          const value = totals[key] || 0
+          const goal = goals[key]
+          const percentage = goal ? Math.min((value / goal) * 100, 100) : 0
+
+          return (
+            <div key={key}>
+              <div className="flex items-baseline justify-between text-sm">
+                <span className="text-gray-700">{MACROS[key].label}</span>
+                <span className="font-medium text-gray-900">
+                  {formatNutrient(value, key)}
+                  {goal ? (
+                    <span className="text-gray-400 font-normal"> / {formatNutrient(goal, key)}</span>
+                  ) : null}
+                </span>
+              </div>
+              {goal ? (
+                <div className="h-1.5 bg-gray-100 rounded-full mt-1 overflow-hidden">
+                  <div
+                    className={`h-full rounded-full transition-all ${
+                      value > goal ? 'bg-red-400' : MACROS[key].color
+                    }`}
+                    style={{ width: `${percentage}%` }}
+                  />
+                </div>
+              ) : null}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -1,51 +1,141 @@
 // Meal log component for displaying daily meals
 
-import { MEAL_TYPES } from '../utils/constants'
+import { getLogMealKeys, getMealSlot, getMealBadgeClass, isActiveMealSlot } from '../utils/meals'
 import FoodCard from './FoodCard'
-import { formatProtein } from '../utils/formatters'
+import { formatProtein, formatNutrient } from '../utils/formatters'
+
+/**
+ * Small ring showing a meal's protein against its target
+ * @param {Object} props
+ * @param {number} props.protein
+ * @param {number} props.target
+ */
+function TargetRing({ protein, target }) {
+  const size = 28
+  const strokeWidth = 4
+  const radius = (size - strokeWidth) / 2
+  const circumference = radius * 2 * Math.PI
+  const ratio = Math.min(protein / target, 1)
+
+  return (
+    <svg className="transform -rotate-90" width={size} height={size} aria-hidden="true">
+      <circle cx={size / 2} cy={size / 2} r={radius} stroke="#e5e7eb" strokeWidth={strokeWidth} fill="none" />
+      <circle
+        cx={size / 2}
+        cy={size / 2}
+        r={radius}
+        stroke={ratio >= 1 ? '#059669' : '#10b981'}
+        strokeWidth={strokeWidth}
+        fill="none"
+        strokeLinecap="round"
+        strokeDasharray={circumference}
+        strokeDashoffset={circumference * (1 - ratio)}
+        className="transition-all duration-500 ease-out"
+      />
+    </svg>
+  )
+}
 
 /**
  * Meal log component
  * @param {Object} props
  * @param {Object} props.meals - Meals object with food items
+ * @param {Object} props.targets - Protein target per meal type (null when targets are off)
  * @param {Function} props.onRemoveFood - Remove food callback
+ * @param {Function} props.onEditFood - Edit food callback (opens edit sheet)
  * @param {Function} props.onAddFood - Add food callback (opens search)
+ * @param {Function} props.onCopyMeal - Copy meal callback (opens copy sheet)
+ * @param {Function} props.onCopyPrevious - Copy the previous day's meal into this one
+ * @param {Function} props.onSaveTemplate - Save a meal as a template (opens builder)
+ * @param {boolean} props.isToday - Whether the log is today's, for wording
  */
-export default function MealLog({ meals, onRemoveFood, onAddFood }) {
+export default function MealLog({
+  meals,
+  targets = null,
+  onRemoveFood,
+  onEditFood,
+  onAddFood,
+  onCopyMeal,
+  onCopyPrevious,
+  onSaveTemplate,
+  isToday = true,
+}) {
   // Calculate protein for each meal
   const getMealProtein = (mealType) => {
     return (meals[mealType] || []).reduce((sum, food) => sum + food.protein, 0)
   }
 
+  // Calculate calories for each meal
+  const getMealCalories = (mealType) => {
+    return (meals[mealType] || []).reduce((sum, food) => sum + (food.calories || 0), 0)
+  }
+
   return (
     <div className="space-y-4">
-      {Object.entries(MEAL_TYPES).map(([mealType, mealInfo]) => {
+      {getLogMealKeys(meals).map((mealType) => {
+        const mealInfo = getMealSlot(mealType)
+        const isActive = isActiveMealSlot(mealType)
         const foods = meals[mealType] || []
         const mealProtein = getMealProtein(mealType)
+        const mealCalories = getMealCalories(mealType)
+        const target = targets?.[mealType]
         
         return (
           <div key={mealType} className="card">
             {/* Meal header */}
             <div className="flex items-center justify-between mb-3">
               <div className="flex items-center gap-2">
-                <span className={`px-3 py-1 rounded-full text-sm font-medium ${mealInfo.color}`}>
+                <span className={`px-3 py-1 rounded-full text-sm font-medium ${getMealBadgeClass(mealType)}`}>
                   {mealInfo.label}
                 </span>
-                {foods.length > 0 && (
+                {target ? (
+                  <span className="flex items-center gap-1.5 text-sm text-gray-500">
+                    <TargetRing protein={mealProtein} target={target} />
+                    {formatProtein(mealProtein)} / {formatProtein(target)}
+                    {mealCalories > 0 && ` • ${formatNutrient(mealCalories, 'calories')}`}
+                  </span>
+                ) : foods.length > 0 && (
                   <span className="text-sm text-gray-500">
                     {formatProtein(mealProtein)}
+                    {mealCalories > 0 && ` • ${formatNutrient(mealCalories, 'calories')}`}
                   </span>
                 )}
               </div>
-              <button
-                onClick={() => onAddFood(mealType)}
-                className="p-2 text-protein hover:bg-green-50 rounded-lg transition-colors"
-                aria-label={`Add food to ${mealInfo.label}`}
-              >
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-              </button>
+              <div className="flex items-center">
+                {onSaveTemplate && foods.length > 0 && (
+                  <button
+                    onClick={() => onSaveTemplate(mealType)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
+                    aria-label={`Save ${mealInfo.label} as a template`}
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                    </svg>
+                  </button>
+                )}
+                {onCopyMeal && foods.length > 0 && (
+                  <button
+                    onClick={() => onCopyMeal(mealType)}
+                    className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
+                    aria-label={`Copy ${mealInfo.label} to another day`}
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                    </svg>
+                  </button>
+                )}
+                {isActive && (
+                  <button
+                    onClick={() => onAddFood(mealType)}
+                    className="p-2 text-protein hover:bg-green-50 rounded-lg transition-colors"
+                    aria-label={`Add food to ${mealInfo.label}`}
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                    </svg>
+                  </button>
+                )}
+              </div>
             </div>
             
             {/* Food items */}
@@ -56,13 +146,22 @@ export default function MealLog({ meals, onRemoveFood, onAddFood }) {
                     key={food.id}
                     food={food}
                     onRemove={() => onRemoveFood(mealType, food.id)}
+                    onEdit={onEditFood && (() => onEditFood(mealType, food))}
                   />
                 ))}
               </div>
             ) : (
-              <p className="text-sm text-gray-400 text-center py-2">
-                No foods added yet
-              </p>
+              <div className="text-center py-2">
+                <p className="text-sm text-gray-400">No foods added yet</p>
+                {onCopyPrevious && (
+                  <button
+                    onClick={() => onCopyPrevious(mealType)}
+                    className="mt-1 text-sm text-protein font-medium hover:underline"
+                  >
+                    Copy {isToday ? "yesterday's" : "previous day's"} {mealInfo.label.toLowerCase()}
+                  </button>
+                )}
+              </div>
             )}
           </div>
         )
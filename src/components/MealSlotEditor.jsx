@@ -0,0 +1,171 @@
+// Meal slot editor in Settings - add, rename, reorder, recolor and hide meals, and set their times
+
+import { useState } from 'react'
+import { setMealSlotSettings } from '../services/storage'
+import { MEAL_COLORS, MAX_MEAL_SLOTS } from '../utils/constants'
+import { listMealSlots, configureMealSlots, createMealSlotKey } from '../utils/meals'
+
+/**
+ * Meal slot editor component
+ * Changes save as they're made
+ * @param {Object} props
+ * @param {Function} props.onChange - Called after slots are saved so views can re-render
+ */
+export default function MealSlotEditor({ onChange }) {
+  const [slots, setSlots] = useState(() => listMealSlots({ includeHidden: true }))
+  const [labels, setLabels] = useState(() => Object.fromEntries(slots.map(slot => [slot.key, slot.label])))
+  const [newLabel, setNewLabel] = useState('')
+
+  const visibleCount = slots.filter(slot => !slot.hidden).length
+
+  const saveSlots = async (next) => {
+    setSlots(next)
+    if (await setMealSlotSettings(next)) {
+      configureMealSlots(next)
+      onChange()
+    }
+  }
+
+  const updateSlot = (key, changes) => {
+    saveSlots(slots.map(slot => (slot.key === key ? { ...slot, ...changes } : slot)))
+  }
+
+  const handleRename = (slot) => {
+    const label = labels[slot.key].trim()
+    if (!label) {
+      setLabels({ ...labels, [slot.key]: slot.label })
+    } else if (label !== slot.label) {
+      updateSlot(slot.key, { label })
+    }
+  }
+
+  const handleMove = (index, direction) => {
+    const next = [...slots]
+    const [slot] = next.splice(index, 1)
+    next.splice(index + direction, 0, slot)
+    saveSlots(next)
+  }
+
+  const handleAdd = () => {
+    const label = newLabel.trim()
+    if (!label || slots.length >= MAX_MEAL_SLOTS) return
+
+    const key = createMealSlotKey(label, slots)
+    const usedColors = new Set(slots.map(slot => slot.color))
+    const color = Object.keys(MEAL_COLORS).find(name => !usedColors.has(name)) || 'gray'
+
+    setLabels({ ...labels, [key]: label })
+    setNewLabel('')
+    saveSlots([...slots, { key, label, color, hidden: false, from: null, to: null }])
+  }
+
+  return (
+    <div>
+      <div className="divide-y divide-gray-100">
+        {slots.map((slot, index) => (
+          <div key={slot.key} className={`py-3 ${slot.hidden ? 'opacity-60' : ''}`}>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={labels[slot.key] ?? slot.label}
+                onChange={(e) => setLabels({ ...labels, [slot.key]: e.target.value })}
+                onBlur={() => handleRename(slot)}
+                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                className="input-field py-2 flex-1 min-w-0"
+                aria-label={`Name of ${slot.label}`}
+              />
+              <button
+                onClick={() => handleMove(index, -1)}
+                disabled={index === 0}
+                className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                aria-label={`Move ${slot.label} up`}
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => handleMove(index, 1)}
+                disabled={index === slots.length - 1}
+                className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                aria-label={`Move ${slot.label} down`}
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => updateSlot(slot.key, { hidden: !slot.hidden })}
+                disabled={!slot.hidden && visibleCount === 1}
+                className="text-xs font-medium text-protein hover:underline disabled:opacity-30 disabled:no-underline w-10"
+              >
+                {slot.hidden ? 'Show' : 'Hide'}
+              </button>
+            </div>
+            <div className="flex items-center gap-2 mt-2 text-xs text-gray-500">
+              <span>Usual time</span>
+              <input
+                type="time"
+                value={slot.from || ''}
+                onChange={(e) => updateSlot(slot.key, { from: e.target.value || null })}
+                className="px-2 py-1 rounded-lg border border-gray-200 text-gray-900"
+                aria-label={`${slot.label} starts`}
+              />
+              <span>to</span>
+              <input
+                type="time"
+                value={slot.to || ''}
+                onChange={(e) => updateSlot(slot.key, { to: e.target.value || null })}
+                className="px-2 py-1 rounded-lg border border-gray-200 text-gray-900"
+                aria-label={`${slot.label} ends`}
+              />
+              {(slot.from || slot.to) && (
+                <button
+                  onClick={() => updateSlot(slot.key, { from: null, to: null })}
+                  className="text-protein font-medium hover:underline"
+                >
+                  Any time
+                </button>
+              )}
+            </div>
+            <div className="flex gap-1.5 mt-2">
+              {Object.entries(MEAL_COLORS).map(([name, color]) => (
+                <button
+                  key={name}
+                  onClick={() => updateSlot(slot.key, { color: name })}
+                  className={`w-6 h-6 rounded-full ${color.badge} ${
+                    slot.color === name ? 'ring-2 ring-offset-1 ring-gray-800' : ''
+                  }`}
+                  aria-label={`${color.label} for ${slot.label}`}
+                  aria-pressed={slot.color === name}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {slots.length < MAX_MEAL_SLOTS ? (
+        <div className="flex gap-2 mt-3">
+          <input
+            type="text"
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            placeholder="e.g., Post-workout"
+            className="input-field py-2 flex-1"
+          />
+          <button
+            onClick={handleAdd}
+            disabled={!newLabel.trim()}
+            className="btn-secondary py-2 px-4"
+          >
+            Add
+          </button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-400 mt-3">Up to {MAX_MEAL_SLOTS} meals. Hide one you no longer use.</p>
+      )}
+    </div>
+  )
+}
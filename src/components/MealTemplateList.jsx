@@ -0,0 +1,51 @@
+// Meal template list with one-tap logging into any meal
+
+import { formatProtein } from '../utils/formatters'
+import { listMealSlots, getMealBadgeClass } from '../utils/meals'
+
+/**
+ * Meal template list component
+ * @param {Object} props
+ * @param {Array} props.templates - Saved meal templates
+ * @param {Function} props.onAdd - Callback with (mealType, template)
+ */
+export default function MealTemplateList({ templates, onAdd }) {
+  if (templates.length === 0) return null
+
+  return (
+    <div>
+      <h3 className="px-4 pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+        Meal templates
+      </h3>
+      <div className="divide-y divide-gray-100">
+        {templates.map((template) => (
+          <div key={template.id} className="p-4">
+            <div className="flex items-center justify-between mb-2">
+              <div className="min-w-0">
+                <div className="font-medium text-gray-900 truncate">{template.name}</div>
+                <div className="text-sm text-gray-500 truncate">
+                  {template.items.map(item => item.name).join(', ')}
+                </div>
+              </div>
+              <div className="font-semibold text-protein ml-2">
+                {formatProtein(template.items.reduce((sum, item) => sum + (item.protein || 0), 0))}
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {listMealSlots().map(({ key: mealType, label }) => (
+                <button
+                  key={mealType}
+                  onClick={() => onAdd(mealType, template)}
+                  className={`flex-1 min-w-[4.5rem] py-1.5 rounded-lg text-xs font-medium ${getMealBadgeClass(mealType)}`}
+                  aria-label={`Add ${template.name} to ${label}`}
+                >
+                  + {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
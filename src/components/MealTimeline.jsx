@@ -0,0 +1,149 @@
+// Timeline view of a day - entries placed by the time they were eaten rather than grouped by meal
+
+import { MEAL_COLORS } from '../utils/constants'
+import { formatProtein, formatTime, formatDuration } from '../utils/formatters'
+import { getMealSlot, getMealBadgeClass } from '../utils/meals'
+import { buildTimeline, getTimelineTime } from '../utils/timeline'
+
+const WIDTH = 320
+const HEIGHT = 64
+const AXIS_HEIGHT = 14
+const MINUTES_PER_DAY = 24 * 60
+const TICK_HOURS = [0, 6, 12, 18, 24]
+
+/**
+ * Meal timeline component
+ * @param {Object} props
+ * @param {Object} props.meals - Food items keyed by meal type
+ * @param {string} props.dateKey - Day being shown
+ * @param {Function} props.onEditFood - Callback with (mealType, food)
+ */
+export default function MealTimeline({ meals, dateKey, onEditFood }) {
+  const { entries, untimed, window: eatingWindow, gaps, longestGap } = buildTimeline(meals, dateKey)
+
+  if (entries.length === 0 && untimed.length === 0) {
+    return (
+      <div className="card text-center py-6 text-sm text-gray-400">
+        Nothing logged yet - entries show here at the time you log them
+      </div>
+    )
+  }
+
+  const plotHeight = HEIGHT - AXIS_HEIGHT
+  const x = minutes => (minutes / MINUTES_PER_DAY) * WIDTH
+  const maxProtein = Math.max(...entries.map(entry => entry.food.protein), 1)
+  const clock = minutes => formatTime(getTimelineTime(dateKey, minutes))
+
+  return (
+    <div className="space-y-3">
+      {/* Day strip */}
+      <div className="card">
+        {eatingWindow && (
+          <div className="flex justify-between text-xs text-gray-500 mb-2">
+            <span>
+              Eating window {clock(eatingWindow.start)} – {clock(eatingWindow.end)}
+              {' '}({formatDuration(eatingWindow.end - eatingWindow.start)})
+            </span>
+            {longestGap && <span>Longest gap {formatDuration(longestGap.minutes)}</span>}
+          </div>
+        )}
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto"
+          role="img"
+          aria-label="Entries across the day"
+        >
+          {eatingWindow && (
+            <rect
+              x={x(eatingWindow.start)}
+              y={0}
+              width={Math.max(x(eatingWindow.end) - x(eatingWindow.start), 2)}
+              height={plotHeight}
+              className="fill-protein/10"
+            />
+          )}
+          {gaps.map(gap => (
+            <rect
+              key={gap.start}
+              x={x(gap.start)}
+              y={0}
+              width={x(gap.minutes)}
+              height={plotHeight}
+              className="fill-amber-100"
+            />
+          ))}
+          <line x1={0} x2={WIDTH} y1={plotHeight} y2={plotHeight} className="stroke-gray-200" />
+          {entries.map(entry => (
+            <rect
+              key={entry.food.id}
+              x={x(entry.minutes) - 2}
+              y={plotHeight - Math.max((entry.food.protein / maxProtein) * (plotHeight - 4), 2)}
+              width={4}
+              height={Math.max((entry.food.protein / maxProtein) * (plotHeight - 4), 2)}
+              rx={1}
+              fill={MEAL_COLORS[getMealSlot(entry.mealType).color].hex}
+            />
+          ))}
+          {TICK_HOURS.map(hour => (
+            <text
+              key={hour}
+              x={x(hour * 60)}
+              y={HEIGHT - 2}
+              textAnchor={hour === 0 ? 'start' : hour === 24 ? 'end' : 'middle'}
+              className="fill-gray-400 text-[9px]"
+            >
+              {getTimelineTime(dateKey, hour * 60).toLocaleTimeString('en-US', { hour: 'numeric' })}
+            </text>
+          ))}
+        </svg>
+      </div>
+
+      {/* Entries in the order they were eaten */}
+      <div className="card">
+        {entries.map((entry, index) => {
+          const gap = gaps.find(candidate => candidate.afterIndex === index)
+          return (
+            <div key={entry.food.id}>
+              <button
+                onClick={() => onEditFood(entry.mealType, entry.food)}
+                className="w-full flex items-center gap-3 py-2 text-left"
+              >
+                <span className="w-16 text-xs text-gray-500 shrink-0">{formatTime(entry.food.timestamp)}</span>
+                <span className="flex-1 min-w-0">
+                  <span className="block text-sm text-gray-900 truncate">{entry.food.name}</span>
+                  <span className={`inline-block mt-0.5 px-2 py-0.5 rounded-full text-xs ${getMealBadgeClass(entry.mealType)}`}>
+                    {getMealSlot(entry.mealType).label}
+                  </span>
+                </span>
+                <span className="text-sm font-semibold text-protein">{formatProtein(entry.food.protein)}</span>
+              </button>
+              {gap && (
+                <div className="flex items-center gap-2 py-1 text-xs text-amber-600">
+                  <span className="flex-1 border-t border-dashed border-amber-300" />
+                  {formatDuration(gap.minutes)} gap
+                  <span className="flex-1 border-t border-dashed border-amber-300" />
+                </div>
+              )}
+            </div>
+          )
+        })}
+
+        {untimed.length > 0 && (
+          <div className={entries.length > 0 ? 'mt-2 pt-2 border-t border-gray-100' : ''}>
+            <div className="text-xs text-gray-400 mb-1">Time unknown</div>
+            {untimed.map(({ mealType, food }) => (
+              <button
+                key={food.id}
+                onClick={() => onEditFood(mealType, food)}
+                className="w-full flex items-center justify-between py-2 text-left"
+              >
+                <span className="text-sm text-gray-900 truncate">{food.name}</span>
+                <span className="text-sm font-semibold text-protein">{formatProtein(food.protein)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
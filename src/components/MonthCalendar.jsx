@@ -0,0 +1,152 @@
+// Month calendar - each day shaded by how close it came to its goal
+
+import { useState, useEffect } from 'react'
+import { getLogsInRange, getFirstLogDate } from '../services/storage'
+import { toDateKey, getTodayKey, parseDateKey, shiftDateKey, getPeriodStart, getPeriodEnd } from '../utils/dates'
+import { formatProtein } from '../utils/formatters'
+import { WEEKDAY_LABELS, WEEKDAY_ORDER } from '../utils/goals'
+import { isGoalHit } from '../utils/streaks'
+
+// Shades for the share of the goal reached, highest first
+const HEAT_LEVELS = [
+  { min: 0.75, className: 'bg-protein/60 text-white' },
+  { min: 0.5, className: 'bg-protein/30 text-gray-900' },
+  { min: 0, className: 'bg-protein/10 text-gray-900' },
+]
+
+/**
+ * Get the classes shading a day by goal attainment
+ * @param {Object} [log]
+ * @returns {string}
+ */
+function getHeatClass(log) {
+  if (!log || log.totalProtein <= 0) return 'bg-gray-50 text-gray-400'
+  if (isGoalHit(log)) return 'bg-protein text-white'
+  const ratio = log.goal > 0 ? log.totalProtein / log.goal : 0
+  return HEAT_LEVELS.find(level => ratio >= level.min).className
+}
+
+/**
+ * Month calendar component
+ * @param {Object} props
+ * @param {Date|string} props.selectedDate - Day to highlight and open on
+ * @param {Function} props.onSelectDate - Callback with the tapped day as a Date
+ */
+export default function MonthCalendar({ selectedDate, onSelectDate }) {
+  const todayKey = getTodayKey()
+  const selectedKey = selectedDate ? toDateKey(selectedDate) : todayKey
+  const [monthKey, setMonthKey] = useState(() => getPeriodStart(selectedKey, 'month'))
+  const [logsByDate, setLogsByDate] = useState(null)
+  const [firstMonthKey, setFirstMonthKey] = useState(null)
+
+  useEffect(() => {
+    getFirstLogDate().then((firstKey) => {
+      setFirstMonthKey(getPeriodStart(firstKey && firstKey < todayKey ? firstKey : todayKey, 'month'))
+    })
+  }, [todayKey])
+
+  useEffect(() => {
+    let cancelled = false
+    setLogsByDate(null)
+    getLogsInRange(monthKey, getPeriodEnd(monthKey, 'month')).then((logs) => {
+      if (!cancelled) setLogsByDate(new Map(logs.map(log => [log.date, log])))
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [monthKey])
+
+  const monthEndKey = getPeriodEnd(monthKey, 'month')
+  const canGoBack = firstMonthKey != null && monthKey > firstMonthKey
+  const canGoForward = monthEndKey < todayKey
+
+  // Blank cells before the 1st so weeks start on Monday
+  const leadingBlanks = (parseDateKey(monthKey).getDay() + 6) % 7
+  const days = []
+  for (let key = monthKey; key <= monthEndKey; key = shiftDateKey(key, 1)) {
+    days.push(key)
+  }
+
+  const loggedDays = logsByDate ? [...logsByDate.values()].filter(log => log.totalProtein > 0) : []
+  const hitDays = loggedDays.filter(isGoalHit).length
+
+  return (
+    <div>
+      {/* Month navigation */}
+      <div className="flex items-center justify-between mb-3">
+        <button
+          onClick={() => setMonthKey(getPeriodStart(shiftDateKey(monthKey, -1), 'month'))}
+          disabled={!canGoBack}
+          className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+          aria-label="Previous month"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <div className="text-center">
+          <div className="font-semibold text-gray-900">
+            {parseDateKey(monthKey).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+          </div>
+          <div className="text-xs text-gray-500">
+            {logsByDate ? `Goal hit ${hitDays} of ${loggedDays.length} logged days` : '\u00A0'}
+          </div>
+        </div>
+        <button
+          onClick={() => setMonthKey(shiftDateKey(monthEndKey, 1))}
+          disabled={!canGoForward}
+          className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+          aria-label="Next month"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Weekday headings */}
+      <div className="grid grid-cols-7 gap-1 mb-1">
+        {WEEKDAY_ORDER.map(weekday => (
+          <div key={weekday} className="text-center text-xs font-medium text-gray-400">
+            {WEEKDAY_LABELS[weekday]}
+          </div>
+        ))}
+      </div>
+
+      {/* Days */}
+      <div className="grid grid-cols-7 gap-1">
+        {Array.from({ length: leadingBlanks }, (_, index) => (
+          <div key={`blank-${index}`} />
+        ))}
+        {days.map((key) => {
+          const log = logsByDate?.get(key)
+          const isFuture = key > todayKey
+          return (
+            <button
+              key={key}
+              onClick={() => onSelectDate(parseDateKey(key))}
+              disabled={isFuture}
+              className={`aspect-square rounded-lg text-sm font-medium flex items-center justify-center transition-colors ${
+                isFuture ? 'text-gray-300' : getHeatClass(log)
+              } ${key === selectedKey ? 'ring-2 ring-offset-1 ring-gray-800' : ''}`}
+              aria-label={`${parseDateKey(key).toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}${
+                log && log.totalProtein > 0 ? `, ${formatProtein(log.totalProtein)} of ${formatProtein(log.goal)}` : ''
+              }`}
+            >
+              {Number(key.slice(8))}
+            </button>
+          )
+        })}
+      </div>
+
+      {/* Legend */}
+      <div className="flex items-center justify-end gap-1 mt-3 text-xs text-gray-500">
+        <span className="mr-1">Less</span>
+        {['bg-gray-50', ...[...HEAT_LEVELS].reverse().map(level => level.className), 'bg-protein'].map(className => (
+          <span key={className} className={`w-3 h-3 rounded-sm ${className}`} />
+        ))}
+        <span className="ml-1">Goal</span>
+      </div>
+    </div>
+  )
+}
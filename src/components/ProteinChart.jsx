@@ -0,0 +1,109 @@
+// SVG chart of protein vs goal - bars per day/week/month, goal line and optional moving average
+
+const WIDTH = 320
+const HEIGHT = 180
+const PADDING = { top: 8, right: 4, bottom: 20, left: 30 }
+
+/**
+ * Protein chart component
+ * @param {Object} props
+ * @param {Array} props.points - [{ key, protein, goal, hit, average? }] oldest first
+ * @param {Function} props.formatLabel - Formats a point's key for the x axis
+ * @param {number} props.selectedIndex - Highlighted point (null for none)
+ * @param {Function} props.onSelect - Callback with the tapped point's index
+ * @param {boolean} props.showAverage - Draw the moving average line
+ */
+export default function ProteinChart({ points, formatLabel, selectedIndex, onSelect, showAverage = false }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const maxValue = Math.max(...points.flatMap(point => [point.protein, point.goal, point.average || 0]), 1) * 1.1
+
+  const slot = plotWidth / points.length
+  const barWidth = Math.max(slot * 0.7, 1)
+  const x = index => PADDING.left + slot * index + slot / 2
+  const y = value => PADDING.top + plotHeight - (value / maxValue) * plotHeight
+
+  const line = values => values.map((value, index) => `${x(index)},${y(value)}`).join(' ')
+
+  // Label the first, middle and last points
+  const labelIndexes = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])]
+  const gridValues = [0, Math.round(maxValue / 2), Math.round(maxValue)]
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto select-none"
+      role="img"
+      aria-label="Protein compared to goal"
+    >
+      {/* Grid */}
+      {gridValues.map(value => (
+        <g key={value}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(value)}
+            y2={y(value)}
+            className="stroke-gray-100"
+          />
+          <text x={PADDING.left - 4} y={y(value) + 3} textAnchor="end" className="fill-gray-400 text-[9px]">
+            {value}g
+          </text>
+        </g>
+      ))}
+
+      {/* Bars, with a full-height hit area for tapping */}
+      {points.map((point, index) => (
+        <g key={point.key} onClick={() => onSelect(index)} className="cursor-pointer">
+          <rect
+            x={PADDING.left + slot * index}
+            y={PADDING.top}
+            width={slot}
+            height={plotHeight}
+            className={index === selectedIndex ? 'fill-gray-100' : 'fill-transparent'}
+          />
+          <rect
+            x={x(index) - barWidth / 2}
+            y={y(point.protein)}
+            width={barWidth}
+            height={Math.max(y(0) - y(point.protein), 0)}
+            rx={Math.min(barWidth / 4, 2)}
+            className={point.hit ? 'fill-protein' : 'fill-protein-light opacity-50'}
+          />
+        </g>
+      ))}
+
+      {/* Goal line */}
+      <polyline
+        points={line(points.map(point => point.goal))}
+        fill="none"
+        strokeWidth="1.5"
+        strokeDasharray="4 3"
+        className="stroke-gray-400 pointer-events-none"
+      />
+
+      {/* Moving average */}
+      {showAverage && (
+        <polyline
+          points={line(points.map(point => point.average))}
+          fill="none"
+          strokeWidth="2"
+          className="stroke-orange-400 pointer-events-none"
+        />
+      )}
+
+      {/* X axis labels */}
+      {labelIndexes.map(index => (
+        <text
+          key={index}
+          x={x(index)}
+          y={HEIGHT - 6}
+          textAnchor={index === 0 ? 'start' : index === points.length - 1 ? 'end' : 'middle'}
+          className="fill-gray-400 text-[9px]"
+        >
+          {formatLabel(points[index].key)}
+        </text>
+      ))}
+    </svg>
+  )
+}
@@ -0,0 +1,55 @@
+// Quick-add list of previously logged foods with one-tap re-adding
+
+import { formatProtein, formatEnteredServing } from '../utils/formatters'
+import { getMealLabel, isActiveMealSlot } from '../utils/meals'
+
+/**
+ * Quick-add list component
+ * @param {Object} props
+ * @param {string} props.title - Section heading
+ * @param {Array} props.items - [{ food, mealType, count? }]
+ * @param {Function} props.onAdd - Callback to log an item as-is
+ * @param {Function} props.onSelect - Callback to open an item for adjusting
+ */
+export default function QuickAddList({ title, items, onAdd, onSelect }) {
+  if (items.length === 0) return null
+
+  return (
+    <div>
+      <h3 className="px-4 pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+        {title}
+      </h3>
+      <div className="divide-y divide-gray-100">
+        {items.map((item) => (
+          <div key={item.food.name} className="flex items-center">
+            <button
+              onClick={() => onSelect(item)}
+              className="flex-1 p-4 pr-2 flex items-center justify-between text-left hover:bg-gray-50 transition-colors"
+            >
+              <div className="min-w-0">
+                <div className="font-medium text-gray-900 truncate">{item.food.name}</div>
+                <div className="text-sm text-gray-500">
+                  {formatEnteredServing(item.food)}
+                  {isActiveMealSlot(item.mealType) && ` • ${getMealLabel(item.mealType)}`}
+                  {item.count > 1 && ` • ${item.count}×`}
+                </div>
+              </div>
+              <div className="font-semibold text-protein ml-2">
+                {formatProtein(item.food.protein)}
+              </div>
+            </button>
+            <button
+              onClick={() => onAdd(item)}
+              className="mr-4 w-9 h-9 flex-shrink-0 rounded-full bg-protein text-white flex items-center justify-center"
+              aria-label={`Add ${item.food.name}`}
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
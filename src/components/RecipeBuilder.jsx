@@ -0,0 +1,241 @@
+// Recipe builder - combine ingredients into a dish and split it into servings
+
+import { useState } from 'react'
+import { saveRecipe, deleteRecipe } from '../services/storage'
+import { calculateRecipeNutrients, scaleNutrients } from '../utils/nutrients'
+import { formatProtein, formatNutrient } from '../utils/formatters'
+import { MACROS, MACRO_KEYS } from '../utils/constants'
+import IngredientSearch from './IngredientSearch'
+
+/**
+ * Snapshot a food's nutrients so later edits to the source food don't change the recipe
+ * @param {Object} food
+ * @returns {Object} Ingredient with values per servingSize
+ */
+function createIngredient(food) {
+  return {
+    id: crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(),
+    foodId: food.id,
+    name: food.name,
+    amount: food.servingSize || 100,
+    servingSize: food.servingSize || 100,
+    servingUnit: food.servingUnit || 'g',
+    protein: food.protein || 0,
+    ...Object.fromEntries(MACRO_KEYS.map(key => [key, food[key] ?? null])),
+    source: food.source,
+  }
+}
+
+/**
+ * Recipe builder component
+ * @param {Object} props
+ * @param {Object} props.recipe - Existing recipe to edit (omit to create)
+ * @param {Function} props.onSaved - Callback with the saved recipe
+ * @param {Function} props.onDeleted - Callback with the deleted recipe's id
+ * @param {Function} props.onClose - Callback to close
+ */
+export default function RecipeBuilder({ recipe, onSaved, onDeleted, onClose }) {
+  const [name, setName] = useState(recipe?.name ?? '')
+  const [servings, setServings] = useState(recipe?.servings ?? 4)
+  const [ingredients, setIngredients] = useState(recipe?.ingredients ?? [])
+  const [addingIngredient, setAddingIngredient] = useState(() => !recipe)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const perServing = calculateRecipeNutrients({ servings: Number(servings), ingredients })
+  const hasMacros = MACRO_KEYS.some(key => perServing[key] != null)
+
+  const handleAddIngredient = (food) => {
+    setIngredients([...ingredients, createIngredient(food)])
+    setAddingIngredient(false)
+  }
+
+  const handleAmountChange = (id, amount) => {
+    setIngredients(ingredients.map(item =>
+      item.id === id ? { ...item, amount: Math.max(0, Number(amount)) } : item
+    ))
+  }
+
+  const handleRemoveIngredient = (id) => {
+    setIngredients(ingredients.filter(item => item.id !== id))
+  }
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setError('Give the recipe a name.')
+      return
+    }
+    if (!(Number(servings) > 0)) {
+      setError('Servings must be greater than zero.')
+      return
+    }
+    if (ingredients.length === 0) {
+      setError('Add at least one ingredient.')
+      return
+    }
+
+    setSaving(true)
+    const saved = await saveRecipe({
+      ...(recipe || {}),
+      name: name.trim(),
+      servings: Number(servings),
+      ingredients,
+    })
+    setSaving(false)
+
+    if (saved) {
+      onSaved(saved)
+    } else {
+      setError('Could not save this recipe. Please try again.')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the recipe "${recipe.name}"? Logged entries are kept.`)) return
+    if (await deleteRecipe(recipe.id)) {
+      onDeleted(recipe.id)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-50 z-[60] flex flex-col">
+      {/* Header */}
+      <div className="bg-white p-4 flex items-center gap-3 border-b">
+        <button
+          onClick={onClose}
+          className="p-2 -ml-2 text-gray-500 hover:text-gray-700"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+        <h1 className="text-xl font-semibold text-gray-900">
+          {recipe ? 'Edit Recipe' : 'New Recipe'}
+        </h1>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <div className="card space-y-4">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Name</span>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Turkey chili"
+              className="input-field mt-1"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Makes how many servings?</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={servings}
+              onChange={(e) => setServings(e.target.value)}
+              className="input-field mt-1 w-28 text-center"
+            />
+          </label>
+        </div>
+
+        {/* Ingredients */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Ingredients</h2>
+          {ingredients.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-3">No ingredients yet</p>
+          ) : (
+            <div className="divide-y divide-gray-100 mb-3">
+              {ingredients.map((item) => (
+                <div key={item.id} className="py-3 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-gray-900 truncate">{item.name}</div>
+                    <div className="text-sm text-protein">
+                      {formatProtein(scaleNutrients(item, item.amount / item.servingSize).protein)}
+                    </div>
+                  </div>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={item.amount}
+                    onChange={(e) => handleAmountChange(item.id, e.target.value)}
+                    className="input-field w-20 py-2 text-center"
+                  />
+                  <span className="text-sm text-gray-500 w-10">{item.servingUnit}</span>
+                  <button
+                    onClick={() => handleRemoveIngredient(item.id)}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                    aria-label={`Remove ${item.name}`}
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          {!addingIngredient && (
+            <button
+              onClick={() => setAddingIngredient(true)}
+              className="btn-secondary w-full"
+            >
+              + Add ingredient
+            </button>
+          )}
+        </div>
+
+        {addingIngredient && (
+          <IngredientSearch
+            onSelect={handleAddIngredient}
+            onCancel={() => setAddingIngredient(false)}
+          />
+        )}
+
+        {/* Per-serving summary */}
+        <div className="bg-green-50 rounded-xl p-4">
+          <span className="text-sm text-gray-600">Each serving has</span>
+          <div className="text-2xl font-bold text-protein">
+            {formatProtein(perServing.protein)} protein
+          </div>
+          {hasMacros && (
+            <div className="grid grid-cols-4 gap-2 mt-3 text-center">
+              {MACRO_KEYS.map(key => (
+                <div key={key}>
+                  <div className="text-sm font-semibold text-gray-900">
+                    {formatNutrient(perServing[key], key)}
+                  </div>
+                  <div className="text-xs text-gray-500">{MACROS[key].label}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600">{error}</p>
+        )}
+
+        <div className="flex gap-2">
+          {recipe && (
+            <button
+              onClick={handleDelete}
+              className="btn-secondary text-red-600"
+            >
+              Delete
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="btn-primary flex-1"
+          >
+            {saving ? 'Saving...' : 'Save Recipe'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,274 @@
+// Weekly and monthly report - a summary to share or print for coach check-ins
+
+import { useState, useEffect } from 'react'
+import { createPortal } from 'react-dom'
+import { getLogsInRange } from '../services/storage'
+import { getMealLabel } from '../utils/meals'
+import { getTodayKey, shiftDateKey, parseDateKey } from '../utils/dates'
+import { formatProtein } from '../utils/formatters'
+import { downloadFile } from '../utils/download'
+import {
+  getReportRange,
+  getPreviousRange,
+  buildReport,
+  formatReportTitle,
+  formatReportDay,
+  formatChange,
+} from '../utils/report'
+import { renderReportImage } from '../utils/reportImage'
+
+/**
+ * Report component
+ * Rendered into <body> so printing can hide the rest of the app
+ * @param {Object} props
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onSelectDate - Callback to open a day
+ */
+export default function Report({ onClose, onSelectDate }) {
+  const [period, setPeriod] = useState('week') // 'week' | 'month'
+  const [anchorKey, setAnchorKey] = useState(getTodayKey)
+  const [reports, setReports] = useState(null)
+  const [sharing, setSharing] = useState(false)
+  const [error, setError] = useState(null)
+
+  const todayKey = getTodayKey()
+  const range = getReportRange(anchorKey, period)
+  const title = formatReportTitle(range, period)
+  const isCurrent = range.endKey >= todayKey
+
+  useEffect(() => {
+    let cancelled = false
+    const current = getReportRange(anchorKey, period)
+    const previous = getPreviousRange(current, period)
+    const endKey = current.endKey < getTodayKey() ? current.endKey : getTodayKey()
+
+    setReports(null)
+    getLogsInRange(previous.startKey, endKey).then((logs) => {
+      if (cancelled) return
+      setReports({
+        current: buildReport(logs, current.startKey, endKey),
+        previous: buildReport(logs, previous.startKey, previous.endKey),
+      })
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [anchorKey, period])
+
+  const handlePeriodChange = (key) => {
+    setPeriod(key)
+    setAnchorKey(todayKey)
+  }
+
+  const handleStep = (direction) => {
+    const key = direction < 0 ? shiftDateKey(range.startKey, -1) : shiftDateKey(range.endKey, 1)
+    setAnchorKey(key > todayKey ? todayKey : key)
+  }
+
+  const handleShareImage = async () => {
+    setSharing(true)
+    setError(null)
+    try {
+      const blob = await renderReportImage(reports.current, reports.previous, title)
+      const filename = `protein-report-${range.startKey}.png`
+      const file = new File([blob], filename, { type: 'image/png' })
+
+      if (navigator.canShare?.({ files: [file] })) {
+        await navigator.share({ files: [file], title: `Protein report - ${title}` })
+      } else {
+        downloadFile(blob, filename, 'image/png')
+      }
+    } catch (err) {
+      // Closing the share sheet rejects with AbortError - not a failure
+      if (err.name !== 'AbortError') {
+        console.error('Report share error:', err)
+        setError('Could not create the image. Please try again.')
+      }
+    }
+    setSharing(false)
+  }
+
+  const report = reports?.current
+  const previous = reports?.previous
+
+  return createPortal(
+    <div className="print-report fixed inset-0 bg-gray-50 z-[60] flex flex-col print:static print:bg-white">
+      {/* Header */}
+      <div className="bg-white p-4 flex items-center gap-3 border-b print:hidden">
+        <button
+          onClick={onClose}
+          className="p-2 -ml-2 text-gray-500 hover:text-gray-700"
+          aria-label="Close report"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <h1 className="text-xl font-semibold text-gray-900 flex-1">Report</h1>
+        <button
+          onClick={() => window.print()}
+          disabled={!report || report.loggedDays === 0}
+          className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          aria-label="Print report"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z" />
+          </svg>
+        </button>
+        <button
+          onClick={handleShareImage}
+          disabled={!report || report.loggedDays === 0 || sharing}
+          className="p-2 -mr-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          aria-label="Share report as image"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Period controls */}
+      <div className="bg-white px-4 py-2 mb-2 space-y-2 print:hidden">
+        <div className="flex gap-2">
+          {[['week', 'Week'], ['month', 'Month']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => handlePeriodChange(key)}
+              className={`flex-1 py-2 rounded-lg font-medium ${
+                period === key ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => handleStep(-1)}
+            className="p-2 text-gray-500 hover:text-gray-700"
+            aria-label={`Previous ${period}`}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <span className="font-medium text-gray-900">{title}</span>
+          <button
+            onClick={() => handleStep(1)}
+            disabled={isCurrent}
+            className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+            aria-label={`Next ${period}`}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {/* Report */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4 print:overflow-visible">
+        {error && (
+          <div className="bg-red-50 text-red-600 rounded-xl px-4 py-3 text-sm print:hidden">{error}</div>
+        )}
+
+        <div className="hidden print:block">
+          <div className="text-sm text-gray-500">Protein report</div>
+          <h2 className="text-2xl font-bold text-gray-900">{title}</h2>
+        </div>
+
+        {!report ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-protein"></div>
+          </div>
+        ) : report.loggedDays === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <p>Nothing logged this {period}</p>
+            <p className="text-sm mt-1">Pick another {period} with the arrows above</p>
+          </div>
+        ) : (
+          <>
+            {/* Headline numbers */}
+            <div className="card">
+              <div className="grid grid-cols-2 gap-4 text-center">
+                <div>
+                  <div className="text-2xl font-bold text-protein">{formatProtein(report.average)}</div>
+                  <div className="text-xs text-gray-500">Avg daily • goal {formatProtein(report.averageGoal)}</div>
+                  {previous.loggedDays > 0 && (
+                    <div className="text-xs text-gray-400 mt-1">{formatChange(report.average, previous.average)}</div>
+                  )}
+                </div>
+                <div>
+                  <div className="text-2xl font-bold text-gray-900">
+                    {report.hitDays} / {report.loggedDays}
+                  </div>
+                  <div className="text-xs text-gray-500">Days goal hit</div>
+                  {previous.loggedDays > 0 && (
+                    <div className="text-xs text-gray-400 mt-1">
+                      {previous.hitDays} / {previous.loggedDays} previous
+                    </div>
+                  )}
+                </div>
+              </div>
+              <div className="text-xs text-gray-400 text-center mt-3">
+                {report.loggedDays} of {report.days} days logged
+                {isCurrent && ' so far'}
+              </div>
+            </div>
+
+            {/* Best and worst */}
+            <div className="grid grid-cols-2 gap-2">
+              {[['Best day', report.best], ['Worst day', report.worst]].map(([label, day]) => (
+                <button
+                  key={label}
+                  onClick={() => onSelectDate(parseDateKey(day.date))}
+                  className="card text-left"
+                >
+                  <div className="text-xs text-gray-500">{label}</div>
+                  <div className="font-semibold text-gray-900">{formatProtein(day.protein)}</div>
+                  <div className="text-xs text-gray-400">{formatReportDay(day.date)}</div>
+                </button>
+              ))}
+            </div>
+
+            {/* Distribution by meal */}
+            <div className="card">
+              <h3 className="font-semibold text-gray-900 mb-3">By meal</h3>
+              <div className="space-y-2">
+                {report.meals.map(meal => (
+                  <div key={meal.mealType} className="flex items-center gap-3 text-sm">
+                    <span className="w-20 text-gray-700">{getMealLabel(meal.mealType)}</span>
+                    <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                      <div className="h-full bg-protein" style={{ width: `${meal.share * 100}%` }} />
+                    </div>
+                    <span className="w-20 text-right text-gray-500">
+                      {formatProtein(meal.protein)} • {Math.round(meal.share * 100)}%
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Top sources */}
+            <div className="card">
+              <h3 className="font-semibold text-gray-900 mb-3">Top sources</h3>
+              <div className="divide-y">
+                {report.sources.map(source => (
+                  <div key={source.name} className="flex items-center justify-between py-2 text-sm">
+                    <div>
+                      <div className="text-gray-900">{source.name}</div>
+                      <div className="text-xs text-gray-400">Logged {source.count}×</div>
+                    </div>
+                    <div className="font-semibold text-gray-900">{formatProtein(source.protein)}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>,
+    document.body
+  )
+}
@@ -0,0 +1,52 @@
+// Serving amount input with a picker for the units the food can be measured in
+
+import { MASS_UNITS, getServingUnits, changeServingUnit, getServingGrams } from '../utils/units'
+import { formatFoodWeight } from '../utils/formatters'
+
+/**
+ * Serving input component
+ * @param {Object} props
+ * @param {Object} props.food - Food or logged entry being measured
+ * @param {number} props.quantity - Amount entered
+ * @param {string} props.unit - Unit it's entered in
+ * @param {Function} props.onChange - Callback with { quantity, unit }
+ * @param {number|string} props.step - Step for the number input
+ */
+export default function ServingInput({ food, quantity, unit, onChange, step = 'any' }) {
+  const units = getServingUnits(food)
+  const grams = getServingGrams(food, quantity, unit)
+
+  const handleUnitChange = (nextUnit) => {
+    onChange({ quantity: changeServingUnit(food, quantity, unit, nextUnit), unit: nextUnit })
+  }
+
+  return (
+    <div className="flex items-center gap-3">
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={quantity}
+        onChange={(e) => onChange({ quantity: Math.max(0, Number(e.target.value)), unit })}
+        className="input-field w-24 text-center"
+      />
+      {units.length > 1 ? (
+        <select
+          value={unit}
+          onChange={(e) => handleUnitChange(e.target.value)}
+          className="input-field w-auto py-2"
+          aria-label="Unit"
+        >
+          {units.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      ) : (
+        <span className="text-gray-500">{unit === 'serving' ? 'servings' : unit}</span>
+      )}
+      {grams != null && !Object.hasOwn(MASS_UNITS, unit) && quantity > 0 && (
+        <span className="text-sm text-gray-400">≈ {formatFoodWeight(grams)}</span>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,372 @@
+// Settings screen with backup export and restore
+
+import { useState, useEffect, useRef } from 'react'
+import { createBackup, parseBackup, previewImport, importBackup } from '../services/backup'
+import { downloadFile } from '../utils/download'
+import { formatDate } from '../utils/formatters'
+import { getTodayKey, getDayStart, configureDayStart, MAX_DAY_START_HOUR } from '../utils/dates'
+import {
+  getDayStartHour,
+  setDayStartHour,
+  getStreakRules,
+  setStreakRules,
+  getMealSlotSettings,
+  getUnitSystemSetting,
+  setUnitSystemSetting,
+} from '../services/storage'
+import { DB_CONFIG, DEFAULT_STREAK_RULES, MAX_REST_PASSES_PER_WEEK, UNIT_SYSTEMS } from '../utils/constants'
+import { configureMealSlots } from '../utils/meals'
+import { getUnitSystem, configureUnitSystem } from '../utils/units'
+import MealSlotEditor from './MealSlotEditor'
+
+// Hours offered for the start of the day, as midnight / 1 AM ... 12 PM
+const DAY_START_OPTIONS = Array.from({ length: MAX_DAY_START_HOUR + 1 }, (_, hour) => ({
+  value: hour,
+  label: hour === 0 ? 'Midnight' : hour === 12 ? '12 PM' : `${hour} AM`,
+}))
+
+// Friendly names for stores in the import preview
+const STORE_LABELS = {
+  [DB_CONFIG.STORES.SETTINGS]: 'Goals & preferences',
+  [DB_CONFIG.STORES.CUSTOM_FOODS]: 'My foods',
+  [DB_CONFIG.STORES.WEIGH_INS]: 'Weigh-ins',
+  [DB_CONFIG.STORES.RECIPES]: 'Recipes',
+  [DB_CONFIG.STORES.MEAL_TEMPLATES]: 'Meal templates',
+}
+
+/**
+ * Settings component
+ * @param {Object} props
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onDataChanged - Called after an import or a preference change so views can reload
+ */
+export default function Settings({ onClose, onDataChanged }) {
+  const [exporting, setExporting] = useState(false)
+  const [pendingBackup, setPendingBackup] = useState(null)
+  const [importMode, setImportMode] = useState('merge') // 'merge' | 'replace'
+  const [preview, setPreview] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [message, setMessage] = useState(null) // { type: 'error' | 'success', text }
+  const [dayStart, setDayStart] = useState(getDayStart)
+  const [unitSystem, setUnitSystemState] = useState(getUnitSystem)
+  const [streakRules, setStreakRulesState] = useState(DEFAULT_STREAK_RULES)
+  const [mealSlotsVersion, setMealSlotsVersion] = useState(0) // Remounts the editor after an import
+  const fileInputRef = useRef(null)
+
+  // Recompute the preview whenever the file or mode changes
+  useEffect(() => {
+    if (!pendingBackup) {
+      setPreview(null)
+      return
+    }
+    let cancelled = false
+    previewImport(pendingBackup, importMode).then((summary) => {
+      if (!cancelled) setPreview(summary)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [pendingBackup, importMode])
+
+  useEffect(() => {
+    getStreakRules().then(setStreakRulesState)
+  }, [])
+
+  // Handle streak rule change
+  const handleRestPassesChange = async (e) => {
+    const rules = { ...streakRules, restPassesPerWeek: Number(e.target.value) }
+    setStreakRulesState(rules)
+    await setStreakRules(rules)
+    onDataChanged()
+  }
+
+  // Handle unit system change
+  const handleUnitSystemChange = async (system) => {
+    setUnitSystemState(system)
+    await setUnitSystemSetting(system)
+    configureUnitSystem(system)
+    onDataChanged()
+  }
+
+  // Handle day start change
+  const handleDayStartChange = async (e) => {
+    const hour = Number(e.target.value)
+    setDayStart(hour)
+    await setDayStartHour(hour)
+    configureDayStart(hour)
+    onDataChanged()
+  }
+
+  // Handle export
+  const handleExport = async () => {
+    setExporting(true)
+    setMessage(null)
+    try {
+      const backup = await createBackup()
+      downloadFile(
+        JSON.stringify(backup, null, 2),
+        `protein-tracker-backup-${getTodayKey()}.json`,
+        'application/json'
+      )
+    } catch (error) {
+      console.error('Export error:', error)
+      setMessage({ type: 'error', text: 'Export failed. Please try again.' })
+    }
+    setExporting(false)
+  }
+
+  // Handle file selection
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = '' // Allow picking the same file again
+    if (!file) return
+
+    setMessage(null)
+    try {
+      setPendingBackup(parseBackup(await file.text()))
+      setImportMode('merge')
+    } catch (error) {
+      setPendingBackup(null)
+      setMessage({ type: 'error', text: error.message })
+    }
+  }
+
+  // Handle confirmed import
+  const handleImport = async () => {
+    setImporting(true)
+    try {
+      await importBackup(pendingBackup, importMode)
+      // Imported preferences take effect now, not on the next launch
+      configureDayStart(await getDayStartHour())
+      setDayStart(getDayStart())
+      setStreakRulesState(await getStreakRules())
+      configureMealSlots(await getMealSlotSettings())
+      setMealSlotsVersion(version => version + 1)
+      configureUnitSystem(await getUnitSystemSetting())
+      setUnitSystemState(getUnitSystem())
+      setPendingBackup(null)
+      setMessage({ type: 'success', text: 'Backup restored.' })
+      onDataChanged()
+    } catch (error) {
+      console.error('Import error:', error)
+      setMessage({ type: 'error', text: 'Import failed. Your existing data was not changed.' })
+    }
+    setImporting(false)
+  }
+
+  const recordChanges = preview
+    ? Object.entries(preview.records).filter(([, counts]) => counts.added || counts.updated || counts.removed)
+    : []
+
+  return (
+    <div className="fixed inset-0 bg-gray-50 z-50 flex flex-col">
+      {/* Header */}
+      <div className="bg-white p-4 flex items-center gap-3 border-b">
+        <button
+          onClick={onClose}
+          className="p-2 -ml-2 text-gray-500 hover:text-gray-700"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <h1 className="text-xl font-semibold text-gray-900">Settings</h1>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {message && (
+          <div className={`px-4 py-3 rounded-xl text-sm ${
+            message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+          }`}>
+            {message.text}
+          </div>
+        )}
+
+        {/* Units */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Units</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Used for body weight, protein per kg or lb, and the amount new servings start at.
+            Protein and other nutrients are always in grams.
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+              <button
+                key={key}
+                onClick={() => handleUnitSystemChange(key)}
+                className={`p-3 rounded-xl text-left transition-colors ${
+                  unitSystem === key ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                <div className="font-medium">{system.label}</div>
+                <div className={`text-xs ${unitSystem === key ? 'text-white/80' : 'text-gray-500'}`}>
+                  {system.weight}, {system.mass}, {system.volume}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Day start */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Day starts at</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Food logged before this time counts toward the previous day. Applies to new logging
+            - entries already saved stay on their day.
+          </p>
+          <select
+            value={dayStart}
+            onChange={handleDayStartChange}
+            className="input-field"
+          >
+            {DAY_START_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Meal slots */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Meals</h2>
+          <p className="text-sm text-gray-500 mb-2">
+            Name and order the meals you log into. New food goes into the meal whose usual time it is;
+            hidden meals keep their food and still show on days that have some.
+          </p>
+          <MealSlotEditor key={mealSlotsVersion} onChange={onDataChanged} />
+        </div>
+
+        {/* Streak rules */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Streaks</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Rest day passes let you miss your goal without losing your streak.
+          </p>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Rest day passes per week</span>
+            <select
+              value={streakRules.restPassesPerWeek}
+              onChange={handleRestPassesChange}
+              className="input-field mt-1"
+            >
+              {Array.from({ length: MAX_REST_PASSES_PER_WEEK + 1 }, (_, count) => (
+                <option key={count} value={count}>
+                  {count === 0 ? 'None - every day counts' : count}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {/* Backup */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Backup & Restore</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Save everything to a file to move to another phone or keep a copy.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={handleExport}
+              disabled={exporting}
+              className="btn-primary flex-1"
+            >
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="btn-secondary flex-1"
+            >
+              Import
+            </button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+
+        {/* Import preview */}
+        {pendingBackup && (
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Import Backup</h2>
+            {pendingBackup.exportedAt && (
+              <p className="text-sm text-gray-500 mb-4">
+                Exported {formatDate(pendingBackup.exportedAt)}
+              </p>
+            )}
+
+            {/* Mode selection */}
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              {[
+                ['merge', 'Merge', 'Add new days and entries'],
+                ['replace', 'Replace', 'Overwrite all data'],
+              ].map(([mode, label, description]) => (
+                <button
+                  key={mode}
+                  onClick={() => setImportMode(mode)}
+                  className={`p-3 rounded-xl text-left transition-colors ${
+                    importMode === mode ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+                  }`}
+                >
+                  <span className="font-medium block">{label}</span>
+                  <span className={`text-xs ${importMode === mode ? 'text-white/80' : 'text-gray-500'}`}>
+                    {description}
+                  </span>
+                </button>
+              ))}
+            </div>
+
+            {/* Change summary */}
+            {preview ? (
+              <ul className="text-sm text-gray-700 space-y-1 mb-4">
+                <li>
+                  Days: {preview.days.added} added, {preview.days.changed} changed
+                  {importMode === 'replace' && `, ${preview.days.removed} removed`}
+                </li>
+                <li>
+                  Entries: {preview.entries.added} added, {preview.entries.updated} updated
+                  {importMode === 'replace' && `, ${preview.entries.removed} removed`}
+                </li>
+                {recordChanges.map(([name, counts]) => (
+                  <li key={name}>
+                    {STORE_LABELS[name] || name}: {counts.added} added, {counts.updated} updated
+                    {importMode === 'replace' && `, ${counts.removed} removed`}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-protein"></div>
+              </div>
+            )}
+
+            {importMode === 'replace' && (
+              <p className="text-sm text-red-600 mb-4">
+                Everything on this device will be replaced by the backup.
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPendingBackup(null)}
+                className="btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={!preview || importing}
+                className="btn-primary flex-1"
+              >
+                {importing ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+// Streak card - current and longest goal streaks, consistency and milestones
+
+import { MILESTONES } from '../utils/constants'
+import { getTodayKey } from '../utils/dates'
+import { formatDate } from '../utils/formatters'
+
+/**
+ * Streak card component
+ * @param {Object} props
+ * @param {Object} props.stats - From calculateStreakStats (null while loading)
+ * @param {Object} props.achievements - Unlock dates keyed by milestone id
+ * @param {boolean} props.showMilestones - List every milestone, locked ones greyed out
+ */
+export default function StreakCard({ stats, achievements, showMilestones = false }) {
+  if (!stats) return null
+
+  const todayKey = getTodayKey()
+  const unlockedToday = MILESTONES.filter(milestone => achievements[milestone.id] === todayKey)
+
+  return (
+    <div className="card">
+      <div className="grid grid-cols-4 gap-2 text-center">
+        <div>
+          <div className="text-2xl font-bold text-orange-500 flex items-center justify-center gap-1">
+            <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path d="M12 2c1 3.5-1.5 5-1.5 8a2.5 2.5 0 005 0c0-1-.3-1.8-.8-2.6C17.5 9 19 11.5 19 14a7 7 0 11-14 0c0-4.5 4-7 7-12z" />
+            </svg>
+            {stats.current}
+          </div>
+          <div className="text-xs text-gray-500">Streak</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-gray-900">{stats.longest}</div>
+          <div className="text-xs text-gray-500">Best</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-protein">{stats.consistency7}%</div>
+          <div className="text-xs text-gray-500">7 days</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-protein">{stats.consistency30}%</div>
+          <div className="text-xs text-gray-500">30 days</div>
+        </div>
+      </div>
+
+      {unlockedToday.length > 0 && (
+        <div className="mt-3 bg-yellow-50 text-yellow-800 rounded-xl px-3 py-2 text-sm font-medium">
+          Milestone unlocked: {unlockedToday.map(milestone => milestone.label).join(', ')}
+        </div>
+      )}
+
+      {showMilestones && (
+        <div className="mt-4">
+          <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">Milestones</h3>
+          <div className="grid grid-cols-2 gap-2">
+            {MILESTONES.map((milestone) => {
+              const unlockedOn = achievements[milestone.id]
+              return (
+                <div
+                  key={milestone.id}
+                  className={`rounded-lg px-3 py-2 ${unlockedOn ? 'bg-yellow-50' : 'bg-gray-50 opacity-60'}`}
+                >
+                  <div className={`text-sm font-medium ${unlockedOn ? 'text-yellow-800' : 'text-gray-500'}`}>
+                    {milestone.label}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {unlockedOn
+                      ? `Unlocked ${formatDate(unlockedOn)}`
+                      : `${Math.min(stats[milestone.stat], milestone.target)} / ${milestone.target}`}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
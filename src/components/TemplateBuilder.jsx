@@ -0,0 +1,211 @@
+// Meal template builder - a named bundle of foods and servings logged in one go
+
+import { useState } from 'react'
+import { saveMealTemplate, deleteMealTemplate } from '../services/storage'
+import { createFoodEntry, rescaleEntry, getEnteredServing, getDefaultServing } from '../utils/nutrients'
+import { formatProtein, formatNutrient } from '../utils/formatters'
+import IngredientSearch from './IngredientSearch'
+import ServingInput from './ServingInput'
+
+/**
+ * Give template items a temporary id for editing
+ * @param {Object} item
+ * @returns {Object}
+ */
+function withKey(item) {
+  return { ...item, id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}` }
+}
+
+/**
+ * Template builder component
+ * @param {Object} props
+ * @param {Object} props.template - Existing template to edit (omit to create)
+ * @param {string} props.initialName - Prefilled name when creating
+ * @param {Array} props.initialItems - Prefilled foods when creating (e.g. from a logged meal)
+ * @param {Function} props.onSaved - Callback with the saved template
+ * @param {Function} props.onDeleted - Callback with the deleted template's id
+ * @param {Function} props.onClose - Callback to close
+ */
+export default function TemplateBuilder({ template, initialName = '', initialItems = [], onSaved, onDeleted, onClose }) {
+  const [name, setName] = useState(template?.name ?? initialName)
+  const [items, setItems] = useState(() => (template?.items ?? initialItems).map(withKey))
+  const [addingFood, setAddingFood] = useState(() => !template && initialItems.length === 0)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const totalProtein = items.reduce((sum, item) => sum + (item.protein || 0), 0)
+  const totalCalories = items.reduce((sum, item) => sum + (item.calories || 0), 0)
+
+  const handleAddFood = (food) => {
+    const { quantity, unit } = getDefaultServing(food)
+    setItems([...items, withKey(createFoodEntry(food, quantity, unit))])
+    setAddingFood(false)
+  }
+
+  const handleServingChange = (id, { quantity, unit }) => {
+    setItems(items.map(item =>
+      item.id === id ? rescaleEntry(item, quantity, unit) : item
+    ))
+  }
+
+  const handleRemoveItem = (id) => {
+    setItems(items.filter(item => item.id !== id))
+  }
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setError('Give the template a name.')
+      return
+    }
+    if (items.length === 0) {
+      setError('Add at least one food.')
+      return
+    }
+    if (items.some(item => !(item.servingSize > 0))) {
+      setError('Every food needs a serving size.')
+      return
+    }
+
+    setSaving(true)
+    const saved = await saveMealTemplate({
+      ...(template || {}),
+      name: name.trim(),
+      items,
+    })
+    setSaving(false)
+
+    if (saved) {
+      onSaved(saved)
+    } else {
+      setError('Could not save this template. Please try again.')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the template "${template.name}"? Logged meals are kept.`)) return
+    if (await deleteMealTemplate(template.id)) {
+      onDeleted(template.id)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-50 z-[60] flex flex-col">
+      {/* Header */}
+      <div className="bg-white p-4 flex items-center gap-3 border-b">
+        <button
+          onClick={onClose}
+          className="p-2 -ml-2 text-gray-500 hover:text-gray-700"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+        <h1 className="text-xl font-semibold text-gray-900">
+          {template ? 'Edit Template' : 'New Meal Template'}
+        </h1>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <div className="card">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Name</span>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Post-workout shake + banana"
+              className="input-field mt-1"
+            />
+          </label>
+        </div>
+
+        {/* Foods */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Foods</h2>
+          {items.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-3">No foods yet</p>
+          ) : (
+            <div className="divide-y divide-gray-100 mb-3">
+              {items.map((item) => (
+                <div key={item.id} className="py-3">
+                  <div className="flex items-center gap-3 mb-2">
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{item.name}</div>
+                      <div className="text-sm text-protein">{formatProtein(item.protein)}</div>
+                    </div>
+                    <button
+                      onClick={() => handleRemoveItem(item.id)}
+                      className="p-1 text-gray-400 hover:text-red-500"
+                      aria-label={`Remove ${item.name}`}
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                  <ServingInput
+                    food={item}
+                    {...getEnteredServing(item)}
+                    onChange={(serving) => handleServingChange(item.id, serving)}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+          {!addingFood && (
+            <button
+              onClick={() => setAddingFood(true)}
+              className="btn-secondary w-full"
+            >
+              + Add food
+            </button>
+          )}
+        </div>
+
+        {addingFood && (
+          <IngredientSearch
+            includeRecipes
+            onSelect={handleAddFood}
+            onCancel={() => setAddingFood(false)}
+          />
+        )}
+
+        {/* Totals */}
+        <div className="bg-green-50 rounded-xl p-4">
+          <span className="text-sm text-gray-600">This meal has</span>
+          <div className="text-2xl font-bold text-protein">
+            {formatProtein(totalProtein)} protein
+          </div>
+          {totalCalories > 0 && (
+            <div className="text-sm text-gray-600 mt-1">
+              {formatNutrient(totalCalories, 'calories')}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600">{error}</p>
+        )}
+
+        <div className="flex gap-2">
+          {template && (
+            <button
+              onClick={handleDelete}
+              className="btn-secondary text-red-600"
+            >
+              Delete
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="btn-primary flex-1"
+          >
+            {saving ? 'Saving...' : 'Save Template'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+// Snackbar confirming a log change, with undo and redo
+
+import { useEffect } from 'react'
+import { UNDO_CONFIG } from '../utils/constants'
+
+/**
+ * Undo snackbar component
+ * @param {Object} props
+ * @param {Object} props.change - Latest change { id, message, kind }, or null when hidden
+ *   kind is 'change', 'undo', 'redo', or 'info' for a plain notice
+ * @param {boolean} props.canUndo - Whether there is a change to undo
+ * @param {boolean} props.canRedo - Whether there is an undone change to redo
+ * @param {Function} props.onUndo - Undo callback
+ * @param {Function} props.onRedo - Redo callback
+ * @param {Function} props.onDismiss - Callback to hide the snackbar
+ */
+export default function UndoSnackbar({ change, canUndo, canRedo, onUndo, onRedo, onDismiss }) {
+  // Auto-hide, restarting the timer for every new change
+  useEffect(() => {
+    if (!change) return
+    const timer = setTimeout(onDismiss, UNDO_CONFIG.SNACKBAR_DURATION)
+    return () => clearTimeout(timer)
+  }, [change, onDismiss])
+
+  if (!change) return null
+
+  return (
+    <div
+      className="fixed bottom-4 left-4 right-4 sm:left-auto sm:right-4 sm:w-96 bg-gray-900 text-white rounded-xl shadow-lg px-4 py-3 z-[70] flex items-center gap-3 animate-slide-up"
+      role="status"
+    >
+      <span className="flex-1 text-sm truncate">{change.message}</span>
+      {canRedo && (change.kind === 'undo' || change.kind === 'redo') && (
+        <button
+          onClick={onRedo}
+          className="text-sm font-semibold text-green-300 hover:text-green-200"
+        >
+          Redo
+        </button>
+      )}
+      {canUndo && change.kind !== 'info' && (
+        <button
+          onClick={onUndo}
+          className="text-sm font-semibold text-green-300 hover:text-green-200"
+        >
+          Undo
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="p-1 text-gray-400 hover:text-gray-200"
+        aria-label="Dismiss"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+        </svg>
+      </button>
+    </div>
+  )
+}
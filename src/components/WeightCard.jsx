@@ -0,0 +1,165 @@
+// Dashboard card for the day's weigh-in, trend weight and protein per body weight
+
+import { useState, useEffect } from 'react'
+import { getGoalCalculator, setGoalCalculator } from '../services/storage'
+import { suggestGoalForWeight } from '../utils/goals'
+import { formatWeight, formatProteinRatio } from '../utils/formatters'
+import { fromKilograms, WEIGHT_UNITS } from '../utils/units'
+
+/**
+ * Weight card component
+ * @param {Object} props
+ * @param {Object} props.weighIn - The day's weigh-in, if any
+ * @param {number} props.trendWeightKg - Latest trend weight (null without weigh-ins)
+ * @param {number} props.weeklyRate - Trend change in kg per week (null without enough history)
+ * @param {string} props.unit - Unit to show weights in
+ * @param {number} props.totalProtein - Protein eaten that day
+ * @param {number} props.goal - Protein goal for the day
+ * @param {Function} props.onLogWeight - Callback with (weight, unit), resolves to success
+ * @param {Function} props.onUpdateGoal - Callback with a goal suggested for the new weight
+ */
+export default function WeightCard({
+  weighIn,
+  trendWeightKg,
+  weeklyRate,
+  unit,
+  totalProtein,
+  goal,
+  onLogWeight,
+  onUpdateGoal,
+}) {
+  const [editing, setEditing] = useState(false)
+  const [value, setValue] = useState('')
+  const [entryUnit, setEntryUnit] = useState(unit)
+  const [calculator, setCalculator] = useState(null)
+
+  // The goal calculator remembers the weight its goal was based on
+  useEffect(() => {
+    getGoalCalculator().then(setCalculator)
+  }, [trendWeightKg])
+
+  // A dismissed suggestion stays hidden until the trend moves it to a different goal
+  const suggested = suggestGoalForWeight(calculator, trendWeightKg)
+  const suggestion = suggested === calculator?.dismissedGoal ? null : suggested
+
+  const startEditing = () => {
+    setEntryUnit(unit)
+    setValue(weighIn ? String(Math.round(fromKilograms(weighIn.weightKg, unit) * 10) / 10) : '')
+    setEditing(true)
+  }
+
+  const handleSave = async () => {
+    const weight = Number(value)
+    if (!(weight > 0)) return
+    if (await onLogWeight(weight, entryUnit)) {
+      setEditing(false)
+    }
+  }
+
+  const handleUpdateGoal = async () => {
+    const updated = { ...calculator, goal: suggestion, weightKg: trendWeightKg }
+    await setGoalCalculator(updated)
+    setCalculator(updated)
+    onUpdateGoal(suggestion)
+  }
+
+  const handleDismiss = async () => {
+    const updated = { ...calculator, dismissedGoal: suggestion }
+    await setGoalCalculator(updated)
+    setCalculator(updated)
+  }
+
+  const rateLabel = weeklyRate == null
+    ? null
+    : `${weeklyRate > 0 ? '+' : ''}${formatWeight(weeklyRate, unit)}/wk`
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm text-gray-500">Body weight</div>
+          {!editing && (weighIn ? (
+            <div className="text-lg font-semibold text-gray-900">{formatWeight(weighIn.weightKg, unit)}</div>
+          ) : (
+            <div className="text-sm text-gray-400">Not logged</div>
+          ))}
+        </div>
+        {trendWeightKg != null && (
+          <div className="text-right">
+            <div className="text-sm font-medium text-gray-900">
+              {formatProteinRatio(totalProtein, trendWeightKg, unit)}
+            </div>
+            <div className="text-xs text-gray-500">
+              of {formatProteinRatio(goal, trendWeightKg, unit)} goal
+            </div>
+          </div>
+        )}
+      </div>
+
+      {trendWeightKg != null && !editing && (
+        <div className="text-xs text-gray-500 mt-1">
+          Trend {formatWeight(trendWeightKg, unit)}{rateLabel && ` • ${rateLabel}`}
+        </div>
+      )}
+
+      {editing ? (
+        <div className="flex items-center gap-2 mt-2">
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Weight"
+            className="input-field py-2 flex-1"
+            autoFocus
+          />
+          <div className="flex gap-1">
+            {WEIGHT_UNITS.map((option) => (
+              <button
+                key={option}
+                onClick={() => setEntryUnit(option)}
+                className={`px-2 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  entryUnit === option ? 'bg-protein text-white' : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={!(Number(value) > 0)}
+            className="btn-primary py-2 px-3"
+          >
+            Save
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={startEditing}
+          className="mt-2 text-sm text-protein font-medium hover:underline"
+        >
+          {weighIn ? 'Edit weigh-in' : 'Log weight'}
+        </button>
+      )}
+
+      {/* Goal based on an older weight */}
+      {suggestion && !editing && (
+        <div className="mt-3 bg-blue-50 rounded-xl p-3 text-sm text-blue-800">
+          Your trend weight has changed since you set {calculator.goal}g.
+          At the same g/{unit} your goal would be {suggestion}g.
+          <div className="flex gap-3 mt-1">
+            <button onClick={handleUpdateGoal} className="font-medium hover:underline">
+              Use {suggestion}g
+            </button>
+            <button onClick={handleDismiss} className="text-blue-600 hover:underline">
+              Not now
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
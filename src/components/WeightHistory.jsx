@@ -0,0 +1,112 @@
+// Weight view in History - weigh-ins with their smoothed trend line and weekly rate
+
+import { useBodyWeight } from '../hooks/useBodyWeight'
+import { WEIGHT_TREND_CONFIG } from '../utils/constants'
+import { formatDate, formatWeight } from '../utils/formatters'
+import { getTodayKey, shiftDateKey, daysBetween } from '../utils/dates'
+
+const CHART_WIDTH = 300
+const CHART_HEIGHT = 120
+const CHART_PADDING = 6
+
+/**
+ * Weight history component
+ */
+export default function WeightHistory() {
+  const { trend, trendWeightKg, weeklyRate, unit, removeWeight } = useBodyWeight()
+
+  const startKey = shiftDateKey(getTodayKey(), -WEIGHT_TREND_CONFIG.CHART_DAYS)
+  const points = trend.filter(point => point.date >= startKey)
+
+  if (trend.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        <p>No weigh-ins yet</p>
+        <p className="text-sm mt-1">Log your weight from the dashboard to see your trend</p>
+      </div>
+    )
+  }
+
+  // Scale both series into the chart box
+  const weights = points.flatMap(point => [point.weightKg, point.trendKg])
+  const min = Math.min(...weights)
+  const max = Math.max(...weights)
+  const span = Math.max(max - min, 0.5)
+  const days = Math.max(daysBetween(startKey, getTodayKey()), 1)
+  const x = date => CHART_PADDING + (daysBetween(startKey, date) / days) * (CHART_WIDTH - 2 * CHART_PADDING)
+  const y = kg => CHART_HEIGHT - CHART_PADDING - ((kg - min) / span) * (CHART_HEIGHT - 2 * CHART_PADDING)
+
+  const rateLabel = weeklyRate == null
+    ? 'Not enough data'
+    : `${weeklyRate > 0 ? '+' : ''}${formatWeight(weeklyRate, unit)}/wk`
+
+  return (
+    <div className="space-y-4">
+      <div className="card">
+        <div className="grid grid-cols-2 gap-4 text-center mb-4">
+          <div>
+            <div className="text-2xl font-bold text-gray-900">{formatWeight(trendWeightKg, unit)}</div>
+            <div className="text-xs text-gray-500">Trend weight</div>
+          </div>
+          <div>
+            <div className="text-2xl font-bold text-gray-900">{rateLabel}</div>
+            <div className="text-xs text-gray-500">Weekly rate</div>
+          </div>
+        </div>
+
+        {points.length > 0 && (
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            className="w-full h-32"
+            role="img"
+            aria-label={`Weight trend over the last ${WEIGHT_TREND_CONFIG.CHART_DAYS} days`}
+          >
+            {points.map(point => (
+              <circle
+                key={point.date}
+                cx={x(point.date)}
+                cy={y(point.weightKg)}
+                r="2"
+                className="fill-gray-300"
+              />
+            ))}
+            <polyline
+              points={points.map(point => `${x(point.date)},${y(point.trendKg)}`).join(' ')}
+              fill="none"
+              strokeWidth="2"
+              className="stroke-protein"
+            />
+          </svg>
+        )}
+        <div className="flex justify-between text-xs text-gray-400 mt-1">
+          <span>{WEIGHT_TREND_CONFIG.CHART_DAYS} days ago</span>
+          <span>Dots: scale • Line: trend</span>
+        </div>
+      </div>
+
+      {/* Weigh-ins, newest first */}
+      <div className="space-y-2">
+        {[...trend].reverse().map(point => (
+          <div key={point.date} className="card flex items-center justify-between">
+            <div>
+              <div className="font-medium text-gray-900">{formatDate(point.date)}</div>
+              <div className="text-xs text-gray-500">Trend {formatWeight(point.trendKg, unit)}</div>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="font-semibold text-gray-900">{formatWeight(point.weightKg, unit)}</div>
+              <button
+                onClick={() => removeWeight(point.date)}
+                className="p-1 text-gray-400 hover:text-red-500"
+                aria-label={`Delete weigh-in for ${formatDate(point.date)}`}
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
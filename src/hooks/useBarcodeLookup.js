@@ -0,0 +1,59 @@
+// Custom hook for looking up scanned or typed barcodes
+
+import { useState, useCallback } from 'react'
+import { getFoodByBarcode } from '../services/nutritionApi'
+import { isValidBarcode, normalizeBarcode } from '../services/barcodeScanner'
+
+/**
+ * Custom hook for barcode lookup functionality
+ * @returns {Object} Lookup state and actions
+ */
+export function useBarcodeLookup() {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [barcode, setBarcode] = useState(null)
+
+  /**
+   * Look up a product by barcode
+   * @param {string} code - Scanned or typed barcode
+   * @returns {Promise<Object|null>} Food item or null if not found
+   */
+  const lookup = useCallback(async (code) => {
+    const digits = normalizeBarcode(code)
+    setBarcode(digits)
+    setError(null)
+
+    if (!isValidBarcode(digits)) {
+      setError('That doesn\'t look like a valid EAN or UPC barcode.')
+      return null
+    }
+
+    setLoading(true)
+    const food = await getFoodByBarcode(digits)
+    setLoading(false)
+
+    if (!food) {
+      setError('Product not found. Check the number or search by name.')
+      return null
+    }
+
+    return food
+  }, [])
+
+  /**
+   * Reset lookup state
+   */
+  const reset = useCallback(() => {
+    setLoading(false)
+    setError(null)
+    setBarcode(null)
+  }, [])
+
+  return {
+    loading,
+    error,
+    barcode,
+    lookup,
+    reset,
+  }
+}
@@ -0,0 +1,65 @@
+// Custom hook for body weight weigh-ins and their trend
+
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import { getWeighIns, saveWeighIn, deleteWeighIn } from '../services/storage'
+import { calculateWeightTrend, getWeeklyRate } from '../utils/weightTrend'
+import { toKilograms, getPreferredWeightUnit } from '../utils/units'
+
+/**
+ * Custom hook for managing weigh-ins
+ * @returns {Object} Weigh-ins, trend and actions
+ */
+export function useBodyWeight() {
+  const [weighIns, setWeighIns] = useState([])
+
+  const reload = useCallback(() => {
+    getWeighIns().then(setWeighIns)
+  }, [])
+
+  useEffect(() => {
+    reload()
+  }, [reload])
+
+  const trend = useMemo(() => calculateWeightTrend(weighIns), [weighIns])
+  const latest = trend[trend.length - 1]
+
+  /**
+   * Record a day's weigh-in
+   * @param {Date|string} date
+   * @param {number} weight - In the entered unit
+   * @param {'kg'|'lb'} unit
+   * @returns {Promise<boolean>}
+   */
+  const logWeight = useCallback(async (date, weight, unit) => {
+    const saved = await saveWeighIn(date, toKilograms(weight, unit), unit)
+    if (saved) {
+      reload()
+    }
+    return Boolean(saved)
+  }, [reload])
+
+  /**
+   * Remove a day's weigh-in
+   * @param {Date|string} date
+   * @returns {Promise<boolean>}
+   */
+  const removeWeight = useCallback(async (date) => {
+    const removed = await deleteWeighIn(date)
+    if (removed) {
+      reload()
+    }
+    return removed
+  }, [reload])
+
+  return {
+    weighIns,
+    trend,
+    trendWeightKg: latest ? latest.trendKg : null,
+    weeklyRate: getWeeklyRate(trend),
+    // Show weights in the preferred unit system, whatever they were entered in
+    unit: getPreferredWeightUnit(),
+    logWeight,
+    removeWeight,
+    reload,
+  }
+}
@@ -1,15 +1,40 @@
 // Custom hook for managing food log state
 
-import { useState, useCallback, useEffect } from 'react'
-import { 
-  getLogByDate, 
-  addFoodToMeal as addToMeal, 
+import { useState, useCallback, useEffect, useRef } from 'react'
+import {
+  getLogByDate,
+  createEmptyLog,
+  addFoodToMeal as addToMeal,
+  addFoodsToMeal as addAllToMeal,
   removeFoodFromMeal as removeFromMeal,
-  getProteinGoal,
-  setProteinGoal as saveProteinGoal,
+  updateFoodInMeal as updateInMeal,
+  copyFoodsToDate,
+  getStoredLog,
+  restoreLogs,
+  getGoalSchedule,
+  saveGoalPlan,
+  deleteGoalPlan,
+  setDayType as saveDayType,
+  getMacroGoals,
+  setMacroGoals as saveMacroGoals,
+  getMealTargets,
+  setMealTargets as saveMealTargets,
   addRecentFood as saveRecentFood
 } from '../services/storage'
-import { toISODateString } from '../utils/formatters'
+import { formatDate } from '../utils/formatters'
+import { toDateKey } from '../utils/dates'
+import { createGoalPlan, DAY_TYPES } from '../utils/goals'
+import { MACRO_KEYS, UNDO_CONFIG, DEFAULT_MEAL_TARGETS } from '../utils/constants'
+import { getMealLabel } from '../utils/meals'
+
+/**
+ * Snapshot the stored logs for some days
+ * @param {string[]} dateKeys
+ * @returns {Promise<Array>} [{ date, log }] with null for days with nothing stored
+ */
+function snapshotLogs(dateKeys) {
+  return Promise.all(dateKeys.map(async date => ({ date, log: await getStoredLog(date) })))
+}
 
 /**
  * Custom hook for managing daily food log
@@ -17,48 +42,293 @@ import { toISODateString } from '../utils/formatters'
  * @returns {Object} Log state and actions
  */
 export function useFoodLog(date = new Date()) {
-  const [log, setLog] = useState(() => getLogByDate(date))
-  const [goal, setGoalState] = useState(() => getProteinGoal())
+  const dateKey = toDateKey(date)
+  const [log, setLog] = useState(() => createEmptyLog(dateKey))
+  const [loading, setLoading] = useState(true)
+  const [goalSchedule, setGoalSchedule] = useState(() => [createGoalPlan()])
+  const [macroGoals, setMacroGoalsState] = useState(
+    () => Object.fromEntries(MACRO_KEYS.map(key => [key, null]))
+  )
+  const [mealTargets, setMealTargetsState] = useState(DEFAULT_MEAL_TARGETS)
+
+  // Track the visible date so late async results for another day are ignored
+  const dateKeyRef = useRef(dateKey)
+  dateKeyRef.current = dateKey
+  const logRef = useRef(log)
+  logRef.current = log
+
+  // Session undo history - each step holds before/after snapshots of the days it touched
+  const undoStackRef = useRef([])
+  const redoStackRef = useRef([])
+  const historyBusyRef = useRef(false)
+  const [lastChange, setLastChange] = useState(null) // { id, message, kind }
+
+  // Bumped when days other than the visible one change, so views built from
+  // every log (streaks) know to re-read - the visible day's changes show in log
+  const [otherDaysVersion, setOtherDaysVersion] = useState(0)
+
+  // Note a change to some days, bumping the version if any isn't the visible day
+  const noteChangedDays = useCallback((dateKeys) => {
+    if (dateKeys.some(key => key !== dateKeyRef.current)) {
+      setOtherDaysVersion(version => version + 1)
+    }
+  }, [])
+
+  // Apply an updated log if it's still the day being shown
+  const applyLog = useCallback((updatedLog) => {
+    if (updatedLog && updatedLog.date === dateKeyRef.current) {
+      setLog(updatedLog)
+    }
+  }, [])
+
+  // Load goals
+  const loadGoals = useCallback(() => {
+    getGoalSchedule().then(setGoalSchedule)
+    getMacroGoals().then(setMacroGoalsState)
+    getMealTargets().then(setMealTargetsState)
+  }, [])
+
+  // Load the visible day's log
+  const loadLog = useCallback(() => {
+    setLoading(true)
+    getLogByDate(dateKeyRef.current).then((loadedLog) => {
+      applyLog(loadedLog)
+      if (loadedLog.date === dateKeyRef.current) {
+        setLoading(false)
+      }
+    })
+  }, [applyLog])
+
+  // Load goals once
+  useEffect(() => {
+    loadGoals()
+  }, [loadGoals])
 
   // Update log when date changes
   useEffect(() => {
-    setLog(getLogByDate(date))
-  }, [date])
+    loadLog()
+  }, [dateKey, loadLog])
+
+  // Re-read everything after bulk changes such as a backup import
+  // Undo snapshots would be stale afterwards, so the history starts over
+  const clearHistory = useCallback(() => {
+    undoStackRef.current = []
+    redoStackRef.current = []
+    setLastChange(null)
+  }, [])
+
+  const reload = useCallback(() => {
+    clearHistory()
+    loadGoals()
+    loadLog()
+  }, [clearHistory, loadGoals, loadLog])
+
+  // Run a log mutation and record it as an undoable step
+  const recordChange = useCallback(async (message, dateKeys, mutate) => {
+    const before = await snapshotLogs(dateKeys)
+    const result = await mutate()
+    if (!result) {
+      return null
+    }
+
+    const after = await snapshotLogs(dateKeys)
+    undoStackRef.current = [...undoStackRef.current, { message, before, after }].slice(-UNDO_CONFIG.MAX_STEPS)
+    redoStackRef.current = []
+    setLastChange({ id: Date.now(), message, kind: 'change' })
+    noteChangedDays(dateKeys)
+    return result
+  }, [noteChangedDays])
+
+  // Write back one side of a history step and refresh the visible day if it was touched
+  const applyHistoryStep = useCallback(async (snapshots) => {
+    if (!(await restoreLogs(snapshots))) {
+      return false
+    }
+    if (snapshots.some(({ date }) => date === dateKeyRef.current)) {
+      applyLog(await getLogByDate(dateKeyRef.current))
+    }
+    noteChangedDays(snapshots.map(({ date }) => date))
+    return true
+  }, [applyLog, noteChangedDays])
+
+  // Undo the latest change
+  const undo = useCallback(async () => {
+    const step = undoStackRef.current[undoStackRef.current.length - 1]
+    if (!step || historyBusyRef.current) return false
+
+    historyBusyRef.current = true
+    const restored = await applyHistoryStep(step.before)
+    if (restored) {
+      undoStackRef.current = undoStackRef.current.slice(0, -1)
+      redoStackRef.current = [...redoStackRef.current, step]
+      setLastChange({ id: Date.now(), message: `Undid: ${step.message}`, kind: 'undo' })
+    }
+    historyBusyRef.current = false
+    return restored
+  }, [applyHistoryStep])
+
+  // Redo the latest undone change
+  const redo = useCallback(async () => {
+    const step = redoStackRef.current[redoStackRef.current.length - 1]
+    if (!step || historyBusyRef.current) return false
+
+    historyBusyRef.current = true
+    const restored = await applyHistoryStep(step.after)
+    if (restored) {
+      redoStackRef.current = redoStackRef.current.slice(0, -1)
+      undoStackRef.current = [...undoStackRef.current, step]
+      setLastChange({ id: Date.now(), message: `Redid: ${step.message}`, kind: 'redo' })
+    }
+    historyBusyRef.current = false
+    return restored
+  }, [applyHistoryStep])
+
+  // Hide the undo snackbar
+  const dismissChange = useCallback(() => {
+    setLastChange(null)
+  }, [])
 
   // Add food to a meal
-  const addFood = useCallback((mealType, foodItem) => {
-    const updatedLog = addToMeal(date, mealType, foodItem)
+  const addFood = useCallback(async (mealType, foodItem) => {
+    const updatedLog = await recordChange(`Added ${foodItem.name}`, [dateKey], () =>
+      addToMeal(dateKey, mealType, foodItem)
+    )
     if (updatedLog) {
-      setLog(updatedLog)
+      applyLog(updatedLog)
       // Save to recent foods
-      saveRecentFood(foodItem)
+      await saveRecentFood(foodItem, mealType)
       return true
     }
     return false
-  }, [date])
+  }, [dateKey, applyLog, recordChange])
+
+  // Log every food in a meal template
+  const addTemplate = useCallback(async (mealType, template) => {
+    const updatedLog = await recordChange(`Added ${template.name}`, [dateKey], () =>
+      addAllToMeal(dateKey, mealType, template.items)
+    )
+    if (updatedLog) {
+      applyLog(updatedLog)
+      return true
+    }
+    return false
+  }, [dateKey, applyLog, recordChange])
 
   // Remove food from a meal
-  const removeFood = useCallback((mealType, foodId) => {
-    const updatedLog = removeFromMeal(date, mealType, foodId)
+  const removeFood = useCallback(async (mealType, foodId) => {
+    const item = logRef.current.meals[mealType]?.find(food => food.id === foodId)
+    const updatedLog = await recordChange(`Removed ${item ? item.name : 'food'}`, [dateKey], () =>
+      removeFromMeal(dateKey, mealType, foodId)
+    )
     if (updatedLog) {
-      setLog(updatedLog)
+      applyLog(updatedLog)
+      return true
+    }
+    return false
+  }, [dateKey, applyLog, recordChange])
+
+  // Edit a logged food's serving, meal or time
+  const updateFood = useCallback(async (mealType, foodId, updates) => {
+    const item = logRef.current.meals[mealType]?.find(food => food.id === foodId)
+    const name = item ? item.name : 'food'
+    const message = updates.mealType && updates.mealType !== mealType
+      ? `Moved ${name} to ${getMealLabel(updates.mealType)}`
+      : `Edited ${name}`
+    const updatedLog = await recordChange(message, [dateKey], () =>
+      updateInMeal(dateKey, mealType, foodId, updates)
+    )
+    if (updatedLog) {
+      applyLog(updatedLog)
+      return true
+    }
+    return false
+  }, [dateKey, applyLog, recordChange])
+
+  // Copy a meal or a whole day between any two dates
+  const copyFoods = useCallback(async (sourceDate, targetDate, options = {}) => {
+    const sourceKey = toDateKey(sourceDate)
+    const targetKey = toDateKey(targetDate)
+    const { mealType } = options
+
+    const source = await getStoredLog(sourceKey)
+    const hasFoods = source && (mealType
+      ? (source.meals[mealType] || []).length > 0
+      : Object.values(source.meals).some(items => items.length > 0))
+    if (!hasFoods) {
+      setLastChange({ id: Date.now(), message: 'Nothing to copy', kind: 'info' })
+      return false
+    }
+
+    const what = mealType ? getMealLabel(mealType) : formatDate(sourceKey)
+    const updatedLog = await recordChange(`Copied ${what} to ${formatDate(targetKey)}`, [targetKey], () =>
+      copyFoodsToDate(sourceKey, targetKey, options)
+    )
+    if (updatedLog) {
+      applyLog(updatedLog)
+      return true
+    }
+    return false
+  }, [applyLog, recordChange])
+
+  // Apply a changed goal schedule - restamped days make undo snapshots stale
+  const applyGoalSchedule = useCallback((schedule) => {
+    if (!schedule) {
+      return false
+    }
+    setGoalSchedule(schedule)
+    clearHistory()
+    loadLog()
+    setOtherDaysVersion(version => version + 1)
+    return true
+  }, [clearHistory, loadLog])
+
+  // Add or replace a dated goal plan
+  const setGoalPlan = useCallback(async (plan) => {
+    return applyGoalSchedule(await saveGoalPlan(plan))
+  }, [applyGoalSchedule])
+
+  // Remove a dated goal change
+  const removeGoalPlan = useCallback(async (from) => {
+    return applyGoalSchedule(await deleteGoalPlan(from))
+  }, [applyGoalSchedule])
+
+  // Mark the day as a training or rest day (null clears it)
+  const setDayType = useCallback(async (dayType) => {
+    const message = dayType ? `Marked as ${DAY_TYPES[dayType].label.toLowerCase()}` : 'Cleared day type'
+    const updatedLog = await recordChange(message, [dateKey], () =>
+      saveDayType(dateKey, dayType)
+    )
+    if (updatedLog) {
+      applyLog(updatedLog)
       return true
     }
     return false
-  }, [date])
+  }, [dateKey, applyLog, recordChange])
 
-  // Update protein goal
-  const setGoal = useCallback((newGoal) => {
-    if (saveProteinGoal(newGoal)) {
-      setGoalState(newGoal)
+  // Update optional macro goals
+  const setMacroGoals = useCallback(async (newGoals) => {
+    if (await saveMacroGoals(newGoals)) {
+      setMacroGoalsState(newGoals)
       return true
     }
     return false
   }, [])
 
+  // Update per-meal protein target settings
+  const setMealTargets = useCallback(async (newTargets) => {
+    if (await saveMealTargets(newTargets)) {
+      setMealTargetsState(newTargets)
+      return true
+    }
+    return false
+  }, [])
+
+  // The goal in force for this day, as stamped on its log
+  const goal = log.goal
+
   // Get protein progress percentage
   const progress = Math.min((log.totalProtein / goal) * 100, 100)
-  
+
   // Get remaining protein
   const remaining = Math.max(goal - log.totalProtein, 0)
 
@@ -67,12 +337,31 @@ export function useFoodLog(date = new Date()) {
 
   return {
     log,
+    loading,
     goal,
+    goalSchedule,
+    macroGoals,
+    mealTargets,
     progress,
     remaining,
     isGoalReached,
     addFood,
+    addTemplate,
     removeFood,
-    setGoal,
+    updateFood,
+    copyFoods,
+    setGoalPlan,
+    removeGoalPlan,
+    setDayType,
+    setMacroGoals,
+    setMealTargets,
+    otherDaysVersion,
+    reload,
+    undo,
+    redo,
+    canUndo: undoStackRef.current.length > 0,
+    canRedo: redoStackRef.current.length > 0,
+    lastChange,
+    dismissChange,
   }
 }
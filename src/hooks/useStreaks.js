@@ -0,0 +1,47 @@
+// Custom hook for goal streaks, consistency and milestones
+
+import { useState, useCallback, useEffect } from 'react'
+import { getAllLogs, getStreakRules, getAchievements, setAchievements } from '../services/storage'
+import { calculateStreakStats } from '../utils/streaks'
+import { getTodayKey } from '../utils/dates'
+import { MILESTONES } from '../utils/constants'
+
+/**
+ * Custom hook for streak stats
+ * Stats need every log, so keep refreshKey coarse - see getStreakKey
+ * @param {any} refreshKey - Recalculate whenever this changes
+ * @returns {Object} { stats, achievements, reload }
+ */
+export function useStreaks(refreshKey) {
+  const [stats, setStats] = useState(null)
+  const [achievements, setAchievementsState] = useState({})
+
+  const reload = useCallback(async () => {
+    const [logs, rules, unlocked] = await Promise.all([getAllLogs(), getStreakRules(), getAchievements()])
+    const todayKey = getTodayKey()
+    const newStats = calculateStreakStats(Object.values(logs), todayKey, rules)
+
+    // Milestones stay unlocked once reached, even if old days are later edited
+    const newlyUnlocked = MILESTONES.filter(
+      milestone => !unlocked[milestone.id] && newStats[milestone.stat] >= milestone.target
+    )
+    let updated = unlocked
+    if (newlyUnlocked.length > 0) {
+      updated = { ...unlocked, ...Object.fromEntries(newlyUnlocked.map(milestone => [milestone.id, todayKey])) }
+      await setAchievements(updated)
+    }
+
+    setStats(newStats)
+    setAchievementsState(updated)
+  }, [])
+
+  useEffect(() => {
+    reload()
+  }, [reload, refreshKey])
+
+  return {
+    stats,
+    achievements,
+    reload,
+  }
+}
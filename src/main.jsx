@@ -2,12 +2,24 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
+import { getDayStartHour, getMealSlotSettings, getUnitSystemSetting } from './services/storage'
+import { configureDayStart } from './utils/dates'
+import { configureMealSlots } from './utils/meals'
+import { configureUnitSystem } from './utils/units'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <BrowserRouter>
-      <App />
-    </BrowserRouter>
-  </React.StrictMode>,
-)
+// Day keys depend on the day start preference, every meal list on the meal slots and
+// weights and servings on the unit system, so load them before the first render
+Promise.all([getDayStartHour(), getMealSlotSettings(), getUnitSystemSetting()]).then(([hour, slots, system]) => {
+  configureDayStart(hour)
+  configureMealSlots(slots)
+  configureUnitSystem(system)
+
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </React.StrictMode>,
+  )
+})
@@ -0,0 +1,334 @@
+// Backup service - export all data to a versioned JSON file and restore it
+
+import { DB_CONFIG } from '../utils/constants'
+import { runTransaction, promisifyRequest, SCHEMA_VERSION } from './db'
+import { recalculateTotals } from './storage'
+import { rebucketLogsByLocalDay } from './logMigrations'
+
+const { STORES } = DB_CONFIG
+
+// Bump when the file layout changes; older files must stay importable
+export const BACKUP_VERSION = 1
+const BACKUP_APP = 'protein-tracker'
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+// Backups from schemas before this keyed days by UTC date
+const LOCAL_DAY_SCHEMA_VERSION = 5
+
+/**
+ * Check a saved food, recipe or template has what the library needs to list it
+ * @param {Object} record
+ * @returns {boolean}
+ */
+function isLibraryRecord(record) {
+  return typeof record.id === 'string' && typeof record.name === 'string' && typeof record.updatedAt === 'string'
+}
+
+// What each store's records need to be usable after import - daily logs are checked in detail separately
+const RECORD_VALIDATORS = {
+  [STORES.SETTINGS]: record => typeof record.key === 'string',
+  [STORES.CUSTOM_FOODS]: isLibraryRecord,
+  [STORES.RECIPES]: record => isLibraryRecord(record) && Array.isArray(record.ingredients),
+  [STORES.MEAL_TEMPLATES]: record => isLibraryRecord(record) && Array.isArray(record.items) && record.items.every(
+    item => item && item.name && typeof item.protein === 'number'
+  ),
+  [STORES.WEIGH_INS]: record => DATE_KEY_PATTERN.test(record.date) && record.weightKg > 0,
+}
+
+/**
+ * Read every record and key path of every store within a transaction
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<{records: Object, keyPaths: Object}>} Both keyed by store name
+ */
+async function readStores(transaction) {
+  const records = {}
+  const keyPaths = {}
+  for (const name of Object.values(STORES)) {
+    const store = transaction.objectStore(name)
+    records[name] = await promisifyRequest(store.getAll())
+    keyPaths[name] = store.keyPath
+  }
+  return { records, keyPaths }
+}
+
+/**
+ * Read every store in its own transaction
+ * @returns {Promise<{records: Object, keyPaths: Object}>}
+ */
+function readAllStores() {
+  return runTransaction(Object.values(STORES), 'readonly', readStores)
+}
+
+/**
+ * Build a backup of all logs, goals, preferences and saved foods
+ * @returns {Promise<Object>} Backup object ready to serialize
+ */
+export async function createBackup() {
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: (await readAllStores()).records,
+  }
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} text - File contents
+ * @returns {Object} Validated backup
+ * @throws {Error} With a user-facing message when the file is unusable
+ */
+export function parseBackup(text) {
+  let backup
+  try {
+    backup = JSON.parse(text)
+  } catch {
+    throw new Error('This file isn\'t valid JSON.')
+  }
+
+  if (!backup || backup.app !== BACKUP_APP || !backup.data) {
+    throw new Error('This doesn\'t look like a Protein Tracker backup.')
+  }
+
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app and try again.')
+  }
+
+  const logs = backup.data[STORES.DAILY_LOGS] || []
+  if (!Array.isArray(logs)) {
+    throw new Error('The backup\'s daily logs are malformed.')
+  }
+
+  logs.forEach((log) => {
+    if (!log || !DATE_KEY_PATTERN.test(log.date) || typeof log.meals !== 'object' || !log.meals) {
+      throw new Error(`The backup contains an invalid day (${log?.date ?? 'unknown date'}).`)
+    }
+    Object.values(log.meals).forEach((entries) => {
+      const valid = Array.isArray(entries) && entries.every(
+        entry => entry && entry.id && entry.name && typeof entry.protein === 'number'
+      )
+      if (!valid) {
+        throw new Error(`The backup contains invalid entries on ${log.date}.`)
+      }
+    })
+  })
+
+  // Ignore stores this version doesn't know about, and reject malformed ones
+  Object.values(STORES).forEach((name) => {
+    const records = backup.data[name]
+    if (records == null) return
+    const isValid = RECORD_VALIDATORS[name]
+    if (!Array.isArray(records) || (isValid && !records.every(record => record && isValid(record)))) {
+      throw new Error(`The backup's ${name} section is malformed.`)
+    }
+  })
+
+  return backup
+}
+
+/**
+ * Count entries across all meals of a log
+ * @param {Object} log
+ * @returns {number}
+ */
+function countEntries(log) {
+  return Object.values(log.meals).reduce((sum, entries) => sum + entries.length, 0)
+}
+
+/**
+ * Compare the entries of two versions of a day by id
+ * @param {Object} local
+ * @param {Object} incoming
+ * @returns {{added: number, updated: number, removed: number}}
+ */
+function diffEntries(local, incoming) {
+  const localEntries = new Map(Object.values(local.meals).flat().map(entry => [entry.id, entry]))
+  const incomingEntries = Object.values(incoming.meals).flat()
+  const incomingIds = new Set(incomingEntries.map(entry => entry.id))
+
+  return {
+    added: incomingEntries.filter(entry => !localEntries.has(entry.id)).length,
+    updated: incomingEntries.filter(entry =>
+      localEntries.has(entry.id) && JSON.stringify(localEntries.get(entry.id)) !== JSON.stringify(entry)
+    ).length,
+    removed: [...localEntries.keys()].filter(id => !incomingIds.has(id)).length,
+  }
+}
+
+/**
+ * Merge an incoming day into an existing one by entry id
+ * Incoming entries win on conflict and may move between meals
+ * @param {Object} local
+ * @param {Object} incoming
+ * @returns {{log: Object, added: number, updated: number}}
+ */
+function mergeLog(local, incoming) {
+  const log = structuredClone(local)
+  let added = 0
+  let updated = 0
+
+  Object.entries(incoming.meals).forEach(([mealType, entries]) => {
+    entries.forEach((entry) => {
+      const currentMeal = Object.keys(log.meals).find(
+        meal => log.meals[meal].some(item => item.id === entry.id)
+      )
+
+      if (currentMeal) {
+        const existing = log.meals[currentMeal].find(item => item.id === entry.id)
+        if (currentMeal === mealType && JSON.stringify(existing) === JSON.stringify(entry)) {
+          return
+        }
+        log.meals[currentMeal] = log.meals[currentMeal].filter(item => item.id !== entry.id)
+        updated++
+      } else {
+        added++
+      }
+
+      if (!log.meals[mealType]) {
+        log.meals[mealType] = []
+      }
+      log.meals[mealType].push(entry)
+    })
+  })
+
+  return { log: recalculateTotals(log), added, updated }
+}
+
+/**
+ * Copy the backup's logs, moving days from UTC-keyed backups onto local days
+ * @param {Object} backup - Validated backup
+ * @returns {Object[]}
+ */
+function readIncomingLogs(backup) {
+  const logs = (backup.data[STORES.DAILY_LOGS] || []).map(log => recalculateTotals(structuredClone(log)))
+  if (!(backup.schemaVersion >= LOCAL_DAY_SCHEMA_VERSION)) {
+    const byDate = new Map(logs.map(log => [log.date, log]))
+    rebucketLogsByLocalDay(logs).forEach(log => byDate.set(log.date, log))
+    return [...byDate.values()]
+  }
+  return logs
+}
+
+/**
+ * Work out the resulting store contents and a summary of changes
+ * @param {{records: Object, keyPaths: Object}} current - Current store contents
+ * @param {Object} backup - Validated backup
+ * @param {'merge'|'replace'} mode
+ * @returns {{data: Object, summary: Object}}
+ */
+function planImport({ records: current, keyPaths }, backup, mode) {
+  const data = {}
+  const summary = {
+    days: { added: 0, changed: 0, removed: 0 },
+    entries: { added: 0, updated: 0, removed: 0 },
+    records: {},
+  }
+
+  // Daily logs - merged by date, then by entry id
+  const localLogs = new Map(current[STORES.DAILY_LOGS].map(log => [log.date, log]))
+  const incomingLogs = readIncomingLogs(backup)
+  const resultLogs = mode === 'replace' ? new Map() : new Map(localLogs)
+
+  incomingLogs.forEach((incoming) => {
+    const local = localLogs.get(incoming.date)
+
+    if (!local) {
+      summary.days.added++
+      summary.entries.added += countEntries(incoming)
+      resultLogs.set(incoming.date, incoming)
+    } else if (mode === 'replace') {
+      const { added, updated, removed } = diffEntries(local, incoming)
+      if (added || updated || removed) {
+        summary.days.changed++
+        summary.entries.added += added
+        summary.entries.updated += updated
+        summary.entries.removed += removed
+      }
+      resultLogs.set(incoming.date, incoming)
+    } else {
+      const { log, added, updated } = mergeLog(local, incoming)
+      if (added || updated) {
+        summary.days.changed++
+        summary.entries.added += added
+        summary.entries.updated += updated
+      }
+      resultLogs.set(incoming.date, log)
+    }
+  })
+
+  if (mode === 'replace') {
+    localLogs.forEach((local, date) => {
+      if (!resultLogs.has(date)) {
+        summary.days.removed++
+        summary.entries.removed += countEntries(local)
+      }
+    })
+  }
+
+  data[STORES.DAILY_LOGS] = [...resultLogs.values()]
+
+  // Other stores - merged by record key; local settings win so this device keeps its preferences
+  Object.values(STORES)
+    .filter(name => name !== STORES.DAILY_LOGS)
+    .forEach((name) => {
+      const keyPath = keyPaths[name]
+      const local = new Map(current[name].map(record => [record[keyPath], record]))
+      const result = mode === 'replace' ? new Map() : new Map(local)
+      const counts = { added: 0, updated: 0, removed: 0 }
+
+      const incoming = (backup.data[name] || []).filter(record => record && record[keyPath] != null)
+      incoming.forEach((record) => {
+        const existing = local.get(record[keyPath])
+        if (!existing) {
+          counts.added++
+          result.set(record[keyPath], record)
+        } else if (mode === 'replace' || name !== STORES.SETTINGS) {
+          if (JSON.stringify(existing) !== JSON.stringify(record)) counts.updated++
+          result.set(record[keyPath], record)
+        }
+      })
+
+      if (mode === 'replace') {
+        counts.removed = [...local.keys()].filter(key => !result.has(key)).length
+      }
+
+      data[name] = [...result.values()]
+      summary.records[name] = counts
+    })
+
+  return { data, summary }
+}
+
+/**
+ * Preview what importing a backup would change
+ * @param {Object} backup - Validated backup
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<Object>} Change summary
+ */
+export async function previewImport(backup, mode) {
+  const current = await readAllStores()
+  return planImport(current, backup, mode).summary
+}
+
+/**
+ * Import a backup, merging with or replacing existing data
+ * @param {Object} backup - Validated backup
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<Object>} Change summary
+ */
+export async function importBackup(backup, mode) {
+  const storeNames = Object.values(STORES)
+
+  return runTransaction(storeNames, 'readwrite', async (transaction) => {
+    // Plan against a snapshot taken inside the write transaction so nothing slips in between
+    const { data, summary } = planImport(await readStores(transaction), backup, mode)
+
+    storeNames.forEach((name) => {
+      const store = transaction.objectStore(name)
+      store.clear()
+      data[name].forEach(record => store.put(record))
+    })
+
+    return summary
+  })
+}
@@ -0,0 +1,342 @@
+// Barcode scanning service for packaged foods (EAN-13, UPC-A, EAN-8)
+// Uses the native BarcodeDetector when the browser has one and falls back to a
+// small scanline decoder otherwise - everything runs client-side
+
+import { BARCODE_CONFIG } from '../utils/constants'
+
+// Digit encodings as run widths in modules (space, bar, space, bar)
+// R-codes share the L widths starting with a bar, G-codes are the L widths reversed
+const L_WIDTHS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2],
+]
+const G_WIDTHS = L_WIDTHS.map(widths => [...widths].reverse())
+
+// Parity of the six left-hand digits encodes the first EAN-13 digit (L = 0, G = 1)
+const FIRST_DIGIT_PARITIES = [
+  '000000', '001011', '001101', '001110', '010011',
+  '011001', '011100', '010101', '010110', '011010',
+]
+
+// Run counts: guard (3) + digits (4 each) + middle guard (5) + digits + guard (3)
+const EAN13_RUNS = 3 + 6 * 4 + 5 + 6 * 4 + 3
+const EAN8_RUNS = 3 + 4 * 4 + 5 + 4 * 4 + 3
+
+// Native detector singleton - created once and reused across frames
+let nativeDetector = null
+let nativeDetectorChecked = false
+
+/**
+ * Get the native BarcodeDetector if the browser supports our formats
+ * @returns {Promise<Object|null>}
+ */
+async function getNativeDetector() {
+  if (nativeDetectorChecked) {
+    return nativeDetector
+  }
+  nativeDetectorChecked = true
+
+  if (typeof window === 'undefined' || !('BarcodeDetector' in window)) {
+    return null
+  }
+
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats()
+    const formats = BARCODE_CONFIG.FORMATS.filter(format => supported.includes(format))
+    if (formats.length > 0) {
+      nativeDetector = new window.BarcodeDetector({ formats })
+    }
+  } catch (error) {
+    console.warn('BarcodeDetector unavailable, using fallback decoder:', error)
+  }
+
+  return nativeDetector
+}
+
+/**
+ * Scan a single video frame for a barcode
+ * @param {HTMLVideoElement} video - Playing video element
+ * @param {HTMLCanvasElement} canvas - Scratch canvas for frame capture
+ * @returns {Promise<string|null>} Decoded barcode digits or null
+ */
+export async function scanVideoFrame(video, canvas) {
+  if (!video || video.readyState < 2 || !video.videoWidth) {
+    return null
+  }
+
+  const detector = await getNativeDetector()
+  if (detector) {
+    try {
+      const barcodes = await detector.detect(video)
+      const match = barcodes.find(barcode => isValidBarcode(barcode.rawValue))
+      return match ? normalizeBarcode(match.rawValue) : null
+    } catch (error) {
+      console.warn('Native barcode detection failed:', error)
+    }
+  }
+
+  // Downscale the frame - the scanline decoder doesn't need full resolution
+  const scale = Math.min(1, BARCODE_CONFIG.SCAN_WIDTH / video.videoWidth)
+  const width = Math.round(video.videoWidth * scale)
+  const height = Math.round(video.videoHeight * scale)
+  canvas.width = width
+  canvas.height = height
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(video, 0, 0, width, height)
+
+  return decodeImageData(ctx.getImageData(0, 0, width, height))
+}
+
+/**
+ * Decode an EAN/UPC barcode from raw image data using horizontal scanlines
+ * @param {ImageData} imageData
+ * @returns {string|null} Decoded barcode digits or null
+ */
+export function decodeImageData(imageData) {
+  const { width, height, data } = imageData
+
+  for (const position of BARCODE_CONFIG.SCANLINES) {
+    const y = Math.round(height * position)
+    const runs = toRuns(getRowLuminance(data, width, height, y))
+
+    const code = decodeRuns(runs)
+    if (code) {
+      return code
+    }
+  }
+
+  return null
+}
+
+/**
+ * Average the luminance of a few neighbouring rows to reduce noise
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} y - Centre row
+ * @returns {Float32Array}
+ */
+function getRowLuminance(data, width, height, y) {
+  const row = new Float32Array(width)
+  const rows = [y - 2, y, y + 2].filter(r => r >= 0 && r < height)
+
+  for (const r of rows) {
+    for (let x = 0; x < width; x++) {
+      const i = (r * width + x) * 4
+      row[x] += (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / rows.length
+    }
+  }
+
+  return row
+}
+
+/**
+ * Binarize a scanline into alternating dark/light runs
+ * @param {Float32Array} luminance
+ * @returns {Array<{dark: boolean, width: number}>}
+ */
+function toRuns(luminance) {
+  let min = 255
+  let max = 0
+  for (const value of luminance) {
+    if (value < min) min = value
+    if (value > max) max = value
+  }
+
+  // Not enough contrast to contain a barcode
+  if (max - min < BARCODE_CONFIG.MIN_CONTRAST) {
+    return []
+  }
+
+  const threshold = (min + max) / 2
+  const runs = []
+
+  for (const value of luminance) {
+    const dark = value < threshold
+    const last = runs[runs.length - 1]
+    if (last && last.dark === dark) {
+      last.width++
+    } else {
+      runs.push({ dark, width: 1 })
+    }
+  }
+
+  return runs
+}
+
+/**
+ * Try every dark run as a potential guard bar, reading the symbol in both
+ * directions so barcodes held upside down still decode
+ * @param {Array} runs
+ * @returns {string|null}
+ */
+function decodeRuns(runs) {
+  const symbols = [[EAN13_RUNS, 95, decodeEan13], [EAN8_RUNS, 67, decodeEan8]]
+
+  for (let i = 1; i < runs.length; i++) {
+    if (!runs[i].dark) continue
+
+    for (const [runCount, modules, decode] of symbols) {
+      if (i + runCount >= runs.length) continue
+
+      const widths = runs.slice(i, i + runCount).map(run => run.width)
+      const moduleWidth = widths.reduce((sum, w) => sum + w, 0) / modules
+
+      // Require light margins on both sides so we don't lock onto text
+      const quietBefore = runs[i - 1].width >= moduleWidth * BARCODE_CONFIG.MIN_QUIET_ZONE
+      const quietAfter = runs[i + runCount].width >= moduleWidth * BARCODE_CONFIG.MIN_QUIET_ZONE
+      if (!quietBefore || !quietAfter) continue
+
+      const code = decode(widths, moduleWidth) || decodeReversed(widths, moduleWidth, decode)
+      if (code) {
+        return code
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Decode a symbol scanned upside down
+ * Read backwards, the right half comes first and each R-code's runs appear
+ * reversed (as a G pattern), while the left half comes last with its L and G
+ * codes swapped. Reversing the whole run sequence swaps the halves back and
+ * restores every digit's run order, so the normal decoder reads the digits,
+ * parity and guards in their printed order
+ * @param {number[]} widths - Run widths as scanned, end guard first
+ * @param {number} moduleWidth - Estimated module width in pixels
+ * @param {Function} decode - decodeEan13 or decodeEan8
+ * @returns {string|null}
+ */
+function decodeReversed(widths, moduleWidth, decode) {
+  return decode([...widths].reverse(), moduleWidth)
+}
+
+/**
+ * Decode the run widths of an EAN-13 (or UPC-A) symbol
+ * @param {number[]} widths - Run widths from start guard to end guard
+ * @param {number} moduleWidth - Estimated module width in pixels
+ * @returns {string|null}
+ */
+function decodeEan13(widths, moduleWidth) {
+  if (!matchesGuard(widths.slice(0, 3), moduleWidth)) return null
+  if (!matchesGuard(widths.slice(27, 32), moduleWidth)) return null
+  if (!matchesGuard(widths.slice(56, 59), moduleWidth)) return null
+
+  const digits = []
+  let parity = ''
+
+  for (let d = 0; d < 6; d++) {
+    const match = matchDigit(widths.slice(3 + d * 4, 7 + d * 4), true)
+    if (!match) return null
+    digits.push(match.digit)
+    parity += match.parity
+  }
+
+  for (let d = 0; d < 6; d++) {
+    const match = matchDigit(widths.slice(32 + d * 4, 36 + d * 4), false)
+    if (!match) return null
+    digits.push(match.digit)
+  }
+
+  const firstDigit = FIRST_DIGIT_PARITIES.indexOf(parity)
+  if (firstDigit === -1) return null
+
+  const code = `${firstDigit}${digits.join('')}`
+  return isValidBarcode(code) ? code : null
+}
+
+/**
+ * Decode the run widths of an EAN-8 symbol
+ * @param {number[]} widths - Run widths from start guard to end guard
+ * @param {number} moduleWidth - Estimated module width in pixels
+ * @returns {string|null}
+ */
+function decodeEan8(widths, moduleWidth) {
+  if (!matchesGuard(widths.slice(0, 3), moduleWidth)) return null
+  if (!matchesGuard(widths.slice(19, 24), moduleWidth)) return null
+  if (!matchesGuard(widths.slice(40, 43), moduleWidth)) return null
+
+  const digits = []
+
+  for (let d = 0; d < 4; d++) {
+    const match = matchDigit(widths.slice(3 + d * 4, 7 + d * 4), false)
+    if (!match) return null
+    digits.push(match.digit)
+  }
+
+  for (let d = 0; d < 4; d++) {
+    const match = matchDigit(widths.slice(24 + d * 4, 28 + d * 4), false)
+    if (!match) return null
+    digits.push(match.digit)
+  }
+
+  const code = digits.join('')
+  return isValidBarcode(code) ? code : null
+}
+
+/**
+ * Check that guard runs are all roughly one module wide
+ * @param {number[]} widths
+ * @param {number} moduleWidth
+ * @returns {boolean}
+ */
+function matchesGuard(widths, moduleWidth) {
+  return widths.every(w => w > moduleWidth * 0.4 && w < moduleWidth * 1.8)
+}
+
+/**
+ * Match four runs against the digit tables
+ * @param {number[]} widths - Four run widths
+ * @param {boolean} allowG - Whether G (even parity) codes are valid here
+ * @returns {{digit: number, parity: string}|null}
+ */
+function matchDigit(widths, allowG) {
+  const total = widths.reduce((sum, w) => sum + w, 0)
+  const normalized = widths.map(w => (w * 7) / total)
+
+  let best = null
+  const candidates = [['0', L_WIDTHS]]
+  if (allowG) candidates.push(['1', G_WIDTHS])
+
+  for (const [parity, table] of candidates) {
+    table.forEach((pattern, digit) => {
+      const error = pattern.reduce((sum, p, k) => sum + Math.abs(p - normalized[k]), 0)
+      if (!best || error < best.error) {
+        best = { digit, parity, error }
+      }
+    })
+  }
+
+  return best && best.error <= BARCODE_CONFIG.MAX_DIGIT_ERROR ? best : null
+}
+
+/**
+ * Strip whitespace and separators from a typed or scanned barcode
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeBarcode(code) {
+  return String(code || '').replace(/[^0-9]/g, '')
+}
+
+/**
+ * Validate an EAN-13, UPC-A or EAN-8 barcode including its check digit
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isValidBarcode(code) {
+  const digits = normalizeBarcode(code)
+  if (![8, 12, 13].includes(digits.length)) {
+    return false
+  }
+
+  // Weights alternate 3,1 counting from the digit left of the check digit
+  const body = digits.slice(0, -1).split('').reverse()
+  const sum = body.reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0)
+  const checkDigit = (10 - (sum % 10)) % 10
+
+  return checkDigit === Number(digits[digits.length - 1])
+}
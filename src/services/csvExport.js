@@ -0,0 +1,130 @@
+// CSV export service for sharing logs with coaches and spreadsheets
+
+import { getLogsInRange, getWeighIns } from './storage'
+import { getMealLabel } from '../utils/meals'
+import { getEnteredServing } from '../utils/nutrients'
+import { toDateKey } from '../utils/dates'
+import { calculateWeightTrend } from '../utils/weightTrend'
+
+/**
+ * Escape a single CSV field
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeField(value) {
+  if (value == null) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialize rows to CSV text
+ * @param {Array<Array>} rows - Header row first
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Build per-entry CSV rows
+ * @param {Array} logs - Daily logs
+ * @returns {Array<Array>}
+ */
+export function buildEntryRows(logs) {
+  const rows = [['date', 'meal', 'food', 'serving', 'unit', 'grams', 'protein_g', 'source', 'timestamp']]
+
+  sortByDate(logs).forEach((log) => {
+    Object.entries(log.meals).forEach(([mealType, entries]) => {
+      [...entries]
+        .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+        .forEach((entry) => {
+          const { quantity, unit } = getEnteredServing(entry)
+          rows.push([
+            log.date,
+            getMealLabel(mealType),
+            entry.name,
+            quantity,
+            unit,
+            entry.grams ?? '',
+            entry.protein,
+            entry.source || '',
+            entry.timestamp || '',
+          ])
+        })
+    })
+  })
+
+  return rows
+}
+
+/**
+ * Build per-day summary CSV rows
+ * @param {Array} logs - Daily logs
+ * @returns {Array<Array>}
+ */
+export function buildDailyRows(logs) {
+  const rows = [['date', 'protein_g', 'goal_g', 'result']]
+
+  sortByDate(logs).forEach((log) => {
+    rows.push([
+      log.date,
+      Math.round(log.totalProtein * 10) / 10,
+      log.goal,
+      log.totalProtein >= log.goal ? 'hit' : 'miss',
+    ])
+  })
+
+  return rows
+}
+
+/**
+ * Build per-weigh-in CSV rows
+ * @param {Array} trend - Weigh-ins with trend weights, oldest first
+ * @returns {Array<Array>}
+ */
+export function buildWeightRows(trend) {
+  const rows = [['date', 'weight_kg', 'trend_kg']]
+
+  trend.forEach((point) => {
+    rows.push([
+      point.date,
+      Math.round(point.weightKg * 10) / 10,
+      Math.round(point.trendKg * 10) / 10,
+    ])
+  })
+
+  return rows
+}
+
+/**
+ * Sort logs oldest first
+ * @param {Array} logs
+ * @returns {Array}
+ */
+function sortByDate(logs) {
+  return [...logs].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * Export a date range as CSV text
+ * @param {'entries'|'daily'|'weight'} shape - Per-entry rows, per-day summaries or weigh-ins
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @returns {Promise<{csv: string, rowCount: number}>}
+ */
+export async function exportCsv(shape, startDate, endDate) {
+  if (shape === 'weight') {
+    // The trend depends on earlier weigh-ins, so smooth them all before cutting the range
+    const startKey = toDateKey(startDate)
+    const endKey = toDateKey(endDate)
+    const trend = calculateWeightTrend(await getWeighIns())
+      .filter(point => point.date >= startKey && point.date <= endKey)
+    const rows = buildWeightRows(trend)
+    return { csv: toCsv(rows), rowCount: rows.length - 1 }
+  }
+
+  const logs = await getLogsInRange(startDate, endDate)
+  const rows = shape === 'daily' ? buildDailyRows(logs) : buildEntryRows(logs)
+  return { csv: toCsv(rows), rowCount: rows.length - 1 }
+}
@@ -0,0 +1,258 @@
+// IndexedDB connection with versioned schema migrations
+
+import { DB_CONFIG, STORAGE_KEYS, SETTING_KEYS } from '../utils/constants'
+import { rebucketLogsByLocalDay } from './logMigrations'
+
+const { STORES } = DB_CONFIG
+
+/**
+ * Schema migrations, applied in order when the stored version is older
+ * Never edit a released migration - add a new one with the next version
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Daily logs keyed by date (so key ranges double as the date index),
+    // a settings store, and a one-time import of the old localStorage data
+    upgrade(db, transaction) {
+      db.createObjectStore(STORES.DAILY_LOGS, { keyPath: 'date' })
+      db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' })
+      importLegacyStorage(transaction)
+    },
+  },
+  {
+    version: 2,
+    // Personal food library
+    upgrade(db) {
+      db.createObjectStore(STORES.CUSTOM_FOODS, { keyPath: 'id' })
+    },
+  },
+  {
+    version: 3,
+    // Recipes built from ingredients
+    upgrade(db) {
+      db.createObjectStore(STORES.RECIPES, { keyPath: 'id' })
+    },
+  },
+  {
+    version: 4,
+    // Saved meal templates
+    upgrade(db) {
+      db.createObjectStore(STORES.MEAL_TEMPLATES, { keyPath: 'id' })
+    },
+  },
+  {
+    version: 5,
+    // Days were keyed by UTC date - move entries onto their local calendar day
+    upgrade(db, transaction) {
+      const logStore = transaction.objectStore(STORES.DAILY_LOGS)
+      const request = logStore.getAll()
+      request.onsuccess = () => {
+        rebucketLogsByLocalDay(request.result).forEach(log => logStore.put(log))
+      }
+    },
+  },
+  {
+    version: 6,
+    // Body weight log, one weigh-in per day
+    upgrade(db) {
+      db.createObjectStore(STORES.WEIGH_INS, { keyPath: 'date' })
+    },
+  },
+]
+
+// Current schema version - always the latest migration
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+// Connection singleton - opened once and shared
+let dbPromise = null
+let importedLegacyStorage = false
+
+/**
+ * Open the database, running any pending migrations
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) {
+    return dbPromise
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_CONFIG.NAME, SCHEMA_VERSION)
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result
+      const transaction = request.transaction
+      MIGRATIONS
+        .filter(migration => migration.version > event.oldVersion)
+        .forEach(migration => migration.upgrade(db, transaction))
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+
+      // Another tab upgraded the schema - release our connection so it can proceed
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+
+      // Only drop the old data once the import transaction has committed
+      if (importedLegacyStorage) {
+        Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key))
+        importedLegacyStorage = false
+      }
+
+      resolve(db)
+    }
+
+    request.onerror = () => {
+      dbPromise = null
+      reject(request.error)
+    }
+
+    request.onblocked = () => {
+      console.warn('Database upgrade blocked by another open tab')
+    }
+  })
+
+  return dbPromise
+}
+
+/**
+ * Copy data from the pre-IndexedDB localStorage keys into the new stores
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ */
+function importLegacyStorage(transaction) {
+  try {
+    const logs = JSON.parse(localStorage.getItem(STORAGE_KEYS.DAILY_LOGS) || '{}')
+    const logStore = transaction.objectStore(STORES.DAILY_LOGS)
+    Object.values(logs).forEach(log => logStore.put(log))
+
+    const settingsStore = transaction.objectStore(STORES.SETTINGS)
+    const goal = localStorage.getItem(STORAGE_KEYS.GOAL)
+    if (goal) {
+      settingsStore.put({ key: SETTING_KEYS.GOAL, value: parseInt(goal, 10) })
+    }
+
+    const macroGoals = localStorage.getItem(STORAGE_KEYS.MACRO_GOALS)
+    if (macroGoals) {
+      settingsStore.put({ key: SETTING_KEYS.MACRO_GOALS, value: JSON.parse(macroGoals) })
+    }
+
+    const recentFoods = localStorage.getItem(STORAGE_KEYS.RECENT_FOODS)
+    if (recentFoods) {
+      settingsStore.put({ key: SETTING_KEYS.RECENT_FOODS, value: JSON.parse(recentFoods) })
+    }
+
+    importedLegacyStorage = true
+  } catch (error) {
+    // Leave localStorage untouched so nothing is lost if the data was unreadable
+    console.error('Error importing localStorage data:', error)
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Run work inside a single transaction and resolve once it commits
+ * @param {string|string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {Function} work - Receives the transaction, may be async
+ * @returns {Promise<any>} Result of work
+ */
+export async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase()
+  const transaction = db.transaction(storeNames, mode)
+
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+
+  let result
+  try {
+    result = await work(transaction)
+  } catch (error) {
+    done.catch(() => {}) // The abort rejection is superseded by the original error
+    try {
+      transaction.abort()
+    } catch {
+      // Transaction already finished
+    }
+    throw error
+  }
+
+  await done
+  return result
+}
+
+/**
+ * Get a single record by key
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<any>}
+ */
+export function getRecord(storeName, key) {
+  return runTransaction(storeName, 'readonly', transaction =>
+    promisifyRequest(transaction.objectStore(storeName).get(key))
+  )
+}
+
+/**
+ * Get all records, optionally limited to a key range
+ * @param {string} storeName
+ * @param {IDBKeyRange} [range]
+ * @returns {Promise<Array>}
+ */
+export function getAllRecords(storeName, range) {
+  return runTransaction(storeName, 'readonly', transaction =>
+    promisifyRequest(transaction.objectStore(storeName).getAll(range))
+  )
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName
+ * @param {Object} record
+ * @returns {Promise<void>}
+ */
+export function putRecord(storeName, record) {
+  return runTransaction(storeName, 'readwrite', transaction => {
+    transaction.objectStore(storeName).put(record)
+  })
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return runTransaction(storeName, 'readwrite', transaction => {
+    transaction.objectStore(storeName).delete(key)
+  })
+}
+
+/**
+ * Remove every record from the given stores
+ * @param {string[]} storeNames
+ * @returns {Promise<void>}
+ */
+export function clearStores(storeNames) {
+  return runTransaction(storeNames, 'readwrite', transaction => {
+    storeNames.forEach(name => transaction.objectStore(name).clear())
+  })
+}
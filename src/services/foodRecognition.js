@@ -1,8 +1,6 @@
 // Food recognition service using TensorFlow.js MobileNet
 // Runs entirely client-side - no API costs, works offline after model load
 
-import * as tf from '@tensorflow/tfjs'
-import * as mobilenet from '@tensorflow-models/mobilenet'
 import { RECOGNITION_CONFIG, FOOD_CLASS_MAPPINGS } from '../utils/constants'
 import { searchCommonFoods } from './nutritionApi'
 
@@ -25,10 +23,15 @@ export async function loadModel() {
   }
   
   modelLoading = true
-  modelLoadPromise = mobilenet.load({
+  // TensorFlow.js is most of the app's size, so it's fetched in its own chunk
+  // the first time recognition is used rather than with the main bundle
+  modelLoadPromise = Promise.all([
+    import('@tensorflow/tfjs'),
+    import('@tensorflow-models/mobilenet'),
+  ]).then(([, mobilenet]) => mobilenet.load({
     version: 2,
     alpha: 1.0
-  })
+  }))
   
   try {
     model = await modelLoadPromise
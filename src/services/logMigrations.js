@@ -0,0 +1,62 @@
+// Data fixes for daily logs saved by older versions - shared by the schema
+// migrations and the backup import so old files get the same treatment
+
+import { toDateKey } from '../utils/dates'
+import { recalculateTotals } from '../utils/nutrients'
+
+/**
+ * Move entries filed under their UTC date onto their local calendar day
+ * Older versions keyed days by UTC, so evening (or early morning) entries
+ * could land on the wrong day. Entries whose log date doesn't match their
+ * UTC date were placed there on purpose (copied, edited) and are left alone.
+ * @param {Object[]} logs - Stored daily logs
+ * @returns {Object[]} Only the logs that changed, including new and emptied days
+ */
+export function rebucketLogsByLocalDay(logs) {
+  const byDate = new Map(logs.map(log => [log.date, log]))
+  const changed = new Map()
+
+  const getChangedLog = (dateKey, template) => {
+    if (!changed.has(dateKey)) {
+      const existing = byDate.get(dateKey)
+      changed.set(dateKey, existing
+        ? structuredClone(existing)
+        : {
+            date: dateKey,
+            goal: template.goal,
+            meals: {},
+          })
+    }
+    return changed.get(dateKey)
+  }
+
+  logs.forEach((log) => {
+    Object.entries(log.meals).forEach(([mealType, entries]) => {
+      entries.forEach((entry) => {
+        if (!entry.timestamp) return
+        const time = new Date(entry.timestamp)
+        if (Number.isNaN(time.getTime())) return
+
+        const utcKey = time.toISOString().split('T')[0]
+        const localKey = toDateKey(time)
+        if (log.date !== utcKey || localKey === utcKey) return
+
+        const source = getChangedLog(log.date, log)
+        source.meals[mealType] = source.meals[mealType].filter(item => item.id !== entry.id)
+
+        const target = getChangedLog(localKey, log)
+        if (!target.meals[mealType]) {
+          target.meals[mealType] = []
+        }
+        target.meals[mealType].push(entry)
+      })
+    })
+  })
+
+  return [...changed.values()].map((log) => {
+    Object.values(log.meals).forEach(entries =>
+      entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    )
+    return recalculateTotals(log)
+  })
+}
@@ -1,6 +1,8 @@
 // Nutrition API service using Open Food Facts (free, open source, no API key required)
 
 import { API_CONFIG } from '../utils/constants'
+import { calculateRecipeNutrients } from '../utils/nutrients'
+import { getCustomFoods, getRecipes } from './storage'
 
 /**
  * Search for foods using Open Food Facts API
@@ -11,7 +13,7 @@ import { API_CONFIG } from '../utils/constants'
  */
 export async function searchFoods(query, page = 1, pageSize = 20) {
   try {
-    const url = `${API_CONFIG.OPEN_FOOD_FACTS.baseUrl}${API_CONFIG.OPEN_FOOD_FACTS.searchEndpoint}?fields=code,product_name,brands,nutriments,image_front_small_url&serving_size_tags=en:${encodeURIComponent(query)}&page=${page}&page_size=${pageSize}`
+    const url = `${API_CONFIG.OPEN_FOOD_FACTS.baseUrl}${API_CONFIG.OPEN_FOOD_FACTS.searchEndpoint}?fields=code,product_name,brands,nutriments,serving_quantity,image_front_small_url&serving_size_tags=en:${encodeURIComponent(query)}&page=${page}&page_size=${pageSize}`
     
     const response = await fetch(url, {
       headers: {
@@ -26,7 +28,7 @@ export async function searchFoods(query, page = 1, pageSize = 20) {
     const data = await response.json()
     
     // Also try a text search for better results
-    const textSearchUrl = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(query)}&json=1&page=${page}&page_size=${pageSize}&fields=code,product_name,brands,nutriments,image_front_small_url`
+    const textSearchUrl = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(query)}&json=1&page=${page}&page_size=${pageSize}&fields=code,product_name,brands,nutriments,serving_quantity,image_front_small_url`
     
     const textResponse = await fetch(textSearchUrl, {
       headers: {
@@ -66,9 +68,18 @@ function transformProduct(product) {
   // Get protein per 100g
   const proteinPer100g = nutriments.proteins_100g || nutriments.proteins || 0
   
+  // Get other macros per 100g - left null when the product doesn't report them
+  const readNutriment = (field, factor = 1) => {
+    const value = nutriments[`${field}_100g`]
+    return value == null || value === '' ? null : Math.round(Number(value) * factor * 10) / 10
+  }
+  const kcalPer100g = readNutriment('energy-kcal') ?? readNutriment('energy', 1 / 4.184) // kJ fallback
+  
   // Get serving size info if available
   const servingSize = nutriments.serving_size || 100
   const proteinPerServing = nutriments.proteins_serving || (proteinPer100g * servingSize / 100)
+  // Weight of the pack's own serving, so it can be logged as "1 serving"
+  const servingGrams = Number(product.serving_quantity)
   
   return {
     id: product.code,
@@ -78,6 +89,14 @@ function transformProduct(product) {
     proteinPerServing: Math.round(proteinPerServing * 10) / 10,
     servingSize: servingSize,
     servingUnit: 'g',
+    ...(servingGrams > 0 && { measures: { serving: servingGrams } }),
+    calories: kcalPer100g == null ? null : Math.round(kcalPer100g),
+    carbs: readNutriment('carbohydrates'),
+    fat: readNutriment('fat'),
+    saturatedFat: readNutriment('saturated-fat'),
+    fiber: readNutriment('fiber'),
+    sugar: readNutriment('sugars'),
+    sodium: readNutriment('sodium', 1000), // g -> mg
     source: 'openfoodfacts',
     image: product.image_front_small_url || null,
   }
@@ -118,38 +137,39 @@ export async function getFoodByBarcode(barcode) {
 /**
  * Common foods database for offline fallback
  * These are typical high-protein foods with approximate values
+ * Macros are per serving like protein; sodium is in mg
  */
 export const COMMON_FOODS = [
-  { name: 'Chicken Breast (cooked)', protein: 31, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Turkey Breast (cooked)', protein: 30, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Lean Beef (cooked)', protein: 26, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Salmon (cooked)', protein: 25, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Tuna (canned)', protein: 26, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Egg (whole)', protein: 6, servingSize: 1, servingUnit: 'egg', source: 'common' },
-  { name: 'Egg White', protein: 3.6, servingSize: 1, servingUnit: 'egg', source: 'common' },
-  { name: 'Greek Yogurt', protein: 10, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Cottage Cheese', protein: 11, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Milk (whole)', protein: 3.2, servingSize: 100, servingUnit: 'ml', source: 'common' },
-  { name: 'Whey Protein Powder', protein: 25, servingSize: 30, servingUnit: 'g', source: 'common' },
-  { name: 'Tofu (firm)', protein: 8, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Lentils (cooked)', protein: 9, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Black Beans (cooked)', protein: 8.9, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Chickpeas (cooked)', protein: 8.9, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Quinoa (cooked)', protein: 4.4, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Almonds', protein: 21, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Peanut Butter', protein: 25, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Cottage Cheese', protein: 11, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Shrimp (cooked)', protein: 24, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Tilapia (cooked)', protein: 26, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Ground Turkey (cooked)', protein: 27, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Ground Beef 90% (cooked)', protein: 26, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Protein Bar', protein: 20, servingSize: 1, servingUnit: 'bar', source: 'common' },
-  { name: 'Edamame (cooked)', protein: 11, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Tempeh', protein: 19, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Seitan', protein: 25, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Pumpkin Seeds', protein: 19, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Chia Seeds', protein: 17, servingSize: 100, servingUnit: 'g', source: 'common' },
-  { name: 'Hemp Seeds', protein: 31, servingSize: 100, servingUnit: 'g', source: 'common' },
+  { name: 'Chicken Breast (cooked)', protein: 31, servingSize: 100, servingUnit: 'g', calories: 165, carbs: 0, fat: 3.6, saturatedFat: 1, fiber: 0, sugar: 0, sodium: 74, source: 'common' },
+  { name: 'Turkey Breast (cooked)', protein: 30, servingSize: 100, servingUnit: 'g', calories: 147, carbs: 0, fat: 2.1, saturatedFat: 0.6, fiber: 0, sugar: 0, sodium: 99, source: 'common' },
+  { name: 'Lean Beef (cooked)', protein: 26, servingSize: 100, servingUnit: 'g', calories: 187, carbs: 0, fat: 7.8, saturatedFat: 3, fiber: 0, sugar: 0, sodium: 60, source: 'common' },
+  { name: 'Salmon (cooked)', protein: 25, servingSize: 100, servingUnit: 'g', calories: 206, carbs: 0, fat: 12.4, saturatedFat: 2.5, fiber: 0, sugar: 0, sodium: 61, source: 'common' },
+  { name: 'Tuna (canned)', protein: 26, servingSize: 100, servingUnit: 'g', calories: 116, carbs: 0, fat: 0.8, saturatedFat: 0.2, fiber: 0, sugar: 0, sodium: 338, source: 'common' },
+  { name: 'Egg (whole)', protein: 6, servingSize: 1, servingUnit: 'egg', measures: { egg: 50 }, calories: 72, carbs: 0.4, fat: 4.8, saturatedFat: 1.6, fiber: 0, sugar: 0.2, sodium: 71, source: 'common' },
+  { name: 'Egg White', protein: 3.6, servingSize: 1, servingUnit: 'egg', measures: { egg: 33 }, calories: 17, carbs: 0.2, fat: 0.1, saturatedFat: 0, fiber: 0, sugar: 0.2, sodium: 55, source: 'common' },
+  { name: 'Greek Yogurt', protein: 10, servingSize: 100, servingUnit: 'g', calories: 59, carbs: 3.6, fat: 0.4, saturatedFat: 0.1, fiber: 0, sugar: 3.2, sodium: 36, source: 'common' },
+  { name: 'Cottage Cheese', protein: 11, servingSize: 100, servingUnit: 'g', calories: 98, carbs: 3.4, fat: 4.3, saturatedFat: 1.7, fiber: 0, sugar: 2.7, sodium: 364, source: 'common' },
+  { name: 'Milk (whole)', protein: 3.2, servingSize: 100, servingUnit: 'ml', density: 1.03, calories: 61, carbs: 4.8, fat: 3.3, saturatedFat: 1.9, fiber: 0, sugar: 5.1, sodium: 43, source: 'common' },
+  { name: 'Whey Protein Powder', protein: 25, servingSize: 30, servingUnit: 'g', measures: { scoop: 30 }, calories: 120, carbs: 3, fat: 1.5, saturatedFat: 0.5, fiber: 0, sugar: 2, sodium: 50, source: 'common' },
+  { name: 'Tofu (firm)', protein: 8, servingSize: 100, servingUnit: 'g', calories: 144, carbs: 2.8, fat: 8.7, saturatedFat: 1.3, fiber: 2.3, sugar: 0.6, sodium: 14, source: 'common' },
+  { name: 'Lentils (cooked)', protein: 9, servingSize: 100, servingUnit: 'g', calories: 116, carbs: 20, fat: 0.4, saturatedFat: 0.1, fiber: 7.9, sugar: 1.8, sodium: 2, source: 'common' },
+  { name: 'Black Beans (cooked)', protein: 8.9, servingSize: 100, servingUnit: 'g', calories: 132, carbs: 23.7, fat: 0.5, saturatedFat: 0.1, fiber: 8.7, sugar: 0.3, sodium: 1, source: 'common' },
+  { name: 'Chickpeas (cooked)', protein: 8.9, servingSize: 100, servingUnit: 'g', calories: 164, carbs: 27.4, fat: 2.6, saturatedFat: 0.3, fiber: 7.6, sugar: 4.8, sodium: 7, source: 'common' },
+  { name: 'Quinoa (cooked)', protein: 4.4, servingSize: 100, servingUnit: 'g', calories: 120, carbs: 21.3, fat: 1.9, saturatedFat: 0.2, fiber: 2.8, sugar: 0.9, sodium: 7, source: 'common' },
+  { name: 'Almonds', protein: 21, servingSize: 100, servingUnit: 'g', calories: 579, carbs: 21.6, fat: 49.9, saturatedFat: 3.8, fiber: 12.5, sugar: 4.4, sodium: 1, source: 'common' },
+  { name: 'Peanut Butter', protein: 25, servingSize: 100, servingUnit: 'g', density: 1.1, calories: 588, carbs: 20, fat: 50, saturatedFat: 10.1, fiber: 6, sugar: 9.2, sodium: 426, source: 'common' },
+  { name: 'Cottage Cheese', protein: 11, servingSize: 100, servingUnit: 'g', calories: 98, carbs: 3.4, fat: 4.3, saturatedFat: 1.7, fiber: 0, sugar: 2.7, sodium: 364, source: 'common' },
+  { name: 'Shrimp (cooked)', protein: 24, servingSize: 100, servingUnit: 'g', calories: 99, carbs: 0.2, fat: 0.3, saturatedFat: 0.1, fiber: 0, sugar: 0, sodium: 111, source: 'common' },
+  { name: 'Tilapia (cooked)', protein: 26, servingSize: 100, servingUnit: 'g', calories: 128, carbs: 0, fat: 2.7, saturatedFat: 0.9, fiber: 0, sugar: 0, sodium: 56, source: 'common' },
+  { name: 'Ground Turkey (cooked)', protein: 27, servingSize: 100, servingUnit: 'g', calories: 203, carbs: 0, fat: 10.4, saturatedFat: 2.7, fiber: 0, sugar: 0, sodium: 78, source: 'common' },
+  { name: 'Ground Beef 90% (cooked)', protein: 26, servingSize: 100, servingUnit: 'g', calories: 217, carbs: 0, fat: 11.8, saturatedFat: 4.7, fiber: 0, sugar: 0, sodium: 72, source: 'common' },
+  { name: 'Protein Bar', protein: 20, servingSize: 1, servingUnit: 'bar', measures: { bar: 60 }, calories: 210, carbs: 22, fat: 7, saturatedFat: 3, fiber: 3, sugar: 6, sodium: 200, source: 'common' },
+  { name: 'Edamame (cooked)', protein: 11, servingSize: 100, servingUnit: 'g', calories: 121, carbs: 8.9, fat: 5.2, saturatedFat: 0.6, fiber: 5.2, sugar: 2.2, sodium: 6, source: 'common' },
+  { name: 'Tempeh', protein: 19, servingSize: 100, servingUnit: 'g', calories: 192, carbs: 7.6, fat: 10.8, saturatedFat: 2.5, fiber: 4.8, sugar: 0, sodium: 9, source: 'common' },
+  { name: 'Seitan', protein: 25, servingSize: 100, servingUnit: 'g', calories: 140, carbs: 6, fat: 2, saturatedFat: 0.3, fiber: 1, sugar: 1, sodium: 470, source: 'common' },
+  { name: 'Pumpkin Seeds', protein: 19, servingSize: 100, servingUnit: 'g', calories: 559, carbs: 10.7, fat: 49, saturatedFat: 8.7, fiber: 6, sugar: 1.4, sodium: 7, source: 'common' },
+  { name: 'Chia Seeds', protein: 17, servingSize: 100, servingUnit: 'g', calories: 486, carbs: 42, fat: 30.7, saturatedFat: 3.3, fiber: 34.4, sugar: 0, sodium: 16, source: 'common' },
+  { name: 'Hemp Seeds', protein: 31, servingSize: 100, servingUnit: 'g', calories: 553, carbs: 8.7, fat: 48.8, saturatedFat: 4.6, fiber: 4, sugar: 1.5, sodium: 5, source: 'common' },
 ]
 
 /**
@@ -168,29 +188,87 @@ export function searchCommonFoods(query) {
 }
 
 /**
- * Combined search - common foods first, then API results
+ * Search the user's custom foods by name or brand
+ * @param {string} query 
+ * @returns {Promise<Array>}
+ */
+export async function searchCustomFoods(query) {
+  const lowerQuery = query.toLowerCase()
+  const foods = await getCustomFoods()
+  return foods.filter(food =>
+    food.name.toLowerCase().includes(lowerQuery) ||
+    (food.brand || '').toLowerCase().includes(lowerQuery)
+  )
+}
+
+/**
+ * Present a recipe as a loggable food measured in servings
+ * @param {Object} recipe
+ * @returns {Object} Food item with per-serving nutrients
+ */
+export function recipeToFood(recipe) {
+  return {
+    id: recipe.id,
+    recipeId: recipe.id,
+    name: recipe.name,
+    ...calculateRecipeNutrients(recipe),
+    servingSize: 1,
+    servingUnit: 'serving',
+    servings: recipe.servings,
+    source: 'recipe',
+  }
+}
+
+/**
+ * Search the user's recipes by name
+ * @param {string} query 
+ * @returns {Promise<Array>} Recipes as food items
+ */
+export async function searchRecipes(query) {
+  const lowerQuery = query.toLowerCase()
+  const recipes = await getRecipes()
+  return recipes
+    .filter(recipe => recipe.name.toLowerCase().includes(lowerQuery))
+    .map(recipeToFood)
+}
+
+/**
+ * Search local sources only - custom foods first, then recipes, then common foods
+ * @param {string} query 
+ * @returns {Promise<Array>}
+ */
+export async function searchLocalFoods(query) {
+  const [customResults, recipeResults] = await Promise.all([
+    searchCustomFoods(query),
+    searchRecipes(query),
+  ])
+  return [...customResults, ...recipeResults, ...searchCommonFoods(query)]
+}
+
+/**
+ * Combined search - custom foods first, then recipes, then common foods, then API results
  * @param {string} query 
  * @returns {Promise<Array>}
  */
 export async function searchAllFoods(query) {
-  // Get instant results from common foods
-  const commonResults = searchCommonFoods(query)
+  // Get instant results from custom and common foods
+  const localResults = await searchLocalFoods(query)
   
   // Try to get API results
   let apiResults = []
   try {
     apiResults = await searchFoods(query)
   } catch (error) {
-    console.warn('API search failed, using common foods only:', error)
+    console.warn('API search failed, using local foods only:', error)
   }
   
-  // Combine, prioritizing common foods
-  const combined = [...commonResults]
+  // Combine, prioritizing local foods
+  const combined = [...localResults]
   
-  // Add API results that don't duplicate common foods
+  // Add API results that don't duplicate local foods
   apiResults.forEach(apiFood => {
-    const isDuplicate = commonResults.some(
-      common => common.name.toLowerCase() === apiFood.name.toLowerCase()
+    const isDuplicate = localResults.some(
+      local => local.name.toLowerCase() === apiFood.name.toLowerCase()
     )
     if (!isDuplicate) {
       combined.push(apiFood)
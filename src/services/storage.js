@@ -1,16 +1,67 @@
-// Local storage service for data persistence
+// IndexedDB storage service for data persistence
+// All functions are async - see db.js for the schema and migrations
 
-import { STORAGE_KEYS, DEFAULT_PROTEIN_GOAL } from '../utils/constants'
-import { toISODateString } from '../utils/formatters'
+import {
+  DB_CONFIG,
+  SETTING_KEYS,
+  DEFAULT_PROTEIN_GOAL,
+  MACRO_KEYS,
+  DEFAULT_STREAK_RULES,
+  DEFAULT_MEAL_TARGETS,
+  DEFAULT_MEAL_SLOTS,
+  DEFAULT_UNIT_SYSTEM,
+} from '../utils/constants'
+import { toDateKey, daysBetween } from '../utils/dates'
+import { sumMacros, createEmptyTotals, rescaleEntry, recalculateTotals } from '../utils/nutrients'
+import { createGoalPlan, sortGoalSchedule, resolveGoal } from '../utils/goals'
+import {
+  runTransaction,
+  promisifyRequest,
+  getRecord,
+  getAllRecords,
+  putRecord,
+  deleteRecord,
+  clearStores,
+} from './db'
+
+const { STORES } = DB_CONFIG
+
+export { recalculateTotals }
+
+/**
+ * Create an empty log for a date
+ * @param {string} dateKey
+ * @param {number} goal
+ * @returns {Object} Daily log object
+ */
+export function createEmptyLog(dateKey, goal = DEFAULT_PROTEIN_GOAL) {
+  return {
+    date: dateKey,
+    goal,
+    meals: {}, // Filled per meal slot key as food is added
+    totalProtein: 0,
+    totals: createEmptyTotals(),
+  }
+}
+
+/**
+ * Fill in fields missing from logs saved by older versions
+ * @param {Object} log
+ * @returns {Object}
+ */
+function normalizeLog(log) {
+  // Logs saved before macro tracking have no totals yet
+  return log.totals ? log : { ...log, totals: sumMacros(Object.values(log.meals).flat()) }
+}
 
 /**
  * Get all daily logs from storage
- * @returns {Object} Object with date keys and log values
+ * @returns {Promise<Object>} Object with date keys and log values
  */
-export function getAllLogs() {
+export async function getAllLogs() {
   try {
-    const logs = localStorage.getItem(STORAGE_KEYS.DAILY_LOGS)
-    return logs ? JSON.parse(logs) : {}
+    const logs = await getAllRecords(STORES.DAILY_LOGS)
+    return Object.fromEntries(logs.map(log => [log.date, normalizeLog(log)]))
   } catch (error) {
     console.error('Error reading logs from storage:', error)
     return {}
@@ -19,35 +70,29 @@ export function getAllLogs() {
 
 /**
  * Get log for a specific date
- * @param {Date|string} date 
- * @returns {Object} Daily log object
+ * @param {Date|string} date
+ * @returns {Promise<Object>} Daily log object
  */
-export function getLogByDate(date) {
-  const dateKey = typeof date === 'string' ? date : toISODateString(date)
-  const logs = getAllLogs()
-  
-  return logs[dateKey] || {
-    date: dateKey,
-    goal: getProteinGoal(),
-    meals: {
-      breakfast: [],
-      lunch: [],
-      dinner: [],
-      snack: [],
-    },
-    totalProtein: 0,
+export async function getLogByDate(date) {
+  const dateKey = toDateKey(date)
+
+  try {
+    const log = await getRecord(STORES.DAILY_LOGS, dateKey)
+    return log ? normalizeLog(log) : createEmptyLog(dateKey, await getProteinGoal(dateKey))
+  } catch (error) {
+    console.error('Error reading log from storage:', error)
+    return createEmptyLog(dateKey)
   }
 }
 
 /**
  * Save log for a specific date
- * @param {Object} log 
+ * @param {Object} log
+ * @returns {Promise<boolean>}
  */
-export function saveLog(log) {
+export async function saveLog(log) {
   try {
-    const logs = getAllLogs()
-    logs[log.date] = log
-    localStorage.setItem(STORAGE_KEYS.DAILY_LOGS, JSON.stringify(logs))
+    await putRecord(STORES.DAILY_LOGS, log)
     return true
   } catch (error) {
     console.error('Error saving log to storage:', error)
@@ -55,163 +100,853 @@ export function saveLog(log) {
   }
 }
 
+/**
+ * Get the stored log for a date without falling back to an empty one
+ * @param {Date|string} date
+ * @returns {Promise<Object|null>} Log, or null when nothing is stored for the day
+ */
+export async function getStoredLog(date) {
+  try {
+    return (await getRecord(STORES.DAILY_LOGS, toDateKey(date))) || null
+  } catch (error) {
+    console.error('Error reading log from storage:', error)
+    return null
+  }
+}
+
+/**
+ * Write back log snapshots in one transaction (used by undo/redo)
+ * @param {Array} snapshots - [{ date, log }]; a null log deletes the day
+ * @returns {Promise<boolean>}
+ */
+export async function restoreLogs(snapshots) {
+  try {
+    await runTransaction(STORES.DAILY_LOGS, 'readwrite', (transaction) => {
+      const logStore = transaction.objectStore(STORES.DAILY_LOGS)
+      snapshots.forEach(({ date, log }) => {
+        if (log) {
+          logStore.put(log)
+        } else {
+          logStore.delete(date)
+        }
+      })
+    })
+    return true
+  } catch (error) {
+    console.error('Error restoring logs in storage:', error)
+    return false
+  }
+}
+
+/**
+ * Read the goal schedule inside a transaction that includes the settings store
+ * Before schedules existed there was one goal for every day
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<Object[]>} Sorted plans
+ */
+async function readGoalSchedule(transaction) {
+  const settingsStore = transaction.objectStore(STORES.SETTINGS)
+  const schedule = await promisifyRequest(settingsStore.get(SETTING_KEYS.GOAL_SCHEDULE))
+  if (schedule?.value?.length) {
+    return sortGoalSchedule(schedule.value)
+  }
+  const goal = await promisifyRequest(settingsStore.get(SETTING_KEYS.GOAL))
+  return [createGoalPlan(goal ? goal.value : DEFAULT_PROTEIN_GOAL)]
+}
+
+/**
+ * Read, modify and write a day's log in a single transaction
+ * @param {Date|string} date
+ * @param {Function} updater - Mutates the log in place, also receives the goal schedule
+ * @returns {Promise<Object|null>} Updated log, or null on failure
+ */
+async function updateLog(date, updater) {
+  const dateKey = toDateKey(date)
+
+  try {
+    return await runTransaction([STORES.DAILY_LOGS, STORES.SETTINGS], 'readwrite', async (transaction) => {
+      const logStore = transaction.objectStore(STORES.DAILY_LOGS)
+      const stored = await promisifyRequest(logStore.get(dateKey))
+      const schedule = await readGoalSchedule(transaction)
+
+      const log = stored
+        ? normalizeLog(stored)
+        : createEmptyLog(dateKey, resolveGoal(schedule, dateKey))
+
+      updater(log, schedule)
+      recalculateTotals(log)
+
+      logStore.put(log)
+      return log
+    })
+  } catch (error) {
+    console.error('Error updating log in storage:', error)
+    return null
+  }
+}
+
 /**
  * Add a food item to a specific meal
- * @param {Date|string} date 
- * @param {string} mealType 
- * @param {Object} foodItem 
+ * @param {Date|string} date
+ * @param {string} mealType
+ * @param {Object} foodItem
+ * @returns {Promise<Object|null>} Updated log
  */
 export function addFoodToMeal(date, mealType, foodItem) {
-  const log = getLogByDate(date)
-  
-  if (!log.meals[mealType]) {
-    log.meals[mealType] = []
-  }
-  
-  log.meals[mealType].push({
-    ...foodItem,
-    id: crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(),
-    timestamp: new Date().toISOString(),
+  return addFoodsToMeal(date, mealType, [foodItem])
+}
+
+/**
+ * Add several food items to a meal at once (e.g. from a meal template)
+ * @param {Date|string} date
+ * @param {string} mealType
+ * @param {Array} foodItems
+ * @returns {Promise<Object|null>} Updated log
+ */
+export function addFoodsToMeal(date, mealType, foodItems) {
+  const timestamp = new Date().toISOString()
+
+  return updateLog(date, (log) => {
+    if (!log.meals[mealType]) {
+      log.meals[mealType] = []
+    }
+
+    foodItems.forEach((foodItem, index) => {
+      log.meals[mealType].push({
+        ...foodItem,
+        id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${index}`,
+        timestamp,
+      })
+    })
   })
-  
-  // Recalculate total protein
-  log.totalProtein = calculateTotalProtein(log.meals)
-  
-  return saveLog(log) ? log : null
 }
 
 /**
  * Remove a food item from a meal
- * @param {Date|string} date 
- * @param {string} mealType 
- * @param {string} foodId 
+ * @param {Date|string} date
+ * @param {string} mealType
+ * @param {string} foodId
+ * @returns {Promise<Object|null>} Updated log
  */
 export function removeFoodFromMeal(date, mealType, foodId) {
-  const log = getLogByDate(date)
-  
-  if (log.meals[mealType]) {
-    log.meals[mealType] = log.meals[mealType].filter(item => item.id !== foodId)
-  }
-  
-  // Recalculate total protein
-  log.totalProtein = calculateTotalProtein(log.meals)
-  
-  return saveLog(log) ? log : null
+  return updateLog(date, (log) => {
+    if (log.meals[mealType]) {
+      log.meals[mealType] = log.meals[mealType].filter(item => item.id !== foodId)
+    }
+  })
+}
+
+/**
+ * Update a logged food item - change its serving, move it to another meal or retime it
+ * @param {Date|string} date
+ * @param {string} mealType - Meal the item is currently in
+ * @param {string} foodId
+ * @param {Object} updates - { quantity?, unit?, mealType?, timestamp? }
+ * @returns {Promise<Object|null>} Updated log, or null on failure
+ */
+export function updateFoodInMeal(date, mealType, foodId, updates) {
+  return updateLog(date, (log) => {
+    const items = log.meals[mealType] || []
+    const index = items.findIndex(item => item.id === foodId)
+    if (index === -1) {
+      throw new Error(`Food ${foodId} not found in ${mealType}`)
+    }
+
+    let entry = items[index]
+    if (updates.quantity != null) {
+      entry = rescaleEntry(entry, updates.quantity, updates.unit)
+    }
+    if (updates.timestamp) {
+      entry = { ...entry, timestamp: updates.timestamp }
+    }
+
+    const targetMeal = updates.mealType || mealType
+    items.splice(index, 1)
+    if (!log.meals[targetMeal]) {
+      log.meals[targetMeal] = []
+    }
+    log.meals[targetMeal].push(entry)
+
+    // Keep the meal in the order things were eaten
+    log.meals[targetMeal].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+  })
+}
+
+/**
+ * Move a timestamp onto another day, keeping its time of day
+ * @param {string} timestamp - ISO timestamp (now when missing)
+ * @param {string} dateKey - Target YYYY-MM-DD
+ * @returns {string} ISO timestamp
+ */
+function moveTimestampToDate(timestamp, dateKey) {
+  const time = timestamp ? new Date(timestamp) : new Date()
+  time.setDate(time.getDate() + daysBetween(toDateKey(time), dateKey))
+  return time.toISOString()
 }
 
 /**
- * Calculate total protein from all meals
- * @param {Object} meals 
- * @returns {number}
+ * Copy logged foods from one date to another as new entries
+ * Copies get fresh ids and keep their time of day on the target date
+ * @param {Date|string} sourceDate
+ * @param {Date|string} targetDate - Any date, including the source date
+ * @param {Object} options
+ * @param {string} options.mealType - Copy only this meal (omit to copy the whole day)
+ * @param {string} options.targetMealType - Meal to copy into (defaults to the source meal)
+ * @returns {Promise<Object|null>} Updated target log, or null on failure or nothing to copy
  */
-function calculateTotalProtein(meals) {
-  return Object.values(meals)
-    .flat()
-    .reduce((total, item) => total + (item.protein || 0), 0)
+export async function copyFoodsToDate(sourceDate, targetDate, { mealType, targetMealType } = {}) {
+  const source = await getStoredLog(sourceDate)
+  if (!source) return null
+
+  const mealTypes = mealType ? [mealType] : Object.keys(source.meals)
+  const copies = mealTypes.flatMap(meal =>
+    (source.meals[meal] || []).map(item => ({ meal: targetMealType || meal, item }))
+  )
+  if (copies.length === 0) return null
+
+  const targetKey = toDateKey(targetDate)
+  return updateLog(targetKey, (log) => {
+    copies.forEach(({ meal, item }, index) => {
+      if (!log.meals[meal]) {
+        log.meals[meal] = []
+      }
+      log.meals[meal].push({
+        ...item,
+        id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${index}`,
+        timestamp: moveTimestampToDate(item.timestamp, targetKey),
+      })
+    })
+
+    // Keep copied meals in the order things were eaten
+    new Set(copies.map(({ meal }) => meal)).forEach(meal => {
+      log.meals[meal].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+    })
+  })
 }
 
 /**
- * Get protein goal from storage
- * @returns {number}
+ * Read a value from the settings store
+ * @param {string} key - SETTING_KEYS entry
+ * @param {any} fallback - Returned when unset or unreadable
+ * @returns {Promise<any>}
  */
-export function getProteinGoal() {
+async function getSetting(key, fallback) {
   try {
-    const goal = localStorage.getItem(STORAGE_KEYS.GOAL)
-    return goal ? parseInt(goal, 10) : DEFAULT_PROTEIN_GOAL
+    const record = await getRecord(STORES.SETTINGS, key)
+    return record ? record.value : fallback
   } catch (error) {
-    console.error('Error reading goal from storage:', error)
-    return DEFAULT_PROTEIN_GOAL
+    console.error(`Error reading ${key} from storage:`, error)
+    return fallback
   }
 }
 
 /**
- * Set protein goal in storage
- * @param {number} goal 
+ * Write a value to the settings store
+ * @param {string} key - SETTING_KEYS entry
+ * @param {any} value
+ * @returns {Promise<boolean>}
  */
-export function setProteinGoal(goal) {
+async function setSetting(key, value) {
   try {
-    localStorage.setItem(STORAGE_KEYS.GOAL, goal.toString())
+    await putRecord(STORES.SETTINGS, { key, value })
     return true
   } catch (error) {
-    console.error('Error saving goal to storage:', error)
+    console.error(`Error saving ${key} to storage:`, error)
     return false
   }
 }
 
+/**
+ * Get the goal schedule
+ * @returns {Promise<Object[]>} Plans sorted by start date
+ */
+export async function getGoalSchedule() {
+  try {
+    return await runTransaction(STORES.SETTINGS, 'readonly', readGoalSchedule)
+  } catch (error) {
+    console.error('Error reading goal schedule from storage:', error)
+    return [createGoalPlan()]
+  }
+}
+
+/**
+ * Get the scheduled protein goal for a day (ignoring any training/rest marking)
+ * @param {Date|string} date
+ * @returns {Promise<number>}
+ */
+export async function getProteinGoal(date = new Date()) {
+  return resolveGoal(await getGoalSchedule(), toDateKey(date))
+}
+
+/**
+ * Replace the goal schedule and restamp the days whose plan changed
+ * Days before the first affected date keep the goal they were logged against
+ * @param {Function} change - Receives the current sorted plans, returns { schedule, from }
+ * @returns {Promise<Object[]|null>} New schedule, or null on failure
+ */
+async function updateGoalSchedule(change) {
+  try {
+    return await runTransaction([STORES.DAILY_LOGS, STORES.SETTINGS], 'readwrite', async (transaction) => {
+      const { schedule: changed, from } = change(await readGoalSchedule(transaction))
+      const schedule = sortGoalSchedule(changed)
+      transaction.objectStore(STORES.SETTINGS).put({ key: SETTING_KEYS.GOAL_SCHEDULE, value: schedule })
+
+      // Only days up to the next plan change are affected
+      const next = schedule.find(plan => plan.from && (!from || plan.from > from))
+      let range
+      if (from && next) {
+        range = IDBKeyRange.bound(from, next.from, false, true)
+      } else if (from) {
+        range = IDBKeyRange.lowerBound(from)
+      } else if (next) {
+        range = IDBKeyRange.upperBound(next.from, true)
+      }
+
+      const logStore = transaction.objectStore(STORES.DAILY_LOGS)
+      const logs = await promisifyRequest(logStore.getAll(range))
+      logs.forEach((log) => {
+        const goal = resolveGoal(schedule, log.date, log.dayType)
+        if (goal !== log.goal) {
+          logStore.put({ ...log, goal })
+        }
+      })
+
+      return schedule
+    })
+  } catch (error) {
+    console.error('Error saving goal schedule to storage:', error)
+    return null
+  }
+}
+
+/**
+ * Add a goal plan, replacing any plan starting the same day
+ * @param {Object} plan - { from, weekdays, training, rest }
+ * @returns {Promise<Object[]|null>} New schedule
+ */
+export function saveGoalPlan(plan) {
+  return updateGoalSchedule(schedule => ({
+    schedule: [...schedule.filter(existing => existing.from !== plan.from), plan],
+    from: plan.from,
+  }))
+}
+
+/**
+ * Remove a dated goal change - its days fall back to the plan before it
+ * The first plan can't be removed, only replaced
+ * @param {string} from - Start date of the plan to remove
+ * @returns {Promise<Object[]|null>} New schedule
+ */
+export function deleteGoalPlan(from) {
+  return updateGoalSchedule(schedule => ({
+    schedule: schedule.filter((plan, index) => index === 0 || plan.from !== from),
+    from,
+  }))
+}
+
+/**
+ * Mark a day as a training or rest day and apply that day's goal
+ * @param {Date|string} date
+ * @param {'training'|'rest'|null} dayType - null clears the marking
+ * @returns {Promise<Object|null>} Updated log
+ */
+export function setDayType(date, dayType) {
+  return updateLog(date, (log, schedule) => {
+    if (dayType) {
+      log.dayType = dayType
+    } else {
+      delete log.dayType
+    }
+    log.goal = resolveGoal(schedule, log.date, log.dayType)
+  })
+}
+
+/**
+ * Get the goal calculator's remembered inputs
+ * @returns {Promise<Object|null>} { weight, weightUnit, leanMass, bodyFat, activity, phase, goal, weightKg }
+ */
+export function getGoalCalculator() {
+  return getSetting(SETTING_KEYS.GOAL_CALCULATOR, null)
+}
+
+/**
+ * Remember the goal calculator's inputs, the goal accepted from it and any dismissed suggestion
+ * @param {Object} calculator
+ * @returns {Promise<boolean>}
+ */
+export function setGoalCalculator(calculator) {
+  return setSetting(SETTING_KEYS.GOAL_CALCULATOR, calculator)
+}
+
+/**
+ * Get optional macro goals from storage
+ * @returns {Promise<Object>} Goals keyed by MACRO_KEYS, null where unset
+ */
+export async function getMacroGoals() {
+  const empty = Object.fromEntries(MACRO_KEYS.map(key => [key, null]))
+  const goals = await getSetting(SETTING_KEYS.MACRO_GOALS, {})
+  return { ...empty, ...goals }
+}
+
+/**
+ * Set macro goals in storage
+ * @param {Object} goals - Goals keyed by MACRO_KEYS, null to clear
+ * @returns {Promise<boolean>}
+ */
+export function setMacroGoals(goals) {
+  return setSetting(SETTING_KEYS.MACRO_GOALS, goals)
+}
+
+/**
+ * Get per-meal protein target settings
+ * @returns {Promise<Object>} { mode, manual }
+ */
+export async function getMealTargets() {
+  const targets = await getSetting(SETTING_KEYS.MEAL_TARGETS, {})
+  return { ...DEFAULT_MEAL_TARGETS, ...targets }
+}
+
+/**
+ * Set per-meal protein target settings
+ * @param {Object} targets - { mode, manual }
+ * @returns {Promise<boolean>}
+ */
+export function setMealTargets(targets) {
+  return setSetting(SETTING_KEYS.MEAL_TARGETS, targets)
+}
+
+/**
+ * Get the user's meal slots
+ * @returns {Promise<Array>} [{ key, label, color, hidden, from, to }] in display order
+ */
+export function getMealSlotSettings() {
+  return getSetting(SETTING_KEYS.MEAL_SLOTS, DEFAULT_MEAL_SLOTS)
+}
+
+/**
+ * Set the user's meal slots
+ * @param {Array} slots - [{ key, label, color, hidden, from, to }] in display order
+ * @returns {Promise<boolean>}
+ */
+export function setMealSlotSettings(slots) {
+  return setSetting(SETTING_KEYS.MEAL_SLOTS, slots)
+}
+
+/**
+ * Get the preferred unit system
+ * @returns {Promise<string>} A UNIT_SYSTEMS key
+ */
+export function getUnitSystemSetting() {
+  return getSetting(SETTING_KEYS.UNIT_SYSTEM, DEFAULT_UNIT_SYSTEM)
+}
+
+/**
+ * Set the preferred unit system
+ * @param {string} system - A UNIT_SYSTEMS key
+ * @returns {Promise<boolean>}
+ */
+export function setUnitSystemSetting(system) {
+  return setSetting(SETTING_KEYS.UNIT_SYSTEM, system)
+}
+
+/**
+ * Get the hour the logical day starts (0 = midnight)
+ * @returns {Promise<number>}
+ */
+export function getDayStartHour() {
+  return getSetting(SETTING_KEYS.DAY_START_HOUR, 0)
+}
+
+/**
+ * Set the hour the logical day starts
+ * @param {number} hour
+ * @returns {Promise<boolean>}
+ */
+export function setDayStartHour(hour) {
+  return setSetting(SETTING_KEYS.DAY_START_HOUR, hour)
+}
+
+/**
+ * Get the streak rules
+ * @returns {Promise<Object>} { restPassesPerWeek }
+ */
+export async function getStreakRules() {
+  return { ...DEFAULT_STREAK_RULES, ...(await getSetting(SETTING_KEYS.STREAK_RULES, {})) }
+}
+
+/**
+ * Set the streak rules
+ * @param {Object} rules
+ * @returns {Promise<boolean>}
+ */
+export function setStreakRules(rules) {
+  return setSetting(SETTING_KEYS.STREAK_RULES, rules)
+}
+
+/**
+ * Get unlocked milestones
+ * @returns {Promise<Object>} Unlock dates (YYYY-MM-DD) keyed by milestone id
+ */
+export function getAchievements() {
+  return getSetting(SETTING_KEYS.ACHIEVEMENTS, {})
+}
+
+/**
+ * Save unlocked milestones
+ * @param {Object} achievements - Unlock dates keyed by milestone id
+ * @returns {Promise<boolean>}
+ */
+export function setAchievements(achievements) {
+  return setSetting(SETTING_KEYS.ACHIEVEMENTS, achievements)
+}
+
 /**
  * Get recent/favorite foods
- * @returns {Array}
+ * @returns {Promise<Array>}
  */
 export function getRecentFoods() {
+  return getSetting(SETTING_KEYS.RECENT_FOODS, [])
+}
+
+/**
+ * Add food to recent foods (max 20 items)
+ * @param {Object} food - Logged food item
+ * @param {string} mealType - Meal it was logged to, reused for quick add
+ * @returns {Promise<boolean>}
+ */
+export async function addRecentFood(food, mealType) {
+  let recent = await getRecentFoods()
+
+  // Remove if already exists (to move to front)
+  recent = recent.filter(f => f.name !== food.name)
+
+  // Add to front
+  recent.unshift({
+    name: food.name,
+    protein: food.protein,
+    ...Object.fromEntries(MACRO_KEYS.map(key => [key, food[key] ?? null])),
+    servingSize: food.servingSize,
+    servingUnit: food.servingUnit,
+    ...(food.unit && { quantity: food.quantity, unit: food.unit, grams: food.grams }),
+    source: food.source,
+    ...(food.recipeId && { recipeId: food.recipeId }),
+    ...(food.basis && { basis: food.basis }),
+    ...(food.measures && { measures: food.measures }),
+    ...(food.density && { density: food.density }),
+    mealType,
+  })
+
+  // Keep only last 20
+  return setSetting(SETTING_KEYS.RECENT_FOODS, recent.slice(0, 20))
+}
+
+/**
+ * Get the user's custom foods, most recently updated first
+ * @returns {Promise<Array>}
+ */
+export async function getCustomFoods() {
   try {
-    const foods = localStorage.getItem(STORAGE_KEYS.RECENT_FOODS)
-    return foods ? JSON.parse(foods) : []
+    const foods = await getAllRecords(STORES.CUSTOM_FOODS)
+    return foods.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
   } catch (error) {
-    console.error('Error reading recent foods from storage:', error)
+    console.error('Error reading custom foods from storage:', error)
     return []
   }
 }
 
 /**
- * Add food to recent foods (max 20 items)
- * @param {Object} food 
- */
-export function addRecentFood(food) {
-  try {
-    let recent = getRecentFoods()
-    
-    // Remove if already exists (to move to front)
-    recent = recent.filter(f => f.name !== food.name)
-    
-    // Add to front
-    recent.unshift({
-      name: food.name,
-      protein: food.protein,
-      servingSize: food.servingSize,
-      servingUnit: food.servingUnit,
-      source: food.source,
-    })
-    
-    // Keep only last 20
-    recent = recent.slice(0, 20)
-    
-    localStorage.setItem(STORAGE_KEYS.RECENT_FOODS, JSON.stringify(recent))
+ * Create or update a custom food
+ * @param {Object} food - Food item; a new id is assigned when missing
+ * @returns {Promise<Object|null>} Saved food, or null on failure
+ */
+export async function saveCustomFood(food) {
+  const now = new Date().toISOString()
+  const saved = {
+    ...food,
+    id: food.id || `custom-${crypto.randomUUID ? crypto.randomUUID() : Date.now().toString()}`,
+    source: 'custom',
+    createdAt: food.createdAt || now,
+    updatedAt: now,
+  }
+
+  try {
+    await putRecord(STORES.CUSTOM_FOODS, saved)
+    return saved
+  } catch (error) {
+    console.error('Error saving custom food to storage:', error)
+    return null
+  }
+}
+
+/**
+ * Delete a custom food (logged entries keep their own copy)
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteCustomFood(id) {
+  try {
+    await deleteRecord(STORES.CUSTOM_FOODS, id)
     return true
   } catch (error) {
-    console.error('Error saving recent food to storage:', error)
+    console.error('Error deleting custom food from storage:', error)
+    return false
+  }
+}
+
+/**
+ * Get the user's recipes, most recently updated first
+ * @returns {Promise<Array>}
+ */
+export async function getRecipes() {
+  try {
+    const recipes = await getAllRecords(STORES.RECIPES)
+    return recipes.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  } catch (error) {
+    console.error('Error reading recipes from storage:', error)
+    return []
+  }
+}
+
+/**
+ * Get a single recipe
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getRecipe(id) {
+  try {
+    return (await getRecord(STORES.RECIPES, id)) || null
+  } catch (error) {
+    console.error('Error reading recipe from storage:', error)
+    return null
+  }
+}
+
+/**
+ * Create or update a recipe
+ * Logged entries store their own nutrient values, so edits never change past days
+ * @param {Object} recipe - { name, servings, ingredients }; a new id is assigned when missing
+ * @returns {Promise<Object|null>} Saved recipe, or null on failure
+ */
+export async function saveRecipe(recipe) {
+  const now = new Date().toISOString()
+  const saved = {
+    ...recipe,
+    id: recipe.id || `recipe-${crypto.randomUUID ? crypto.randomUUID() : Date.now().toString()}`,
+    createdAt: recipe.createdAt || now,
+    updatedAt: now,
+  }
+
+  try {
+    await putRecord(STORES.RECIPES, saved)
+    return saved
+  } catch (error) {
+    console.error('Error saving recipe to storage:', error)
+    return null
+  }
+}
+
+/**
+ * Delete a recipe
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteRecipe(id) {
+  try {
+    await deleteRecord(STORES.RECIPES, id)
+    return true
+  } catch (error) {
+    console.error('Error deleting recipe from storage:', error)
+    return false
+  }
+}
+
+/**
+ * Get saved meal templates, most recently updated first
+ * @returns {Promise<Array>}
+ */
+export async function getMealTemplates() {
+  try {
+    const templates = await getAllRecords(STORES.MEAL_TEMPLATES)
+    return templates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  } catch (error) {
+    console.error('Error reading meal templates from storage:', error)
+    return []
+  }
+}
+
+/**
+ * Create or update a meal template
+ * @param {Object} template - { name, items }; a new id is assigned when missing
+ * @returns {Promise<Object|null>} Saved template, or null on failure
+ */
+export async function saveMealTemplate(template) {
+  const now = new Date().toISOString()
+  const saved = {
+    ...template,
+    // Items are stored like log entries but without per-entry ids or times
+    items: template.items.map(({ id, timestamp, ...item }) => item),
+    id: template.id || `template-${crypto.randomUUID ? crypto.randomUUID() : Date.now().toString()}`,
+    createdAt: template.createdAt || now,
+    updatedAt: now,
+  }
+
+  try {
+    await putRecord(STORES.MEAL_TEMPLATES, saved)
+    return saved
+  } catch (error) {
+    console.error('Error saving meal template to storage:', error)
+    return null
+  }
+}
+
+/**
+ * Delete a meal template
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteMealTemplate(id) {
+  try {
+    await deleteRecord(STORES.MEAL_TEMPLATES, id)
+    return true
+  } catch (error) {
+    console.error('Error deleting meal template from storage:', error)
+    return false
+  }
+}
+
+/**
+ * Get weigh-ins, optionally limited to a date range
+ * @param {Date|string} [startDate]
+ * @param {Date|string} [endDate]
+ * @returns {Promise<Array>} Weigh-ins oldest first
+ */
+export async function getWeighIns(startDate, endDate) {
+  try {
+    const range = startDate && endDate
+      ? IDBKeyRange.bound(toDateKey(startDate), toDateKey(endDate))
+      : undefined
+    return await getAllRecords(STORES.WEIGH_INS, range)
+  } catch (error) {
+    console.error('Error reading weigh-ins from storage:', error)
+    return []
+  }
+}
+
+/**
+ * Save the weigh-in for a day, replacing any earlier one that day
+ * @param {Date|string} date
+ * @param {number} weightKg
+ * @param {'kg'|'lb'} unit - Unit it was entered in
+ * @returns {Promise<Object|null>} Saved weigh-in
+ */
+export async function saveWeighIn(date, weightKg, unit) {
+  const saved = {
+    date: toDateKey(date),
+    weightKg,
+    unit,
+    timestamp: new Date().toISOString(),
+  }
+
+  try {
+    await putRecord(STORES.WEIGH_INS, saved)
+    return saved
+  } catch (error) {
+    console.error('Error saving weigh-in to storage:', error)
+    return null
+  }
+}
+
+/**
+ * Delete the weigh-in for a day
+ * @param {Date|string} date
+ * @returns {Promise<boolean>}
+ */
+export async function deleteWeighIn(date) {
+  try {
+    await deleteRecord(STORES.WEIGH_INS, toDateKey(date))
+    return true
+  } catch (error) {
+    console.error('Error deleting weigh-in from storage:', error)
     return false
   }
 }
 
 /**
  * Get logs for a date range (for history view)
- * @param {Date} startDate 
- * @param {Date} endDate 
- * @returns {Array}
- */
-export function getLogsInRange(startDate, endDate) {
-  const logs = getAllLogs()
-  const results = []
-  
-  const current = new Date(startDate)
-  const end = new Date(endDate)
-  
-  while (current <= end) {
-    const dateKey = toISODateString(current)
-    if (logs[dateKey]) {
-      results.push(logs[dateKey])
-    }
-    current.setDate(current.getDate() + 1)
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<Array>} Logs sorted newest first
+ */
+export async function getLogsInRange(startDate, endDate) {
+  try {
+    const range = IDBKeyRange.bound(toDateKey(startDate), toDateKey(endDate))
+    const logs = await getAllRecords(STORES.DAILY_LOGS, range)
+    return logs.map(normalizeLog).reverse()
+  } catch (error) {
+    console.error('Error reading logs from storage:', error)
+    return []
+  }
+}
+
+/**
+ * Get the earliest day with a stored log
+ * @returns {Promise<string|null>} Day key, or null when nothing is stored
+ */
+export async function getFirstLogDate() {
+  try {
+    return await runTransaction(STORES.DAILY_LOGS, 'readonly', async (transaction) => {
+      const cursor = await promisifyRequest(transaction.objectStore(STORES.DAILY_LOGS).openKeyCursor())
+      return cursor ? cursor.key : null
+    })
+  } catch (error) {
+    console.error('Error reading logs from storage:', error)
+    return null
   }
-  
-  return results.sort((a, b) => new Date(b.date) - new Date(a.date))
+}
+
+/**
+ * Get the most frequently logged foods from recent history
+ * Each food comes back as it was last logged, so re-adding repeats that serving
+ * @param {number} limit - Maximum foods to return
+ * @param {number} days - Days of history to count
+ * @returns {Promise<Array>} [{ food, mealType, count }] most frequent first
+ */
+export async function getFrequentFoods(limit = 10, days = 90) {
+  const startDate = new Date()
+  startDate.setDate(startDate.getDate() - days)
+  const logs = await getLogsInRange(startDate, new Date())
+  const byName = new Map()
+
+  logs.forEach(log => {
+    Object.entries(log.meals).forEach(([mealType, items]) => {
+      items.forEach(({ id, timestamp, ...food }) => {
+        const key = food.name.toLowerCase()
+        const loggedAt = timestamp || log.date
+        const existing = byName.get(key)
+
+        if (!existing) {
+          byName.set(key, { food, mealType, count: 1, loggedAt })
+          return
+        }
+
+        existing.count++
+        if (loggedAt > existing.loggedAt) {
+          Object.assign(existing, { food, mealType, loggedAt })
+        }
+      })
+    })
+  })
+
+  return [...byName.values()]
+    .sort((a, b) => b.count - a.count || b.loggedAt.localeCompare(a.loggedAt))
+    .slice(0, limit)
+    .map(({ food, mealType, count }) => ({ food, mealType, count }))
 }
 
 /**
  * Clear all data (for testing/reset)
+ * @returns {Promise<void>}
  */
 export function clearAllData() {
-  Object.values(STORAGE_KEYS).forEach(key => {
-    localStorage.removeItem(key)
-  })
-}
\ No newline at end of file
+  return clearStores(Object.values(STORES))
+}
@@ -0,0 +1,79 @@
+// Chart data for History - daily protein vs goal, moving averages and week/month buckets
+
+import { CHART_CONFIG } from './constants'
+import { shiftDateKey, getPeriodStart } from './dates'
+import { resolveGoal } from './goals'
+import { isGoalHit } from './streaks'
+
+/**
+ * Build one point per day, including days with nothing logged
+ * Days without a log are judged against the goal their schedule would have given them
+ * @param {Array} logs - Daily logs in any order
+ * @param {Array} schedule - Goal schedule
+ * @param {string} startKey
+ * @param {string} endKey
+ * @returns {Array} [{ key, protein, goal, hit, logged }]
+ */
+export function buildDailySeries(logs, schedule, startKey, endKey) {
+  const logsByDate = new Map(logs.map(log => [log.date, log]))
+  const points = []
+
+  for (let key = startKey; key <= endKey; key = shiftDateKey(key, 1)) {
+    const log = logsByDate.get(key)
+    points.push({
+      key,
+      protein: log ? log.totalProtein : 0,
+      goal: log ? log.goal : resolveGoal(schedule, key),
+      hit: isGoalHit(log),
+      logged: Boolean(log),
+    })
+  }
+
+  return points
+}
+
+/**
+ * Add a trailing moving average of protein to each point
+ * Early points average over the days available so far
+ * @param {Array} points - Daily points, oldest first
+ * @param {number} [days]
+ * @returns {Array} Points with an `average` field
+ */
+export function addMovingAverage(points, days = CHART_CONFIG.MOVING_AVERAGE_DAYS) {
+  let sum = 0
+  return points.map((point, index) => {
+    sum += point.protein
+    if (index >= days) {
+      sum -= points[index - days].protein
+    }
+    return { ...point, average: sum / Math.min(index + 1, days) }
+  })
+}
+
+/**
+ * Group daily points into weeks or months of average daily protein and goal
+ * @param {Array} points - Daily points, oldest first
+ * @param {'week'|'month'} period
+ * @returns {Array} [{ key, protein, goal, hit, days, hitDays }]
+ */
+export function aggregateSeries(points, period) {
+  const buckets = new Map()
+
+  points.forEach((point) => {
+    const key = getPeriodStart(point.key, period)
+    if (!buckets.has(key)) {
+      buckets.set(key, { key, totalProtein: 0, totalGoal: 0, days: 0, hitDays: 0 })
+    }
+    const bucket = buckets.get(key)
+    bucket.totalProtein += point.protein
+    bucket.totalGoal += point.goal
+    bucket.days++
+    if (point.hit) bucket.hitDays++
+  })
+
+  return [...buckets.values()].map(({ key, totalProtein, totalGoal, days, hitDays }) => {
+    const protein = totalProtein / days
+    const goal = totalGoal / days
+    return { key, protein, goal, hit: protein >= goal, days, hitDays }
+  })
+}
@@ -1,18 +1,88 @@
 // App constants
 
-export const MEAL_TYPES = {
-  breakfast: { label: 'Breakfast', icon: ' sunrise', color: 'bg-orange-100 text-orange-600' },
-  lunch: { label: 'Lunch', icon: ' sun', color: 'bg-yellow-100 text-yellow-600' },
-  dinner: { label: 'Dinner', icon: ' moon', color: 'bg-purple-100 text-purple-600' },
-  snack: { label: 'Snack', icon: ' cookie', color: 'bg-pink-100 text-pink-600' },
+// Colors a meal slot can use - badge classes for the app, hex fills for drawn charts
+export const MEAL_COLORS = {
+  orange: { label: 'Orange', badge: 'bg-orange-100 text-orange-600', hex: '#fb923c' },
+  yellow: { label: 'Yellow', badge: 'bg-yellow-100 text-yellow-600', hex: '#facc15' },
+  purple: { label: 'Purple', badge: 'bg-purple-100 text-purple-600', hex: '#a855f7' },
+  pink: { label: 'Pink', badge: 'bg-pink-100 text-pink-600', hex: '#ec4899' },
+  sky: { label: 'Blue', badge: 'bg-sky-100 text-sky-600', hex: '#38bdf8' },
+  lime: { label: 'Green', badge: 'bg-lime-100 text-lime-700', hex: '#84cc16' },
+  red: { label: 'Red', badge: 'bg-red-100 text-red-600', hex: '#f87171' },
+  gray: { label: 'Gray', badge: 'bg-gray-100 text-gray-600', hex: '#9ca3af' },
 }
 
+// Meal slots for new installs - users can add, rename, reorder, recolor and hide them in Settings
+// from/to (HH:MM, may wrap past midnight) pick the meal new food defaults to; slots without one catch the rest
+export const DEFAULT_MEAL_SLOTS = [
+  { key: 'breakfast', label: 'Breakfast', color: 'orange', hidden: false, from: '05:00', to: '10:30' },
+  { key: 'lunch', label: 'Lunch', color: 'yellow', hidden: false, from: '11:00', to: '14:30' },
+  { key: 'dinner', label: 'Dinner', color: 'purple', hidden: false, from: '17:00', to: '21:30' },
+  { key: 'snack', label: 'Snack', color: 'pink', hidden: false, from: null, to: null },
+]
+
+export const MAX_MEAL_SLOTS = 8
+
 export const DEFAULT_PROTEIN_GOAL = 150 // grams
 
+// Nutrients tracked alongside protein - stored per serving on every food item
+export const MACROS = {
+  calories: { label: 'Calories', unit: 'kcal', color: 'bg-orange-400' },
+  carbs: { label: 'Carbs', unit: 'g', color: 'bg-yellow-400' },
+  fat: { label: 'Fat', unit: 'g', color: 'bg-purple-400' },
+  saturatedFat: { label: 'Saturated Fat', unit: 'g', color: 'bg-purple-300' },
+  fiber: { label: 'Fiber', unit: 'g', color: 'bg-lime-500' },
+  sugar: { label: 'Sugar', unit: 'g', color: 'bg-pink-400' },
+  sodium: { label: 'Sodium', unit: 'mg', color: 'bg-sky-400' },
+}
+
+export const MACRO_KEYS = Object.keys(MACROS)
+
+// Serving units offered when creating a custom food
+export const CUSTOM_FOOD_UNITS = ['g', 'ml', 'serving', 'piece', 'scoop', 'slice', 'cup', 'tbsp']
+
+// Unit systems - the units body weight, protein per body weight and new servings are shown in
+export const UNIT_SYSTEMS = {
+  metric: { label: 'Metric', weight: 'kg', mass: 'g', volume: 'ml' },
+  imperial: { label: 'Imperial', weight: 'lb', mass: 'oz', volume: 'fl oz' },
+}
+
+export const DEFAULT_UNIT_SYSTEM = 'metric'
+
+// Legacy localStorage keys - imported into IndexedDB on first launch
 export const STORAGE_KEYS = {
   DAILY_LOGS: 'proteinTracker_dailyLogs',
   GOAL: 'proteinTracker_goal',
   RECENT_FOODS: 'proteinTracker_recentFoods',
+  MACRO_GOALS: 'proteinTracker_macroGoals',
+}
+
+// IndexedDB database layout
+export const DB_CONFIG = {
+  NAME: 'proteinTracker',
+  STORES: {
+    DAILY_LOGS: 'dailyLogs', // One record per day, keyed by YYYY-MM-DD date
+    SETTINGS: 'settings',    // Key/value records for goals and preferences
+    CUSTOM_FOODS: 'customFoods', // User-created foods, keyed by id
+    RECIPES: 'recipes',          // Recipes with ingredient snapshots, keyed by id
+    MEAL_TEMPLATES: 'mealTemplates', // Saved bundles of foods, keyed by id
+    WEIGH_INS: 'weighIns',           // Body weight per day, keyed by YYYY-MM-DD date
+  },
+}
+
+// Keys of records in the settings store
+export const SETTING_KEYS = {
+  GOAL: 'goal', // Single goal from before goal schedules - read as the first plan
+  MACRO_GOALS: 'macroGoals',
+  RECENT_FOODS: 'recentFoods',
+  DAY_START_HOUR: 'dayStartHour',
+  GOAL_SCHEDULE: 'goalSchedule',
+  GOAL_CALCULATOR: 'goalCalculator',
+  STREAK_RULES: 'streakRules',
+  ACHIEVEMENTS: 'achievements',
+  MEAL_TARGETS: 'mealTargets',
+  MEAL_SLOTS: 'mealSlots',
+  UNIT_SYSTEM: 'unitSystem',
 }
 
 export const API_CONFIG = {
@@ -28,6 +98,98 @@ export const API_CONFIG = {
   }
 }
 
+// Goal calculator - protein ranges in g per kg of body weight
+export const ACTIVITY_LEVELS = {
+  sedentary: { label: 'Sedentary', description: 'Little or no exercise', range: [0.8, 1.0] },
+  light: { label: 'Lightly active', description: 'Exercise 1-3 days a week', range: [1.0, 1.4] },
+  active: { label: 'Active', description: 'Training 3-5 days a week', range: [1.4, 1.8] },
+  athlete: { label: 'Very active', description: 'Hard training most days', range: [1.6, 2.2] },
+}
+
+// Added to both ends of the activity range - more protein protects muscle in a deficit
+export const GOAL_PHASES = {
+  cut: { label: 'Cut', adjust: 0.4 },
+  maintain: { label: 'Maintain', adjust: 0 },
+  bulk: { label: 'Bulk', adjust: 0.2 },
+}
+
+export const GOAL_CALCULATOR_CONFIG = {
+  LEAN_MASS_FACTOR: 1.2,   // Ranges per kg of lean mass run higher than per kg of body weight
+  SUGGEST_THRESHOLD: 5,    // Grams the suggested goal must move by before it's offered
+}
+
+// Body weight trend
+export const WEIGHT_TREND_CONFIG = {
+  SMOOTHING: 0.1,     // EWMA weight given to each day's weigh-in
+  RATE_DAYS: 7,       // Days looked back for the weekly rate of change
+  CHART_DAYS: 90,     // Days of weigh-ins shown in History
+}
+
+// Streak rules - missed days forgiven per Monday-Sunday week without breaking a streak
+export const DEFAULT_STREAK_RULES = {
+  restPassesPerWeek: 0,
+}
+
+export const MAX_REST_PASSES_PER_WEEK = 2
+
+// Milestones unlocked once a stat reaches its target - stats come from calculateStreakStats
+export const MILESTONES = [
+  { id: 'first-goal', label: 'First goal hit', stat: 'daysHit', target: 1 },
+  { id: 'streak-3', label: '3-day streak', stat: 'longest', target: 3 },
+  { id: 'streak-7', label: 'First 7-day streak', stat: 'longest', target: 7 },
+  { id: 'streak-30', label: '30-day streak', stat: 'longest', target: 30 },
+  { id: 'logged-10', label: '10 days logged', stat: 'daysLogged', target: 10 },
+  { id: 'logged-100', label: '100 days logged', stat: 'daysLogged', target: 100 },
+  { id: 'logged-365', label: 'A year of logging', stat: 'daysLogged', target: 365 },
+  { id: 'hit-50', label: '50 goals hit', stat: 'daysHit', target: 50 },
+  { id: 'hit-100', label: '100 goals hit', stat: 'daysHit', target: 100 },
+]
+
+// History chart
+export const CHART_CONFIG = {
+  RANGES: [
+    { key: '7d', label: '7D', days: 7 },
+    { key: '30d', label: '30D', days: 30 },
+    { key: '90d', label: '90D', days: 90 },
+    { key: '1y', label: '1Y', days: 365 },
+    { key: 'all', label: 'All', days: null }, // From the first logged day
+  ],
+  MOVING_AVERAGE_DAYS: 7,
+}
+
+// Per-meal protein targets - off, split evenly from the daily goal, or set per meal
+export const DEFAULT_MEAL_TARGETS = {
+  mode: 'off', // 'off' | 'auto' | 'manual'
+  manual: {},  // Grams keyed by meal slot key, null for no target
+}
+
+export const DISTRIBUTION_CONFIG = {
+  ONE_SITTING_SHARE: 0.6, // Days with this share of protein in one meal are flagged in History
+}
+
+// Dashboard timeline view
+export const TIMELINE_CONFIG = {
+  GAP_MINUTES: 180, // Gaps between entries at least this long are called out
+}
+
+// Weekly and monthly reports
+export const REPORT_CONFIG = {
+  TOP_SOURCES: 5, // Foods listed by protein contributed
+}
+
+// Quick-add panel shown before searching
+export const QUICK_ADD_CONFIG = {
+  RECENT_LIMIT: 5,    // Recent foods to show
+  FREQUENT_LIMIT: 5,  // Most frequent foods to show
+  FREQUENT_DAYS: 90,  // Days of history counted for frequency
+}
+
+// Undo history for log changes
+export const UNDO_CONFIG = {
+  MAX_STEPS: 50,             // Changes kept per session
+  SNACKBAR_DURATION: 6000,   // ms the undo snackbar stays visible
+}
+
 // Food recognition configuration
 export const RECOGNITION_CONFIG = {
   MIN_CONFIDENCE: 0.3,      // Minimum confidence to show result
@@ -35,6 +197,18 @@ export const RECOGNITION_CONFIG = {
   MODEL_LOAD_TIMEOUT: 10000 // 10 second timeout
 }
 
+// Barcode scanning configuration
+export const BARCODE_CONFIG = {
+  FORMATS: ['ean_13', 'upc_a', 'ean_8'], // BarcodeDetector format names
+  SCAN_INTERVAL: 250,       // ms between decode attempts
+  SCAN_WIDTH: 640,          // Frames are downscaled to this width for the fallback decoder
+  SCANLINES: [0.5, 0.4, 0.6, 0.3, 0.7], // Rows to sample, as a fraction of frame height
+  MIN_CONTRAST: 40,         // Minimum luminance range for a scanline to be considered
+  MIN_QUIET_ZONE: 3,        // Light margin required around the symbol, in modules
+  MAX_DIGIT_ERROR: 1.5,     // Maximum summed module error when matching a digit
+  CONFIRMATIONS: 2,         // Identical consecutive reads required before accepting a code
+}
+
 // Food name mappings for MobileNet classes to common food names
 // MobileNet has 1000 classes, these are the food-related ones
 export const FOOD_CLASS_MAPPINGS = {
@@ -0,0 +1,122 @@
+// Local calendar day keys (YYYY-MM-DD) used for every day-keyed record
+// A logical day can start after midnight so late-night food counts for the day before
+
+// Later start hours would make noon-anchored dates (see parseDateKey) land on the wrong day
+export const MAX_DAY_START_HOUR = 12
+
+// Hour of the local day the logical day begins at - set from the user's preference on startup
+let dayStartHour = 0
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Set the hour a logical day begins
+ * @param {number} hour - 0 (midnight) to MAX_DAY_START_HOUR
+ */
+export function configureDayStart(hour) {
+  const value = Math.round(Number(hour))
+  dayStartHour = Number.isFinite(value) ? Math.min(Math.max(value, 0), MAX_DAY_START_HOUR) : 0
+}
+
+/**
+ * Get the hour a logical day begins
+ * @returns {number}
+ */
+export function getDayStart() {
+  return dayStartHour
+}
+
+/**
+ * Format a date's local calendar day, ignoring the day start hour
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+function formatLocalDate(date) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * Get the logical day key for a moment in time
+ * @param {Date|string} date - Date, ISO timestamp, or an existing day key (returned as-is)
+ * @returns {string} YYYY-MM-DD
+ */
+export function toDateKey(date) {
+  if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) {
+    return date
+  }
+  const shifted = new Date(date)
+  shifted.setHours(shifted.getHours() - dayStartHour)
+  return formatLocalDate(shifted)
+}
+
+/**
+ * Turn a day key into a Date inside that logical day
+ * Anchored at local noon so it maps back to the same key and survives DST shifts
+ * @param {string} dateKey
+ * @returns {Date}
+ */
+export function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  return new Date(year, month - 1, day, 12)
+}
+
+/**
+ * Get today's logical day key
+ * @returns {string}
+ */
+export function getTodayKey() {
+  return toDateKey(new Date())
+}
+
+/**
+ * Move a day key by a number of days
+ * @param {string} dateKey
+ * @param {number} days - Negative to go back
+ * @returns {string}
+ */
+export function shiftDateKey(dateKey, days) {
+  const date = parseDateKey(dateKey)
+  date.setDate(date.getDate() + days)
+  return formatLocalDate(date)
+}
+
+/**
+ * Count whole days from one day key to another
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @returns {number} Negative when toKey is earlier
+ */
+export function daysBetween(fromKey, toKey) {
+  return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / (24 * 60 * 60 * 1000))
+}
+
+/**
+ * Get the first day of the week (starting Monday) or month a day falls in
+ * @param {string} dateKey
+ * @param {'week'|'month'} period
+ * @returns {string}
+ */
+export function getPeriodStart(dateKey, period) {
+  if (period === 'month') {
+    return `${dateKey.slice(0, 7)}-01`
+  }
+  return shiftDateKey(dateKey, -((parseDateKey(dateKey).getDay() + 6) % 7))
+}
+
+/**
+ * Get the last day of the week or month a day falls in
+ * @param {string} dateKey
+ * @param {'week'|'month'} period
+ * @returns {string}
+ */
+export function getPeriodEnd(dateKey, period) {
+  if (period === 'month') {
+    const date = parseDateKey(getPeriodStart(dateKey, 'month'))
+    date.setMonth(date.getMonth() + 1, 0)
+    return formatLocalDate(date)
+  }
+  return shiftDateKey(getPeriodStart(dateKey, 'week'), 6)
+}
@@ -0,0 +1,87 @@
+// Protein distribution across meals - per-meal targets, a distribution score and one-sitting days
+
+import { DISTRIBUTION_CONFIG } from './constants'
+import { listMealSlots } from './meals'
+
+/**
+ * Sum the protein logged in each meal
+ * @param {Object} meals - Food items keyed by meal type
+ * @returns {Object} Grams keyed by meal type
+ */
+export function getMealProtein(meals) {
+  return Object.fromEntries(
+    Object.entries(meals).map(([mealType, entries]) => [
+      mealType,
+      entries.reduce((sum, entry) => sum + entry.protein, 0),
+    ])
+  )
+}
+
+/**
+ * Work out the protein target for each meal
+ * Auto targets split the daily goal evenly across the visible meal slots
+ * @param {Object} settings - { mode, manual } from getMealTargets
+ * @param {number} goal - The day's protein goal
+ * @returns {Object|null} Grams keyed by meal type (null for no target), or null when targets are off
+ */
+export function resolveMealTargets(settings, goal) {
+  const mealTypes = listMealSlots().map(slot => slot.key)
+
+  if (settings.mode === 'auto') {
+    const target = Math.round(goal / mealTypes.length)
+    return Object.fromEntries(mealTypes.map(mealType => [mealType, target]))
+  }
+
+  if (settings.mode === 'manual') {
+    return Object.fromEntries(mealTypes.map((mealType) => {
+      const target = Number(settings.manual[mealType])
+      return [mealType, target > 0 ? target : null]
+    }))
+  }
+
+  return null
+}
+
+/**
+ * Score how well protein was spread across meals, from 0 to 100
+ * Each meal counts up to its target, so piling protein into one meal can't make up for skipping others
+ * @param {Object} meals - Food items keyed by meal type
+ * @param {Object} targets - From resolveMealTargets
+ * @returns {number|null} Null when no meal has a target
+ */
+export function calculateDistributionScore(meals, targets) {
+  const protein = getMealProtein(meals)
+  let reached = 0
+  let total = 0
+
+  Object.entries(targets).forEach(([mealType, target]) => {
+    if (!target) return
+    reached += Math.min(protein[mealType] || 0, target)
+    total += target
+  })
+
+  return total > 0 ? Math.round((reached / total) * 100) : null
+}
+
+/**
+ * Find the meal holding the largest share of a day's protein
+ * @param {Object} log - Daily log
+ * @returns {{mealType: string, share: number}|null} Null when nothing was logged
+ */
+export function getTopMeal(log) {
+  if (!(log.totalProtein > 0)) return null
+
+  const [mealType, protein] = Object.entries(getMealProtein(log.meals))
+    .reduce((top, meal) => (meal[1] > top[1] ? meal : top))
+  return { mealType, share: protein / log.totalProtein }
+}
+
+/**
+ * Check whether most of a day's protein came in one sitting
+ * @param {Object} log - Daily log
+ * @returns {boolean}
+ */
+export function isOneSittingDay(log) {
+  const top = getTopMeal(log)
+  return Boolean(top) && top.share >= DISTRIBUTION_CONFIG.ONE_SITTING_SHARE
+}
@@ -0,0 +1,22 @@
+// File download helper for exports
+
+/**
+ * Trigger a browser download of generated content
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
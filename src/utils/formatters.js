@@ -1,39 +1,28 @@
 // Date and number formatting utilities
 
+import { toDateKey, parseDateKey, getTodayKey, shiftDateKey } from './dates'
+import { fromKilograms, toProteinRatio, getPreferredWeightUnit, getUnitSystem, MASS_UNITS } from './units'
+import { UNIT_SYSTEMS } from './constants'
+import { getEnteredServing } from './nutrients'
+
 /**
  * Format a date to a readable string (e.g., "Today", "Yesterday", "Feb 18")
- * @param {Date|string} date 
+ * @param {Date|string} date - Date, ISO timestamp or YYYY-MM-DD day key
  * @returns {string}
  */
 export function formatDate(date) {
-  const d = new Date(date)
-  const today = new Date()
-  const yesterday = new Date(today)
-  yesterday.setDate(yesterday.getDate() - 1)
-  
-  // Reset time for comparison
-  const compareDate = new Date(d.getFullYear(), d.getMonth(), d.getDate())
-  const compareToday = new Date(today.getFullYear(), today.getMonth(), today.getDate())
-  const compareYesterday = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate())
+  const dateKey = toDateKey(date)
+  const todayKey = getTodayKey()
   
-  if (compareDate.getTime() === compareToday.getTime()) {
+  if (dateKey === todayKey) {
     return 'Today'
-  } else if (compareDate.getTime() === compareYesterday.getTime()) {
+  } else if (dateKey === shiftDateKey(todayKey, -1)) {
     return 'Yesterday'
   } else {
-    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    return parseDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
   }
 }
 
-/**
- * Format date to ISO date string (YYYY-MM-DD)
- * @param {Date} date 
- * @returns {string}
- */
-export function toISODateString(date) {
-  return date.toISOString().split('T')[0]
-}
-
 /**
  * Format time to readable string (e.g., "2:30 PM")
  * @param {string} isoString 
@@ -48,6 +37,19 @@ export function formatTime(isoString) {
   })
 }
 
+/**
+ * Format a length of time (e.g., "45m", "3h", "4h 10m")
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatDuration(minutes) {
+  const total = Math.round(minutes)
+  const hours = Math.floor(total / 60)
+  const mins = total % 60
+  if (hours === 0) return `${mins}m`
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`
+}
+
 /**
  * Format protein amount with unit
  * @param {number} grams 
@@ -57,6 +59,19 @@ export function formatProtein(grams) {
   return `${Math.round(grams)}g`
 }
 
+/**
+ * Format a macro amount with its unit (e.g., "320 kcal", "12g", "480mg")
+ * @param {number|null} value 
+ * @param {string} key - MACRO_KEYS entry
+ * @returns {string}
+ */
+export function formatNutrient(value, key) {
+  if (value == null) return '–'
+  if (key === 'calories') return `${Math.round(value)} kcal`
+  if (key === 'sodium') return `${Math.round(value)}mg`
+  return `${Math.round(value * 10) / 10}g`
+}
+
 /**
  * Format serving size
  * @param {number} amount 
@@ -64,7 +79,18 @@ export function formatProtein(grams) {
  * @returns {string}
  */
 export function formatServing(amount, unit = 'g') {
-  return `${amount}${unit}`
+  // Metric abbreviations attach to the number, counted units read better spaced
+  return /^(g|kg|mg|ml|l|oz|lb)$/i.test(unit) ? `${amount}${unit}` : `${amount} ${unit}`
+}
+
+/**
+ * Format a logged entry's serving as it was entered
+ * @param {Object} entry - Logged food item
+ * @returns {string}
+ */
+export function formatEnteredServing(entry) {
+  const { quantity, unit } = getEnteredServing(entry)
+  return formatServing(quantity, unit)
 }
 
 /**
@@ -83,4 +109,36 @@ export function getRelativeTime(isoString) {
   if (diffMins < 60) return `${diffMins}m ago`
   if (diffHours < 24) return `${diffHours}h ago`
   return formatDate(date)
-}
\ No newline at end of file
+}
+
+/**
+ * Format a body weight (e.g., "80.4 kg")
+ * @param {number} kg
+ * @param {'kg'|'lb'} [unit] - Defaults to the preferred unit
+ * @returns {string}
+ */
+export function formatWeight(kg, unit = getPreferredWeightUnit()) {
+  return `${Math.round(fromKilograms(kg, unit) * 10) / 10} ${unit}`
+}
+
+/**
+ * Format protein per unit of body weight (e.g., "1.6 g/kg" or "0.73 g/lb")
+ * @param {number} protein - Grams of protein
+ * @param {number} weightKg
+ * @param {'kg'|'lb'} [unit] - Defaults to the preferred unit
+ * @returns {string}
+ */
+export function formatProteinRatio(protein, weightKg, unit = getPreferredWeightUnit()) {
+  return `${toProteinRatio(protein, weightKg, unit)} g/${unit}`
+}
+
+/**
+ * Format the weight of a serving in the preferred unit system (e.g., "85g" or "3 oz")
+ * @param {number} grams
+ * @returns {string}
+ */
+export function formatFoodWeight(grams) {
+  const unit = UNIT_SYSTEMS[getUnitSystem()].mass
+  const amount = grams / MASS_UNITS[unit]
+  return formatServing(amount >= 10 ? Math.round(amount) : Math.round(amount * 10) / 10, unit)
+}
@@ -0,0 +1,149 @@
+// Goal schedule helpers - work out the protein goal in force on any day
+// A schedule is a list of goal plans sorted by start date; each plan holds
+// per-weekday targets and optional training-day/rest-day overrides
+
+import { DEFAULT_PROTEIN_GOAL, ACTIVITY_LEVELS, GOAL_PHASES, GOAL_CALCULATOR_CONFIG } from './constants'
+import { parseDateKey } from './dates'
+import { toKilograms } from './units'
+
+// Weekday indexes follow Date#getDay (0 = Sunday)
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Weekdays in the order they're shown, Monday first
+export const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0]
+
+export const DAY_TYPES = {
+  training: { label: 'Training day' },
+  rest: { label: 'Rest day' },
+}
+
+/**
+ * Create a plan with the same goal every day
+ * @param {number} goal
+ * @param {string|null} from - First day the plan applies (null = since the beginning)
+ * @returns {Object} { from, weekdays, training, rest }
+ */
+export function createGoalPlan(goal = DEFAULT_PROTEIN_GOAL, from = null) {
+  return {
+    from,
+    weekdays: Array(7).fill(goal),
+    training: null,
+    rest: null,
+  }
+}
+
+/**
+ * Sort plans by start date, the open-ended first plan leading
+ * @param {Object[]} schedule
+ * @returns {Object[]} New array
+ */
+export function sortGoalSchedule(schedule) {
+  return [...schedule].sort((a, b) => (a.from || '').localeCompare(b.from || ''))
+}
+
+/**
+ * Find the plan in force on a day
+ * @param {Object[]} schedule - Sorted plans
+ * @param {string} dateKey
+ * @returns {Object}
+ */
+export function getGoalPlan(schedule, dateKey) {
+  const active = schedule.filter(plan => !plan.from || plan.from <= dateKey)
+  return active[active.length - 1] || schedule[0] || createGoalPlan()
+}
+
+/**
+ * Work out the protein goal for a day
+ * @param {Object[]} schedule - Sorted plans
+ * @param {string} dateKey
+ * @param {'training'|'rest'} [dayType] - The day's training/rest marking, if any
+ * @returns {number}
+ */
+export function resolveGoal(schedule, dateKey, dayType) {
+  const plan = getGoalPlan(schedule, dateKey)
+  if (dayType && plan[dayType]) {
+    return plan[dayType]
+  }
+  return plan.weekdays[parseDateKey(dateKey).getDay()]
+}
+
+/**
+ * Check whether a plan sets a training-day or rest-day goal
+ * @param {Object} plan
+ * @returns {boolean}
+ */
+export function hasDayTypeGoals(plan) {
+  return Boolean(plan.training || plan.rest)
+}
+
+/**
+ * Clamp a goal between 1-500g
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function clampGoal(value) {
+  return Math.max(1, Math.min(500, Math.round(Number(value) || 0)))
+}
+
+/**
+ * Work out lean mass from an entered lean mass or body-fat percentage
+ * @param {number} weightKg
+ * @param {Object} inputs - { leanMass, bodyFat, weightUnit }
+ * @returns {number|null} Lean mass in kg, null when neither is usable
+ */
+function getLeanMassKg(weightKg, { leanMass, bodyFat, weightUnit }) {
+  const leanMassKg = toKilograms(Number(leanMass), weightUnit)
+  if (leanMassKg > 0 && leanMassKg < weightKg) {
+    return leanMassKg
+  }
+  const fat = Number(bodyFat)
+  if (fat > 0 && fat < 70) {
+    return weightKg * (1 - fat / 100)
+  }
+  return null
+}
+
+/**
+ * Recommend a protein range from body weight, activity and phase
+ * With lean mass known the range is based on it, since fat mass needs little protein
+ * @param {Object} inputs - { weight, weightUnit, leanMass, bodyFat, activity, phase }
+ * @returns {Object|null} { min, max, minPerKg, maxPerKg, weightKg, leanMassKg }, null without a weight
+ */
+export function calculateGoalRange(inputs) {
+  const weightKg = toKilograms(Number(inputs.weight), inputs.weightUnit)
+  if (!(weightKg > 0)) {
+    return null
+  }
+
+  const [low, high] = (ACTIVITY_LEVELS[inputs.activity] || ACTIVITY_LEVELS.active).range
+  const adjust = GOAL_PHASES[inputs.phase]?.adjust || 0
+  const leanMassKg = getLeanMassKg(weightKg, inputs)
+  const basisKg = leanMassKg ? leanMassKg * GOAL_CALCULATOR_CONFIG.LEAN_MASS_FACTOR : weightKg
+
+  const min = clampGoal(basisKg * (low + adjust))
+  const max = clampGoal(basisKg * (high + adjust))
+  return {
+    min,
+    max,
+    minPerKg: Math.round((min / weightKg) * 10) / 10,
+    maxPerKg: Math.round((max / weightKg) * 10) / 10,
+    weightKg,
+    leanMassKg,
+  }
+}
+
+/**
+ * Scale a goal accepted from the calculator to a new body weight, keeping its g/kg
+ * @param {Object} calculator - Saved calculator inputs with the accepted goal and weightKg
+ * @param {number} weightKg - New body weight
+ * @returns {number|null} Suggested goal, or null when it barely differs
+ */
+export function suggestGoalForWeight(calculator, weightKg) {
+  if (!calculator?.goal || !calculator.weightKg || !(weightKg > 0)) {
+    return null
+  }
+  const suggested = clampGoal((calculator.goal / calculator.weightKg) * weightKg)
+  return Math.abs(suggested - calculator.goal) >= GOAL_CALCULATOR_CONFIG.SUGGEST_THRESHOLD
+    ? suggested
+    : null
+}
@@ -0,0 +1,171 @@
+// Meal slots - the user's own list of meals, set from their preference on startup
+// Logs keep entries under slot keys, so renaming or hiding a slot never touches stored data
+
+import { DEFAULT_MEAL_SLOTS, MEAL_COLORS } from './constants'
+
+let mealSlots = DEFAULT_MEAL_SLOTS
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+
+/**
+ * Turn a slot key into a readable label (e.g., "pre-workout" -> "Pre workout")
+ * @param {string} key
+ * @returns {string}
+ */
+function humanizeKey(key) {
+  const words = key.replace(/[-_]+/g, ' ').trim()
+  return words ? words[0].toUpperCase() + words.slice(1) : 'Other'
+}
+
+/**
+ * Read an HH:MM time as minutes after midnight
+ * @param {string} time
+ * @returns {number|null} Null when missing or malformed
+ */
+export function parseTimeOfDay(time) {
+  const match = TIME_PATTERN.exec(time || '')
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null
+}
+
+/**
+ * Check whether a time falls inside a slot's window
+ * @param {Object} slot
+ * @param {number} minutes - Minutes after midnight
+ * @returns {boolean}
+ */
+function isInWindow(slot, minutes) {
+  const from = parseTimeOfDay(slot.from)
+  const to = parseTimeOfDay(slot.to)
+  if (from == null || to == null) return false
+  // Windows like 21:00-01:00 wrap past midnight
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to
+}
+
+/**
+ * Set the meal slots in use
+ * Invalid lists fall back to the defaults, and at least one slot always stays visible
+ * @param {Array} slots - [{ key, label, color, hidden, from, to }]
+ */
+export function configureMealSlots(slots) {
+  const valid = Array.isArray(slots)
+    ? slots.filter(slot => slot && typeof slot.key === 'string' && slot.key)
+    : []
+
+  if (!valid.some(slot => !slot.hidden)) {
+    mealSlots = DEFAULT_MEAL_SLOTS
+    return
+  }
+
+  mealSlots = valid.map(slot => ({
+    key: slot.key,
+    label: String(slot.label || '').trim() || humanizeKey(slot.key),
+    color: MEAL_COLORS[slot.color] ? slot.color : 'gray',
+    hidden: Boolean(slot.hidden),
+    // A window needs both ends
+    from: parseTimeOfDay(slot.from) != null && parseTimeOfDay(slot.to) != null ? slot.from : null,
+    to: parseTimeOfDay(slot.from) != null && parseTimeOfDay(slot.to) != null ? slot.to : null,
+  }))
+}
+
+/**
+ * List meal slots in the user's order
+ * @param {Object} [options]
+ * @param {boolean} [options.includeHidden] - Include hidden slots (for editing them)
+ * @returns {Array} [{ key, label, color, hidden, from, to }]
+ */
+export function listMealSlots({ includeHidden = false } = {}) {
+  return includeHidden ? mealSlots : mealSlots.filter(slot => !slot.hidden)
+}
+
+/**
+ * Get a meal slot by key
+ * Keys missing from the list (old data, a slot from another device) get a grey stand-in
+ * @param {string} key
+ * @returns {Object} { key, label, color, hidden, from, to, unknown? }
+ */
+export function getMealSlot(key) {
+  return mealSlots.find(slot => slot.key === key)
+    || { key, label: humanizeKey(key), color: 'gray', hidden: true, from: null, to: null, unknown: true }
+}
+
+/**
+ * Get a meal slot's display name
+ * @param {string} key
+ * @returns {string}
+ */
+export function getMealLabel(key) {
+  return getMealSlot(key).label
+}
+
+/**
+ * Get a meal slot's badge classes
+ * @param {string} key
+ * @returns {string}
+ */
+export function getMealBadgeClass(key) {
+  return MEAL_COLORS[getMealSlot(key).color].badge
+}
+
+/**
+ * Check whether a key is a visible meal slot - food can be added to it
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isActiveMealSlot(key) {
+  return mealSlots.some(slot => slot.key === key && !slot.hidden)
+}
+
+/**
+ * Get the meals offered when moving or copying food
+ * Visible slots, plus the food's current meal when that one is hidden or unknown
+ * @param {string} currentKey
+ * @returns {Array}
+ */
+export function getMealChoices(currentKey) {
+  const slots = listMealSlots()
+  return isActiveMealSlot(currentKey) ? slots : [...slots, getMealSlot(currentKey)]
+}
+
+/**
+ * Get the meal new food goes into when none was picked
+ * The first visible slot whose window holds the time, else the first without a window, else the first slot
+ * @param {Date} [date] - Defaults to now
+ * @returns {string}
+ */
+export function getDefaultMealKey(date = new Date()) {
+  const slots = listMealSlots()
+  const minutes = date.getHours() * 60 + date.getMinutes()
+  const slot = slots.find(candidate => isInWindow(candidate, minutes))
+    || slots.find(candidate => candidate.from == null)
+    || slots[0]
+  return slot.key
+}
+
+/**
+ * Get the meals to show for a day, in slot order
+ * Visible slots always appear; hidden or unknown meals appear only while they hold entries
+ * @param {Object} meals - Food items keyed by meal type
+ * @returns {string[]}
+ */
+export function getLogMealKeys(meals) {
+  const hasEntries = key => meals[key]?.length > 0
+  return [
+    ...mealSlots.filter(slot => !slot.hidden || hasEntries(slot.key)).map(slot => slot.key),
+    ...Object.keys(meals).filter(key => getMealSlot(key).unknown && hasEntries(key)),
+  ]
+}
+
+/**
+ * Make a key for a new slot from its label, unique among existing slots
+ * @param {string} label
+ * @param {Array} slots - Existing slots, hidden ones included
+ * @returns {string}
+ */
+export function createMealSlotKey(label, slots) {
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'meal'
+  let key = base
+  for (let suffix = 2; slots.some(slot => slot.key === key); suffix++) {
+    key = `${base}-${suffix}`
+  }
+  return key
+}
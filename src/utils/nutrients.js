@@ -0,0 +1,212 @@
+// Nutrient math helpers shared by search, storage and the dashboard
+
+import { MACRO_KEYS } from './constants'
+import { convertServing, getServingGrams, changeServingUnit, getPreferredServingUnit } from './units'
+
+/**
+ * Round a nutrient value for storage (whole kcal/mg, one decimal for grams)
+ * @param {string} key - 'protein' or a MACRO_KEYS entry
+ * @param {number} value
+ * @returns {number}
+ */
+function roundNutrient(key, value) {
+  if (key === 'calories' || key === 'sodium') {
+    return Math.round(value)
+  }
+  return Math.round(value * 10) / 10
+}
+
+/**
+ * Scale a food's protein and macros by a serving ratio
+ * Missing macros stay null so "unknown" isn't shown as zero
+ * @param {Object} food - Food item with values per food.servingSize
+ * @param {number} ratio - Logged serving / food serving
+ * @returns {Object} { protein, calories, carbs, ... }
+ */
+export function scaleNutrients(food, ratio) {
+  const scaled = { protein: roundNutrient('protein', (food.protein || 0) * ratio) }
+
+  MACRO_KEYS.forEach(key => {
+    scaled[key] = food[key] == null ? null : roundNutrient(key, food[key] * ratio)
+  })
+
+  return scaled
+}
+
+/**
+ * Capture a food's nutrients per its own serving so a logged entry can be rescaled later
+ * @param {Object} food - Food item with values per food.servingSize
+ * @returns {Object} { servingSize, protein, calories, ... }
+ */
+export function createNutrientBasis(food) {
+  return {
+    servingSize: food.servingSize || 100,
+    protein: food.protein || 0,
+    ...Object.fromEntries(MACRO_KEYS.map(key => [key, food[key] ?? null])),
+  }
+}
+
+/**
+ * Work out the serving and weight for a quantity of a food
+ * @param {Object} food - Food or logged entry
+ * @param {number} quantity - Amount entered
+ * @param {string} unit - Unit it was entered in
+ * @returns {Object} { servingSize, quantity, unit, grams } - servingSize is in the food's unit
+ */
+function resolveServing(food, quantity, unit) {
+  const servingSize = convertServing(food, quantity, unit) ?? quantity
+  return {
+    servingSize: Math.round(servingSize * 100) / 100,
+    quantity,
+    unit,
+    grams: getServingGrams(food, quantity, unit),
+  }
+}
+
+/**
+ * Build a loggable food item for a serving of a food
+ * Nutrients are a snapshot - later edits to a custom food or recipe don't change the item
+ * @param {Object} food - Food item with values per food.servingSize
+ * @param {number} quantity - Amount entered
+ * @param {string} [unit] - Unit it was entered in, defaults to the food's own unit
+ * @returns {Object} Food item ready for addFoodToMeal
+ */
+export function createFoodEntry(food, quantity, unit = food.servingUnit || 'g') {
+  const basis = food.basis || createNutrientBasis(food)
+  const serving = resolveServing(food, quantity, unit)
+  return {
+    name: food.name,
+    ...scaleNutrients(basis, serving.servingSize / basis.servingSize),
+    ...serving,
+    servingUnit: food.servingUnit || 'g',
+    source: food.source,
+    // Kept so the entry can be rescaled when edited
+    basis,
+    // Kept so the entry can be re-entered in other units
+    ...(food.measures && { measures: food.measures }),
+    ...(food.density && { density: food.density }),
+    ...(food.recipeId && { recipeId: food.recipeId }),
+  }
+}
+
+/**
+ * Get the nutrient basis of a logged entry
+ * Entries logged before bases were stored derive one from their own values
+ * @param {Object} entry - Logged food item
+ * @returns {Object} { servingSize, protein, calories, ... }
+ */
+export function getNutrientBasis(entry) {
+  return entry.basis || createNutrientBasis(entry)
+}
+
+/**
+ * Get the quantity and unit a logged entry was entered in
+ * Entries logged before units were stored fall back to their serving
+ * @param {Object} entry - Logged food item
+ * @returns {Object} { quantity, unit }
+ */
+export function getEnteredServing(entry) {
+  return {
+    quantity: entry.quantity ?? entry.servingSize ?? 100,
+    unit: entry.unit || entry.servingUnit || 'g',
+  }
+}
+
+/**
+ * Get the amount a new serving of a food starts at
+ * A previously logged entry repeats what was entered; a food starts at its own
+ * serving, shown in the preferred unit system
+ * @param {Object} food - Food or logged entry
+ * @returns {Object} { quantity, unit }
+ */
+export function getDefaultServing(food) {
+  const entered = getEnteredServing(food)
+  if (food.unit) return entered
+  const unit = getPreferredServingUnit(food)
+  return { quantity: changeServingUnit(food, entered.quantity, entered.unit, unit), unit }
+}
+
+/**
+ * Recompute a logged entry's nutrients for a new quantity
+ * @param {Object} entry - Logged food item
+ * @param {number} quantity - New amount
+ * @param {string} [unit] - Unit of the amount, defaults to the unit it was entered in
+ * @returns {Object} Updated entry (the original is not modified)
+ */
+export function rescaleEntry(entry, quantity, unit = getEnteredServing(entry).unit) {
+  const basis = getNutrientBasis(entry)
+  const serving = resolveServing(entry, quantity, unit)
+  return {
+    ...entry,
+    ...scaleNutrients(basis, serving.servingSize / basis.servingSize),
+    ...serving,
+    basis,
+  }
+}
+
+/**
+ * Calculate a recipe's protein and macros per serving from its ingredients
+ * A macro stays null only when no ingredient reports it
+ * @param {Object} recipe - { servings, ingredients: [{ amount, servingSize, protein, ... }] }
+ * @returns {Object} { protein, calories, carbs, ... } per serving
+ */
+export function calculateRecipeNutrients(recipe) {
+  const servings = recipe.servings > 0 ? recipe.servings : 1
+  const totals = { protein: 0 }
+  MACRO_KEYS.forEach(key => {
+    totals[key] = null
+  })
+
+  recipe.ingredients.forEach(ingredient => {
+    const ratio = (ingredient.amount || 0) / (ingredient.servingSize || 100)
+    totals.protein += (ingredient.protein || 0) * ratio
+    MACRO_KEYS.forEach(key => {
+      if (ingredient[key] != null) {
+        totals[key] = (totals[key] || 0) + ingredient[key] * ratio
+      }
+    })
+  })
+
+  return scaleNutrients(totals, 1 / servings)
+}
+
+/**
+ * Sum macros across food items
+ * @param {Array} items - Logged food items
+ * @returns {Object} Totals keyed by MACRO_KEYS
+ */
+export function sumMacros(items) {
+  const totals = createEmptyTotals()
+
+  items.forEach(item => {
+    MACRO_KEYS.forEach(key => {
+      totals[key] += item[key] || 0
+    })
+  })
+
+  MACRO_KEYS.forEach(key => {
+    totals[key] = roundNutrient(key, totals[key])
+  })
+
+  return totals
+}
+
+/**
+ * Recalculate a log's protein and macro totals in place
+ * @param {Object} log
+ * @returns {Object} The same log
+ */
+export function recalculateTotals(log) {
+  const items = Object.values(log.meals).flat()
+  log.totalProtein = items.reduce((total, item) => total + (item.protein || 0), 0)
+  log.totals = sumMacros(items)
+  return log
+}
+
+/**
+ * Create a zeroed macro totals object
+ * @returns {Object}
+ */
+export function createEmptyTotals() {
+  return Object.fromEntries(MACRO_KEYS.map(key => [key, 0]))
+}
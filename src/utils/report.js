@@ -0,0 +1,119 @@
+// Weekly and monthly reports - averages, best and worst days, meal split and top sources
+
+import { REPORT_CONFIG } from './constants'
+import { parseDateKey, shiftDateKey, daysBetween, getPeriodStart, getPeriodEnd } from './dates'
+import { isGoalHit } from './streaks'
+import { listMealSlots } from './meals'
+
+/**
+ * Get the week or month a day falls in
+ * @param {string} dateKey
+ * @param {'week'|'month'} period
+ * @returns {{startKey: string, endKey: string}}
+ */
+export function getReportRange(dateKey, period) {
+  return { startKey: getPeriodStart(dateKey, period), endKey: getPeriodEnd(dateKey, period) }
+}
+
+/**
+ * Get the week or month before a range
+ * @param {{startKey: string}} range
+ * @param {'week'|'month'} period
+ * @returns {{startKey: string, endKey: string}}
+ */
+export function getPreviousRange(range, period) {
+  return getReportRange(shiftDateKey(range.startKey, -1), period)
+}
+
+/**
+ * Describe a report range (e.g., "Week of Oct 12, 2026" or "October 2026")
+ * Always spelled out in full - reports are read later and by other people
+ * @param {{startKey: string}} range
+ * @param {'week'|'month'} period
+ * @returns {string}
+ */
+export function formatReportTitle(range, period) {
+  const start = parseDateKey(range.startKey)
+  if (period === 'month') {
+    return start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+  }
+  return `Week of ${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+}
+
+/**
+ * Format a day in a report (e.g., "Mon, Oct 12")
+ * @param {string} dateKey
+ * @returns {string}
+ */
+export function formatReportDay(dateKey) {
+  return parseDateKey(dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+}
+
+/**
+ * Describe the change from the previous period (e.g., "+12g vs previous")
+ * @param {number} current
+ * @param {number} previous
+ * @returns {string}
+ */
+export function formatChange(current, previous) {
+  const change = Math.round(current - previous)
+  return `${change > 0 ? '+' : ''}${change}g vs previous`
+}
+
+/**
+ * Summarize the logs of a date range
+ * Averages cover days with something logged, so a half-finished week compares fairly
+ * @param {Array} logs - Daily logs in any order
+ * @param {string} startKey
+ * @param {string} endKey - Inclusive
+ * @returns {Object} { startKey, endKey, days, loggedDays, average, averageGoal, hitDays, best, worst, meals, sources }
+ */
+export function buildReport(logs, startKey, endKey) {
+  const logged = logs
+    .filter(log => log.date >= startKey && log.date <= endKey)
+    .filter(log => Object.values(log.meals).some(entries => entries.length > 0))
+    .sort((a, b) => a.date.localeCompare(b.date))
+
+  const totalProtein = logged.reduce((sum, log) => sum + log.totalProtein, 0)
+  const totalGoal = logged.reduce((sum, log) => sum + log.goal, 0)
+
+  // Protein per meal, visible slots first in the user's order
+  const mealTotals = Object.fromEntries(listMealSlots().map(slot => [slot.key, 0]))
+  const byName = new Map()
+
+  logged.forEach((log) => {
+    Object.entries(log.meals).forEach(([mealType, entries]) => {
+      entries.forEach((entry) => {
+        mealTotals[mealType] = (mealTotals[mealType] || 0) + entry.protein
+
+        const key = entry.name.toLowerCase()
+        const source = byName.get(key) || { name: entry.name, protein: 0, count: 0 }
+        source.protein += entry.protein
+        source.count++
+        byName.set(key, source)
+      })
+    })
+  })
+
+  const toDay = log => log && { date: log.date, protein: log.totalProtein, goal: log.goal }
+
+  return {
+    startKey,
+    endKey,
+    days: daysBetween(startKey, endKey) + 1,
+    loggedDays: logged.length,
+    average: logged.length ? totalProtein / logged.length : 0,
+    averageGoal: logged.length ? totalGoal / logged.length : 0,
+    hitDays: logged.filter(isGoalHit).length,
+    best: toDay(logged.reduce((best, log) => (!best || log.totalProtein > best.totalProtein ? log : best), null)),
+    worst: toDay(logged.reduce((worst, log) => (!worst || log.totalProtein < worst.totalProtein ? log : worst), null)),
+    meals: Object.entries(mealTotals).map(([mealType, protein]) => ({
+      mealType,
+      protein,
+      share: totalProtein > 0 ? protein / totalProtein : 0,
+    })),
+    sources: [...byName.values()]
+      .sort((a, b) => b.protein - a.protein)
+      .slice(0, REPORT_CONFIG.TOP_SOURCES),
+  }
+}
@@ -0,0 +1,97 @@
+// Draw a report onto a canvas so it can be shared as a PNG
+
+import { MEAL_COLORS } from './constants'
+import { formatProtein } from './formatters'
+import { formatReportDay, formatChange } from './report'
+import { getMealSlot } from './meals'
+
+const WIDTH = 720
+const PADDING = 40
+const LINE = 34
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  faint: '#f3f4f6',
+  protein: '#059669',
+}
+
+/**
+ * Render a report to a PNG
+ * @param {Object} report - From buildReport
+ * @param {Object} previous - The previous period's report
+ * @param {string} title
+ * @returns {Promise<Blob>}
+ */
+export function renderReportImage(report, previous, title) {
+  const rows = 10 + report.meals.length + report.sources.length
+  const canvas = document.createElement('canvas')
+  const scale = window.devicePixelRatio || 1
+  const height = PADDING * 2 + rows * LINE
+  canvas.width = WIDTH * scale
+  canvas.height = height * scale
+
+  const ctx = canvas.getContext('2d')
+  ctx.scale(scale, scale)
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, WIDTH, height)
+  ctx.textBaseline = 'middle'
+
+  let y = PADDING + LINE / 2
+  const text = (value, x, { size = 18, color = COLORS.text, weight = 'normal', align = 'left' } = {}) => {
+    ctx.font = `${weight} ${size}px system-ui, -apple-system, sans-serif`
+    ctx.fillStyle = color
+    ctx.textAlign = align
+    ctx.fillText(value, x, y)
+  }
+  const right = WIDTH - PADDING
+
+  text('Protein report', PADDING, { size: 14, color: COLORS.muted })
+  y += LINE
+  text(title, PADDING, { size: 26, weight: 'bold' })
+  y += LINE * 1.5
+
+  text(formatProtein(report.average), PADDING, { size: 30, weight: 'bold', color: COLORS.protein })
+  text(`${report.hitDays} / ${report.loggedDays}`, WIDTH / 2, { size: 30, weight: 'bold' })
+  y += LINE
+  text(`Avg daily • goal ${formatProtein(report.averageGoal)}`, PADDING, { size: 14, color: COLORS.muted })
+  text('Days goal hit', WIDTH / 2, { size: 14, color: COLORS.muted })
+  y += LINE
+  if (previous.loggedDays > 0) {
+    text(formatChange(report.average, previous.average), PADDING, { size: 14, color: COLORS.muted })
+    text(`${previous.hitDays} previous`, WIDTH / 2, { size: 14, color: COLORS.muted })
+  }
+  y += LINE
+
+  if (report.best) {
+    text(`Best: ${formatReportDay(report.best.date)} ${formatProtein(report.best.protein)}`, PADDING, { size: 16 })
+    text(`Worst: ${formatReportDay(report.worst.date)} ${formatProtein(report.worst.protein)}`, WIDTH / 2, { size: 16 })
+  }
+  y += LINE * 1.5
+
+  text('By meal', PADDING, { size: 16, weight: 'bold' })
+  y += LINE
+  report.meals.forEach((meal) => {
+    const barX = PADDING + 140
+    const barWidth = right - 90 - barX
+    ctx.fillStyle = COLORS.faint
+    ctx.fillRect(barX, y - 8, barWidth, 16)
+    ctx.fillStyle = MEAL_COLORS[getMealSlot(meal.mealType).color].hex
+    ctx.fillRect(barX, y - 8, barWidth * meal.share, 16)
+    text(getMealSlot(meal.mealType).label, PADDING, { size: 16 })
+    text(`${Math.round(meal.share * 100)}%`, right, { size: 16, align: 'right' })
+    y += LINE
+  })
+  y += LINE / 2
+
+  text('Top sources', PADDING, { size: 16, weight: 'bold' })
+  y += LINE
+  report.sources.forEach((source) => {
+    text(source.name, PADDING, { size: 16 })
+    text(formatProtein(source.protein), right, { size: 16, align: 'right' })
+    y += LINE
+  })
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render report'))), 'image/png')
+  })
+}
@@ -0,0 +1,106 @@
+// Goal streaks and consistency - every day is judged against its own stored goal
+
+import { DEFAULT_STREAK_RULES } from './constants'
+import { shiftDateKey, getPeriodStart } from './dates'
+
+/**
+ * Check whether a day's log reached its goal
+ * @param {Object} [log]
+ * @returns {boolean}
+ */
+export function isGoalHit(log) {
+  return Boolean(log) && log.goal > 0 && log.totalProtein >= log.goal
+}
+
+/**
+ * Check whether anything was logged on a day
+ * @param {Object} [log]
+ * @returns {boolean}
+ */
+function hasEntries(log) {
+  return Boolean(log) && Object.values(log.meals).some(entries => entries.length > 0)
+}
+
+/**
+ * Summarize what a day's log contributes to streak stats
+ * Stats only change when a day starts or stops hitting its goal or having entries,
+ * so this makes a cheap key for deciding when to recalculate them
+ * @param {Object} [log]
+ * @returns {string}
+ */
+export function getStreakKey(log) {
+  return log ? `${log.date}:${isGoalHit(log)}:${hasEntries(log)}` : ''
+}
+
+/**
+ * Work out the current and longest goal streaks
+ * Today doesn't break a streak until it's over, and each week can forgive
+ * up to rules.restPassesPerWeek missed days (they keep the streak but don't add to it)
+ * @param {Map<string, Object>} logsByDate
+ * @param {string} firstKey - Earliest logged day
+ * @param {string} todayKey
+ * @param {Object} rules - { restPassesPerWeek }
+ * @returns {{current: number, longest: number}}
+ */
+function calculateStreaks(logsByDate, firstKey, todayKey, rules) {
+  const passesUsed = new Map()
+  let current = 0
+  let longest = 0
+
+  for (let key = firstKey; key <= todayKey; key = shiftDateKey(key, 1)) {
+    if (isGoalHit(logsByDate.get(key))) {
+      current++
+      longest = Math.max(longest, current)
+    } else if (key !== todayKey) {
+      const week = getPeriodStart(key, 'week')
+      const used = passesUsed.get(week) || 0
+      if (current > 0 && used < rules.restPassesPerWeek) {
+        passesUsed.set(week, used + 1)
+      } else {
+        current = 0
+      }
+    }
+  }
+
+  return { current, longest }
+}
+
+/**
+ * Percentage of the last few days that hit their goal
+ * The window ends yesterday until today's goal is reached, so an unfinished day doesn't count against it
+ * @param {Map<string, Object>} logsByDate
+ * @param {string} todayKey
+ * @param {number} days
+ * @returns {number} 0-100
+ */
+function calculateConsistency(logsByDate, todayKey, days) {
+  const endKey = isGoalHit(logsByDate.get(todayKey)) ? todayKey : shiftDateKey(todayKey, -1)
+  let hits = 0
+  for (let offset = 0; offset < days; offset++) {
+    if (isGoalHit(logsByDate.get(shiftDateKey(endKey, -offset)))) {
+      hits++
+    }
+  }
+  return Math.round((hits / days) * 100)
+}
+
+/**
+ * Summarize streaks, consistency and totals across all logs
+ * @param {Array} logs - Daily logs in any order
+ * @param {string} todayKey
+ * @param {Object} [rules]
+ * @returns {Object} { current, longest, consistency7, consistency30, daysLogged, daysHit }
+ */
+export function calculateStreakStats(logs, todayKey, rules = DEFAULT_STREAK_RULES) {
+  const pastLogs = logs.filter(log => log.date <= todayKey)
+  const logsByDate = new Map(pastLogs.map(log => [log.date, log]))
+  const firstKey = pastLogs.reduce((first, log) => (!first || log.date < first ? log.date : first), null)
+
+  return {
+    ...(firstKey ? calculateStreaks(logsByDate, firstKey, todayKey, rules) : { current: 0, longest: 0 }),
+    consistency7: calculateConsistency(logsByDate, todayKey, 7),
+    consistency30: calculateConsistency(logsByDate, todayKey, 30),
+    daysLogged: pastLogs.filter(hasEntries).length,
+    daysHit: pastLogs.filter(isGoalHit).length,
+  }
+}
@@ -0,0 +1,73 @@
+// Timeline of a day's entries by time eaten - eating window and gaps between feedings
+
+import { TIMELINE_CONFIG } from './constants'
+import { parseDateKey, getDayStart } from './dates'
+
+const MINUTES_PER_DAY = 24 * 60
+
+/**
+ * Get the moment a logical day begins
+ * @param {string} dateKey
+ * @returns {Date}
+ */
+function getDayStartTime(dateKey) {
+  const start = parseDateKey(dateKey)
+  start.setHours(getDayStart(), 0, 0, 0)
+  return start
+}
+
+/**
+ * Lay out a day's entries by the time they were logged
+ * Times are minutes since the logical day began, so a 1 AM snack after a late day start sorts last
+ * Entries stamped outside the day (added to a past day later) have no known time and go untimed
+ * @param {Object} meals - Food items keyed by meal type
+ * @param {string} dateKey
+ * @returns {Object} { entries, untimed, window, gaps, longestGap }
+ */
+export function buildTimeline(meals, dateKey) {
+  const dayStart = getDayStartTime(dateKey)
+  const entries = []
+  const untimed = []
+
+  Object.entries(meals).forEach(([mealType, foods]) => {
+    foods.forEach((food) => {
+      const time = food.timestamp ? new Date(food.timestamp) : null
+      const minutes = time ? (time - dayStart) / 60000 : NaN
+      if (!(minutes >= 0 && minutes < MINUTES_PER_DAY)) {
+        untimed.push({ mealType, food })
+        return
+      }
+      entries.push({ mealType, food, minutes })
+    })
+  })
+
+  entries.sort((a, b) => a.minutes - b.minutes)
+
+  const gaps = []
+  for (let index = 1; index < entries.length; index++) {
+    const minutes = entries[index].minutes - entries[index - 1].minutes
+    if (minutes >= TIMELINE_CONFIG.GAP_MINUTES) {
+      gaps.push({ afterIndex: index - 1, start: entries[index - 1].minutes, minutes })
+    }
+  }
+
+  return {
+    entries,
+    untimed,
+    window: entries.length
+      ? { start: entries[0].minutes, end: entries[entries.length - 1].minutes }
+      : null,
+    gaps,
+    longestGap: gaps.reduce((longest, gap) => (!longest || gap.minutes > longest.minutes ? gap : longest), null),
+  }
+}
+
+/**
+ * Get the clock time a number of minutes into a logical day
+ * @param {string} dateKey
+ * @param {number} minutes
+ * @returns {Date}
+ */
+export function getTimelineTime(dateKey, minutes) {
+  return new Date(getDayStartTime(dateKey).getTime() + minutes * 60000)
+}
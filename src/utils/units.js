@@ -0,0 +1,193 @@
+// Unit conversions for body weight and food servings, and the preferred unit system
+
+import { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM } from './constants'
+
+export const WEIGHT_UNITS = ['kg', 'lb']
+
+const LB_PER_KG = 2.20462
+
+// Preferred unit system - loaded from settings before the first render
+let unitSystem = DEFAULT_UNIT_SYSTEM
+
+// Serving units with a fixed size - mass in grams, volume in millilitres
+export const MASS_UNITS = { g: 1, kg: 1000, oz: 28.3495, lb: 453.592 }
+export const VOLUME_UNITS = { ml: 1, l: 1000, tsp: 4.92892, tbsp: 14.7868, 'fl oz': 29.5735, cup: 240 }
+
+/**
+ * Set the preferred unit system
+ * @param {string} system - A UNIT_SYSTEMS key; unknown values fall back to the default
+ */
+export function configureUnitSystem(system) {
+  unitSystem = Object.hasOwn(UNIT_SYSTEMS, system) ? system : DEFAULT_UNIT_SYSTEM
+}
+
+/**
+ * Get the preferred unit system
+ * @returns {string} A UNIT_SYSTEMS key
+ */
+export function getUnitSystem() {
+  return unitSystem
+}
+
+/**
+ * Get the unit body weight is shown and entered in
+ * @returns {'kg'|'lb'}
+ */
+export function getPreferredWeightUnit() {
+  return UNIT_SYSTEMS[unitSystem].weight
+}
+
+/**
+ * Convert a weight to kilograms
+ * @param {number} value
+ * @param {'kg'|'lb'} unit
+ * @returns {number}
+ */
+export function toKilograms(value, unit) {
+  return unit === 'lb' ? value / LB_PER_KG : value
+}
+
+/**
+ * Convert kilograms to another weight unit
+ * @param {number} kg
+ * @param {'kg'|'lb'} unit
+ * @returns {number}
+ */
+export function fromKilograms(kg, unit) {
+  return unit === 'lb' ? kg * LB_PER_KG : kg
+}
+
+/**
+ * Get protein per unit of body weight
+ * @param {number} protein - Grams of protein
+ * @param {number} weightKg
+ * @param {'kg'|'lb'} [unit]
+ * @returns {number} Rounded to 0.1 g/kg or 0.01 g/lb
+ */
+export function toProteinRatio(protein, weightKg, unit = getPreferredWeightUnit()) {
+  const precision = unit === 'lb' ? 100 : 10
+  return Math.round((protein / fromKilograms(weightKg, unit)) * precision) / precision
+}
+
+/**
+ * Express a quantity of a food in grams and millilitres, as far as the food allows
+ * Household measures (food.measures, grams per unit) and density (food.density,
+ * grams per ml) bridge counts, mass and volume
+ * @param {Object} food - Food or logged entry
+ * @param {number} quantity
+ * @param {string} unit
+ * @returns {Object|null} { grams, ml } - either may be null; null if the unit is unknown
+ */
+function measureQuantity(food, quantity, unit) {
+  const density = food.density > 0 ? food.density : null
+  let grams = null
+  let ml = null
+
+  if (Object.hasOwn(MASS_UNITS, unit)) {
+    grams = quantity * MASS_UNITS[unit]
+  } else if (Object.hasOwn(VOLUME_UNITS, unit)) {
+    ml = quantity * VOLUME_UNITS[unit]
+  } else if (food.measures?.[unit] > 0) {
+    grams = quantity * food.measures[unit]
+  } else {
+    return null
+  }
+
+  if (grams == null && density) grams = ml * density
+  if (ml == null && density) ml = grams / density
+  return { grams, ml }
+}
+
+/**
+ * Convert a quantity into the food's own serving unit
+ * @param {Object} food - Food or logged entry with servingUnit
+ * @param {number} quantity
+ * @param {string} unit
+ * @returns {number|null} Amount in food.servingUnit, or null if the units don't connect
+ */
+export function convertServing(food, quantity, unit) {
+  const baseUnit = food.servingUnit || 'g'
+  if (unit === baseUnit) return quantity
+
+  const measured = measureQuantity(food, quantity, unit)
+  const base = measureQuantity(food, 1, baseUnit)
+  if (!measured || !base) return null
+
+  if (measured.grams != null && base.grams != null) return measured.grams / base.grams
+  if (measured.ml != null && base.ml != null) return measured.ml / base.ml
+  return null
+}
+
+/**
+ * Get the weight of a quantity of a food
+ * @param {Object} food - Food or logged entry
+ * @param {number} quantity
+ * @param {string} [unit] - Defaults to the food's serving unit
+ * @returns {number|null} Grams, or null when the food has no known weight
+ */
+export function getServingGrams(food, quantity, unit = food.servingUnit || 'g') {
+  const grams = measureQuantity(food, quantity, unit)?.grams
+  return grams == null ? null : Math.round(grams * 10) / 10
+}
+
+/**
+ * List the units a food can be logged in, its own unit first
+ * @param {Object} food - Food or logged entry
+ * @returns {string[]}
+ */
+export function getServingUnits(food) {
+  const candidates = [
+    food.servingUnit || 'g',
+    ...Object.keys(food.measures || {}),
+    ...Object.keys(MASS_UNITS),
+    ...Object.keys(VOLUME_UNITS),
+  ]
+  return [...new Set(candidates)].filter(unit => convertServing(food, 1, unit) != null)
+}
+
+/**
+ * Work out the household measure or density that makes a serving weigh the given grams
+ * Used by the custom food form so a food measured in cups or pieces can be logged by weight
+ * @param {number} servingSize - Serving in servingUnit
+ * @param {string} servingUnit
+ * @param {number} grams - What that serving weighs
+ * @returns {Object} { measures } or { density }, empty when the unit is already a mass
+ */
+export function describeServingWeight(servingSize, servingUnit, grams) {
+  if (Object.hasOwn(MASS_UNITS, servingUnit) || !(servingSize > 0) || !(grams > 0)) return {}
+  if (Object.hasOwn(VOLUME_UNITS, servingUnit)) {
+    return { density: grams / (servingSize * VOLUME_UNITS[servingUnit]) }
+  }
+  return { measures: { [servingUnit]: grams / servingSize } }
+}
+
+/**
+ * Re-express a quantity of a food in another unit, keeping the amount the same
+ * @param {Object} food - Food or logged entry
+ * @param {number} quantity
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @returns {number} Quantity in toUnit, rounded for the serving input
+ */
+export function changeServingUnit(food, quantity, fromUnit, toUnit) {
+  const amount = convertServing(food, quantity, fromUnit)
+  const perUnit = convertServing(food, 1, toUnit)
+  if (amount == null || !perUnit) return quantity
+  // Whole numbers for larger amounts (grams, ml), two decimals for cups and scoops
+  const precision = amount / perUnit >= 10 ? 1 : 100
+  return Math.round((amount / perUnit) * precision) / precision
+}
+
+/**
+ * Get the unit a new serving of a food starts in
+ * Foods measured by weight or volume switch to the preferred system; counted units stay
+ * @param {Object} food - Food or logged entry
+ * @returns {string}
+ */
+export function getPreferredServingUnit(food) {
+  const baseUnit = food.servingUnit || 'g'
+  const { mass, volume } = UNIT_SYSTEMS[unitSystem]
+  if (Object.hasOwn(MASS_UNITS, baseUnit)) return mass
+  if (Object.hasOwn(VOLUME_UNITS, baseUnit)) return volume
+  return baseUnit
+}
@@ -0,0 +1,47 @@
+// Body weight trend - smooths day-to-day scale noise with an exponentially
+// weighted moving average so the direction of change is easier to see
+
+import { WEIGHT_TREND_CONFIG } from './constants'
+import { daysBetween, shiftDateKey } from './dates'
+
+/**
+ * Add a smoothed trend weight to each weigh-in
+ * Gaps between weigh-ins count as several days of smoothing, so one reading
+ * after a long break moves the trend more than a reading the next day
+ * @param {Array} weighIns - [{ date, weightKg }] oldest first
+ * @returns {Array} [{ date, weightKg, trendKg }]
+ */
+export function calculateWeightTrend(weighIns) {
+  let previous = null
+
+  return weighIns.map(({ date, weightKg }) => {
+    let trendKg = weightKg
+    if (previous) {
+      const days = Math.max(daysBetween(previous.date, date), 1)
+      const alpha = 1 - (1 - WEIGHT_TREND_CONFIG.SMOOTHING) ** days
+      trendKg = previous.trendKg + alpha * (weightKg - previous.trendKg)
+    }
+    previous = { date, weightKg, trendKg }
+    return previous
+  })
+}
+
+/**
+ * Work out the trend's rate of change per week
+ * @param {Array} trend - From calculateWeightTrend
+ * @returns {number|null} kg per week (negative when losing), null without enough history
+ */
+export function getWeeklyRate(trend) {
+  const latest = trend[trend.length - 1]
+  if (!latest) {
+    return null
+  }
+
+  const since = shiftDateKey(latest.date, -WEIGHT_TREND_CONFIG.RATE_DAYS)
+  const earlier = trend.filter(point => point.date <= since).pop()
+  if (!earlier) {
+    return null
+  }
+
+  return ((latest.trendKg - earlier.trendKg) / daysBetween(earlier.date, latest.date)) * 7
+}